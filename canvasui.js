@@ -38,30 +38,58 @@ var CanvasUI = {
 		this.clicked = false;
 		this.focused = false;
 		this.dragged = false;
+		this.hovered = false;			// Is the mouse over the gadget?
 		this.visible = true;
 		this.enabled = true;
 		this.draggable = true;
-		this.backColour = '#eee';
-		this.shineColour = '#fff';
-		this.shadowColour = '#000';
-		this.darkColour = '#555';
-		this.highlightColour = '#aaf';
+		this.theme = null;				// Null means use the parent's theme
+		this.appliedTheme = CanvasUI.Theme.DEFAULT;
+		this.backColour = this.appliedTheme.backColour;
+		this.shineColour = this.appliedTheme.shineColour;
+		this.shadowColour = this.appliedTheme.shadowColour;
+		this.darkColour = this.appliedTheme.darkColour;
+		this.highlightColour = this.appliedTheme.highlightColour;
+		this.textColour = this.appliedTheme.textColour;
+		this.fontFamily = null;			// Font properties are taken from the
+		this.fontSize = null;			// theme unless set
+		this.fontWeight = null;
+		this.fontStyle = null;
 		this.focusedGadget = null;
 		this.isFocusRectVisible = true;
+		this.focusable = false;			// Can Tab move focus to the gadget?
+		this.tabIndex = 0;				// Order in which Tab visits the gadget
 		this.permeable = false;
 		this.id = 0;
+		this.contextMenu = null;		// Menu opened by right-clicking
+		this.accessibleLabel = null;	// Overrides the label read by screen
+										// readers
+		this.accessibleNode = null;		// Element mirroring the gadget in the
+										// GUI's accessibility tree
+		this.layout = null;				// Positions children automatically
+		this.layoutData = null;			// Options for the parent's layout
+		this.ignoresLayout = false;		// Keep position in laid-out parent?
+		this.anchor = CanvasUI.Gadget.ANCHOR_LEFT | CanvasUI.Gadget.ANCHOR_TOP;
+		this.dock = CanvasUI.Gadget.DOCK_NONE;
 		
 		this.rect = new CanvasUI.Rectangle(x, y, width, height);
 		this.children = new CanvasUI.GadgetCollection(this);
 		this.borderSize = new CanvasUI.BorderSize(0, 0, 0, 0);
 
 		this.onClick = null;
+		this.onDoubleClick = null;
 		this.onRelease = null;
 		this.onReleaseOutside = null;
 		this.onDrag = null;
 		this.onFocus = null;
 		this.onBlur = null;
 		this.onValueChange = null;
+		this.onResize = null;
+		this.onWheel = null;
+		this.onMouseEnter = null;
+		this.onMouseLeave = null;
+		this.onMouseMove = null;
+		this.eventListeners = new Array();	// Listeners added with
+											// addEventListener()
 	},
 		
 	/**
@@ -87,6 +115,41 @@ var CanvasUI = {
 		this.gadget = gadget;
 	},
 
+	/**
+	 * Describes an event fired by a gadget, such as a click or a value
+	 * change.  The event is passed to the listeners of the gadget and its
+	 * ancestors, first down from the GUI to the gadget's parent (the capture
+	 * phase), then to the gadget itself, then back up to the GUI (the bubble
+	 * phase).
+	 * @param type The type of the event, such as "click" or "valueChange".
+	 * @param gadget The gadget that fired the event.
+	 * @param properties An object whose properties, such as co-ordinates,
+	 * are copied to the event.  Optional.
+	 */
+	GadgetEvent: function(type, gadget, properties) {
+		this.type = type;
+		this.gadget = gadget;				// Gadget that fired the event
+		this.currentGadget = null;			// Gadget whose listeners are
+											// being called
+		this.phase = 0;
+		this.bubbles = true;
+
+		this.x = null;						// Position relative to the
+		this.y = null;						// firing gadget's client rect;
+											// null if the event has none
+
+		this.isShiftHeld = false;			// Modifier keys held during the
+		this.isAltHeld = false;				// input that caused the event
+		this.isCtrlHeld = false;
+
+		this.isPropagationStopped = false;
+		this.isDefaultPrevented = false;
+
+		for (var name in properties) {
+			if (properties.hasOwnProperty(name)) this[name] = properties[name];
+		}
+	},
+
 	/**
 	 * Graphics class for drawing to canvas.
 	 * @param x The x co-ordinate of the graphics object's origin relative to
@@ -104,6 +167,8 @@ var CanvasUI = {
 		this.context = this.canvas == null ? null : this.canvas.getContext("2d");
 		this.fontSize = "12px";
 		this.fontFamily = "sans-serif";
+		this.fontWeight = "normal";
+		this.fontStyle = "normal";
 	},
 	
 	/**
@@ -128,6 +193,80 @@ var CanvasUI = {
 		this.gadget = gadget;
 		this.damagedRects = new Array();
 	},
+
+	/**
+	 * Keeps the GUI's keyboard shortcuts and runs them when their keys are
+	 * pressed, before the keys reach the focused gadget.  When several
+	 * shortcuts share the same keys, the one whose scope is deepest in the
+	 * focus chain wins, so a gadget's shortcut beats its window's, which
+	 * beats a global one.  Within a scope the most recently added shortcut
+	 * wins.
+	 * @param gui The GUI that owns the shortcuts.
+	 */
+	ShortcutManager: function(gui) {
+		this.gui = gui;
+		this.shortcuts = new Array();	// Shortcuts in the order added
+	},
+
+	/**
+	 * A key combination that runs a callback.
+	 * @param keys The key combination, such as "Ctrl+S", "Ctrl+Shift+Z" or
+	 * "F1".
+	 * @param callback The function to call when the keys are pressed.  It
+	 * receives the shortcut and can return false to let the keys pass on to
+	 * other shortcuts and the focused gadget.
+	 * @param scope The gadget or window that must contain the focus for the
+	 * shortcut to work, or null for a shortcut that works anywhere.  Optional.
+	 */
+	Shortcut: function(keys, callback, scope) {
+		this.keys = keys;
+		this.callback = callback;
+		this.scope = scope ? scope : null;
+		this.enabled = true;
+
+		this.keyCode = 0;
+		this.isShiftHeld = false;
+		this.isAltHeld = false;
+		this.isCtrlHeld = false;
+
+		this.parseKeys(keys);
+	},
+
+	/**
+	 * Hidden DOM tree that mirrors the gadgets in a GUI so that screen
+	 * readers can describe them.  Each visible gadget is represented by an
+	 * element carrying its ARIA role, label and state.  Focusing or clicking
+	 * an element focuses or activates its gadget.
+	 * @param gui The GUI to mirror.
+	 */
+	AccessibilityTree: function(gui) {
+		this.gui = gui;
+		this.entryGadget = null;		// Gadget reached by tabbing into the
+										// tree from the page
+		this.isUpdating = false;
+		this.damagedGadgets = new Array();	// Gadgets redrawn since the last
+											// update
+		this.damagedParents = new Array();	// Parents of those gadgets, whose
+											// lists of children may be stale
+
+		// Hide the tree from view without hiding it from screen readers
+		this.element = document.createElement("div");
+		this.element.style.position = "absolute";
+		this.element.style.width = "1px";
+		this.element.style.height = "1px";
+		this.element.style.margin = "-1px";
+		this.element.style.padding = "0";
+		this.element.style.border = "0";
+		this.element.style.overflow = "hidden";
+		this.element.style.clip = "rect(0 0 0 0)";
+		this.element.style.whiteSpace = "nowrap";
+
+		gui.accessibleNode = this.element;
+
+		if (gui.canvas.parentNode != null) {
+			gui.canvas.parentNode.insertBefore(this.element, gui.canvas.nextSibling);
+		}
+	},
 	 
 	
 	/**
@@ -149,22 +288,66 @@ var CanvasUI = {
 		this.canvas = canvas;			// Drawing space
 		this.topLevelGadget = null;		// Toplevel gadget
 		this.clickedGadget = null;		// Currently clicked gadget
+		this.hoveredGadget = null;		// Gadget under the mouse
 
 		this.oldMouseX = -1;			// Last observed mouse position
 		this.oldMouseY = -1;			// Last observed mouse position
+		this.pixelRatio = 1;			// Device pixels per CSS pixel
+		this.activePointerId = null;	// Pointer or touch driving the UI
+
+		this.isShiftHeld = false;		// Modifier keys held during the last
+		this.isAltHeld = false;			// input event
+		this.isCtrlHeld = false;
+
+		this.doubleClickTime = 500;		// Longest gap in ms between clicks
+										// counted as a double click
+		this.doubleClickDistance = 4;	// Furthest the mouse can move
+										// between clicks of a double click
+		this.clickCount = 0;			// Clicks in the current sequence
+		this.lastClickTime = 0;			// Time of the previous click
+		this.lastClickX = -1;			// Position of the previous click
+		this.lastClickY = -1;
+		this.lastClickedGadget = null;	// Gadget that got the previous click
 		
 		this.damagedRectManager = new CanvasUI.DamagedRectManager(this);
+		this.shortcutManager = new CanvasUI.ShortcutManager(this);
+		this.accessibilityTree = new CanvasUI.AccessibilityTree(this);
+
+		this.popups = new Array();		// Open popups, in z-order
+		this.modals = new Array();		// Open modal gadgets, in z-order
+		this.modalFocus = new Array();	// Gadgets focused before each modal
+										// gadget opened
 		
 		/**
 		 * Called when the canvas is clicked - compensates for canvas offset from
-		 * top of document body and dispatches to the UI.
+		 * top of document body and dispatches to the UI.  Only the primary
+		 * button clicks gadgets; the others just close popups.
 		 * @param e The event arguments.
 		 */
 		CanvasUI.Gui.prototype.handleClick = function(e) {
+			this.updateModifiers(e);
+
 			var x = e.clientX - canvas.offsetLeft + window.pageXOffset;
 			var y = e.clientY - canvas.offsetTop + window.pageYOffset;
+
+			this.closePopupsAt(x, y);
+
+			// Swallow clicks outside of the topmost modal gadget
+			if (this.isBlockedByModal(this.getGadgetAt(x, y))) {
+				this.clickCount = 0;
+				this.damagedRectManager.redraw();
+				return;
+			}
 			
-			this.click(x, y);
+			// Touches have no button
+			var isPrimary = e.button == null || e.button == 0;
+
+			if (isPrimary) this.click(x, y);
+
+			// Other buttons break a run of double clicks
+			this.countClick(x, y, isPrimary);
+
+			if (this.clickCount > 1) this.clickedGadget.doubleClick(x, y, this.clickCount);
 			
 			this.oldMouseX = x;
 			this.oldMouseY = y;
@@ -178,6 +361,8 @@ var CanvasUI = {
 		 * @param e The event arguments.
 		 */
 		CanvasUI.Gui.prototype.handleRelease = function(e) {
+			this.updateModifiers(e);
+
 			var x = e.clientX - canvas.offsetLeft + window.pageXOffset;
 			var y = e.clientY - canvas.offsetTop + window.pageYOffset;
 
@@ -197,51 +382,345 @@ var CanvasUI = {
 		 * @param e The event arguments.
 		 */
 		CanvasUI.Gui.prototype.handleDrag = function(e) {
+			this.updateModifiers(e);
 		
 			var x = e.clientX - canvas.offsetLeft + window.pageXOffset;
 			var y = e.clientY - canvas.offsetTop + window.pageYOffset;
 			
 			if (this.clickedGadget != null) {
 				this.clickedGadget.drag(x, y, x - this.oldMouseX, y - this.oldMouseY);
-				
-				this.damagedRectManager.redraw();
 			}
+
+			this.hover(x, y);
+			
+			this.damagedRectManager.redraw();
 			
 			this.oldMouseX = x;
 			this.oldMouseY = y;
 		}
 
+		/**
+		 * Called when the mouse leaves the canvas.  No gadget is hovered
+		 * until the mouse returns.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleLeave = function(e) {
+			this.setHoveredGadget(null);
+
+			this.damagedRectManager.redraw();
+		}
+
 		CanvasUI.Gui.prototype.handleKeyPress = function(e) {
+			this.updateModifiers(e);
+
+			if (!this.hasBrowserFocus()) return;
+			if (this.isBlockedByModal(this.focusedGadget)) return;
+
 			this.keyPress(e.charCode, e.shiftKey, e.altKey, e.altGraphKey, e.ctrlKey);
 
 			this.damagedRectManager.redraw();
 		}
 
 		CanvasUI.Gui.prototype.handleKeyDown = function(e) {
+			this.updateModifiers(e);
+
+			if (!this.hasBrowserFocus()) return;
+			if (this.isBlockedByModal(this.focusedGadget)) return;
+
+			// Shortcuts take priority over the focused gadget
+			if (this.shortcutManager.keyDown(e.keyCode, e.shiftKey, e.altKey, e.altGraphKey, e.ctrlKey)) {
+				e.preventDefault();
+
+				this.damagedRectManager.redraw();
+				return;
+			}
+
+			// Tab and shift-tab move focus within the active window.  Ctrl-tab
+			// is left for tab panels.  Tabbing past either end of the tab
+			// order is left to the browser.
+			if (e.keyCode == 9 && !e.ctrlKey && !e.altKey) {
+				if (this.getActiveWindow().focusAdjacentGadget(e.shiftKey ? -1 : 1)) e.preventDefault();
+
+				this.damagedRectManager.redraw();
+				return;
+			}
+
 			this.keyDown(e.keyCode, e.shiftKey, e.altKey, e.altGraphKey, e.ctrlKey);
 
 			this.damagedRectManager.redraw();
 		}
 
 		CanvasUI.Gui.prototype.handleKeyUp = function(e) {
+			this.updateModifiers(e);
+
+			if (!this.hasBrowserFocus()) return;
+			if (this.isBlockedByModal(this.focusedGadget)) return;
+
 			this.keyUp(e.keyCode, e.shiftKey, e.altKey, e.altGraphKey, e.ctrlKey);
 
 			this.damagedRectManager.redraw();
 		}
+
+		/**
+		 * Called when the browser copies to the clipboard.  Places the text
+		 * copied from the focused gadget, if any, on the clipboard.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleCopy = function(e) {
+			if (!this.hasBrowserFocus()) return;
+
+			var text = this.copy();
+
+			if (text != null) {
+				e.clipboardData.setData("text/plain", text);
+				e.preventDefault();
+			}
+
+			this.damagedRectManager.redraw();
+		}
+
+		/**
+		 * Called when the browser cuts to the clipboard.  Places the text cut
+		 * from the focused gadget, if any, on the clipboard.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleCut = function(e) {
+			if (!this.hasBrowserFocus()) return;
+
+			var text = this.cut();
+
+			if (text != null) {
+				e.clipboardData.setData("text/plain", text);
+				e.preventDefault();
+			}
+
+			this.damagedRectManager.redraw();
+		}
+
+		/**
+		 * Called when the browser pastes from the clipboard.  Sends the
+		 * clipboard text to the focused gadget.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handlePaste = function(e) {
+			if (!this.hasBrowserFocus()) return;
+
+			var text = e.clipboardData.getData("text/plain");
+
+			if (this.paste(text)) e.preventDefault();
+
+			this.damagedRectManager.redraw();
+		}
+
+		/**
+		 * Called when the canvas is right-clicked.  Opens the context menu of
+		 * the gadget under the mouse, or of its closest ancestor that has one,
+		 * instead of the browser's context menu.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleContextMenu = function(e) {
+			var x = e.clientX - canvas.offsetLeft + window.pageXOffset;
+			var y = e.clientY - canvas.offsetTop + window.pageYOffset;
+
+			var gadget = this.getGadgetAt(x, y);
+
+			if (this.isBlockedByModal(gadget)) {
+				e.preventDefault();
+				return;
+			}
+
+			while (gadget != null && (gadget.contextMenu == null || !gadget.isEnabled())) {
+				gadget = gadget.parent;
+			}
+
+			if (gadget != null) {
+				e.preventDefault();
+
+				// A long press on a touch screen opens the menu part way
+				// through a click, which must not complete when the finger
+				// is lifted
+				if (this.clickedGadget != null) this.clickedGadget.cancelClick();
+
+				gadget.contextMenu.open(this, x - this.getX(), y - this.getY(), null);
+			}
+
+			this.damagedRectManager.redraw();
+		}
+		
+		/**
+		 * Called when a mouse button, finger or pen is pressed on the canvas.
+		 * Captures the pointer so that drags continue when it leaves the
+		 * gadget or the canvas.  Further pointers are ignored until the first
+		 * is released, so a second finger cannot disturb a drag.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handlePointerDown = function(e) {
+			if (this.activePointerId != null) return;
+
+			this.activePointerId = e.pointerId;
+			canvas.setPointerCapture(e.pointerId);
+
+			this.handleClick(e);
+		}
+
+		/**
+		 * Called when a pointer moves over the canvas, or anywhere while it
+		 * is captured.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handlePointerMove = function(e) {
+			if (this.activePointerId != null && e.pointerId != this.activePointerId) return;
+
+			this.handleDrag(e);
+		}
+
+		/**
+		 * Called when a pointer is released or the browser cancels it.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handlePointerUp = function(e) {
+			if (e.pointerId != this.activePointerId) return;
+
+			this.activePointerId = null;
+			if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+
+			this.handleRelease(e);
+		}
+
+		/**
+		 * Called when a finger touches the canvas.  Stops the browser from
+		 * scrolling or zooming the page if the finger lands on a gadget;
+		 * touches on the empty GUI background scroll the page as usual.
+		 * Browsers without Pointer Events are driven by the touch instead.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleTouchStart = function(e) {
+			var touch = e.changedTouches[0];
+			var x = touch.clientX - canvas.offsetLeft + window.pageXOffset;
+			var y = touch.clientY - canvas.offsetTop + window.pageYOffset;
+
+			var gadget = this.getGadgetAt(x, y);
+			if (gadget != null && gadget != this) e.preventDefault();
+
+			if (window.PointerEvent || this.activePointerId != null) return;
+
+			this.activePointerId = touch.identifier;
+			this.handleClick(touch);
+		}
+
+		/**
+		 * Called when a finger moves across the canvas.  The page does not
+		 * scroll while a gadget is being dragged, but does when the finger
+		 * started on the empty GUI background.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleTouchMove = function(e) {
+			if (this.clickedGadget != null && this.clickedGadget != this) e.preventDefault();
+
+			if (window.PointerEvent) return;
+
+			var touch = this.getActiveTouch(e);
+			if (touch != null) this.handleDrag(touch);
+		}
+
+		/**
+		 * Called when a finger is lifted from the canvas or the browser
+		 * cancels the touch.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleTouchEnd = function(e) {
+			if (window.PointerEvent) return;
+
+			var touch = this.getActiveTouch(e);
+			if (touch == null) return;
+
+			this.activePointerId = null;
+			this.handleRelease(touch);
+
+			// Fingers do not hover once lifted
+			this.handleLeave(e);
+		}
+
+		/**
+		 * Called when the mouse wheel is scrolled over the canvas.  Sends the
+		 * wheel to the gadget under the pointer, which passes it up to its
+		 * parent if it cannot scroll.  The page only scrolls if no gadget
+		 * handles the wheel.
+		 * @param e The event arguments.
+		 */
+		CanvasUI.Gui.prototype.handleWheel = function(e) {
+			this.updateModifiers(e);
+
+			var x = e.clientX - canvas.offsetLeft + window.pageXOffset;
+			var y = e.clientY - canvas.offsetTop + window.pageYOffset;
+
+			var gadget = this.getGadgetAt(x, y);
+
+			if (gadget == null) return;
+
+			if (this.isBlockedByModal(gadget)) {
+				e.preventDefault();
+				return;
+			}
+
+			// Convert line and page deltas to pixels
+			var scale = 1;
+			if (e.deltaMode == 1) scale = CanvasUI.Gadget.WHEEL_LINE_HEIGHT;
+			if (e.deltaMode == 2) scale = this.rect.height;
+
+			var deltaX = e.deltaX * scale;
+			var deltaY = e.deltaY * scale;
+
+			// Shift turns a vertical wheel into a horizontal one
+			if (e.shiftKey && deltaX == 0) {
+				deltaX = deltaY;
+				deltaY = 0;
+			}
+
+			if (gadget.wheel(deltaX, deltaY)) e.preventDefault();
+
+			this.damagedRectManager.redraw();
+		}
 		
-		// Grab a pointer to the canvas and set up event handlers
+		// Grab a pointer to the canvas and set up event handlers.  Pointer
+		// Events cover mice, pens and touch; older browsers get mouse and
+		// touch events instead.
 		var obj = this;
-		this.canvas.addEventListener("mousedown", function(e) { obj.handleClick(e); }, false);
-		this.canvas.addEventListener("mouseup", function(e) { obj.handleRelease(e); }, false);
-		this.canvas.addEventListener("mouseout", function(e) { obj.handleRelease(e); }, false);
-		this.canvas.addEventListener("mousemove", function(e) { obj.handleDrag(e); }, false);
+
+		if (window.PointerEvent) {
+			this.canvas.addEventListener("pointerdown", function(e) { obj.handlePointerDown(e); }, false);
+			this.canvas.addEventListener("pointermove", function(e) { obj.handlePointerMove(e); }, false);
+			this.canvas.addEventListener("pointerup", function(e) { obj.handlePointerUp(e); }, false);
+			this.canvas.addEventListener("pointercancel", function(e) { obj.handlePointerUp(e); }, false);
+			this.canvas.addEventListener("pointerleave", function(e) { obj.handleLeave(e); }, false);
+		} else {
+			this.canvas.addEventListener("mousedown", function(e) { obj.handleClick(e); }, false);
+			this.canvas.addEventListener("mouseup", function(e) { obj.handleRelease(e); }, false);
+			this.canvas.addEventListener("mouseout", function(e) { obj.handleRelease(e); }, false);
+			this.canvas.addEventListener("mouseout", function(e) { obj.handleLeave(e); }, false);
+			this.canvas.addEventListener("mousemove", function(e) { obj.handleDrag(e); }, false);
+		}
+
+		this.canvas.addEventListener("touchstart", function(e) { obj.handleTouchStart(e); }, { passive: false });
+		this.canvas.addEventListener("touchmove", function(e) { obj.handleTouchMove(e); }, { passive: false });
+		this.canvas.addEventListener("touchend", function(e) { obj.handleTouchEnd(e); }, false);
+		this.canvas.addEventListener("touchcancel", function(e) { obj.handleTouchEnd(e); }, false);
+		this.canvas.addEventListener("wheel", function(e) { obj.handleWheel(e); }, { passive: false });
 		document.addEventListener("keypress", function(e) { obj.handleKeyPress(e); }, false);
 		document.addEventListener("keydown", function(e) { obj.handleKeyDown(e); }, false);
 		document.addEventListener("keyup", function(e) { obj.handleKeyUp(e); }, false);
+		document.addEventListener("copy", function(e) { obj.handleCopy(e); }, false);
+		document.addEventListener("cut", function(e) { obj.handleCut(e); }, false);
+		document.addEventListener("paste", function(e) { obj.handlePaste(e); }, false);
+		this.canvas.addEventListener("contextmenu", function(e) { obj.handleContextMenu(e); }, false);
 		
 		this.timer = null;				// Timer that causes the gui to run
 										// essential recurring code
 		
+		// Match the canvas to the screen's pixel density
+		this.updatePixelRatio();
+		this.watchPixelRatio();
+		
 		// Start the timer
 		this.startTimer();
 		
@@ -262,13 +741,23 @@ var CanvasUI = {
 		// Call base constructor
 		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
 		
-		this.text = text;
+		this.text = '';
+		this.mnemonic = null;			// Character pressed with alt to press
+										// the button
+		this.mnemonicIndex = -1;		// Index of the underlined character
 		this.draggable = false;
+		this.focusable = true;
+		this.horizontalAlignment = CanvasUI.Graphics.ALIGN_CENTRE;
+		this.verticalAlignment = CanvasUI.Graphics.ALIGN_MIDDLE;
+		this.icon = null;				// Image drawn to the left of the text
+		this.iconSize = 16;
 		
 		this.borderSize.top = 1;
 		this.borderSize.right = 1;
 		this.borderSize.bottom = 1;
 		this.borderSize.left = 1;
+
+		this.setText(text);
 	},
 
 	/**
@@ -286,6 +775,9 @@ var CanvasUI = {
 		
 		this.text = text;
 		this.draggable = false;
+		this.horizontalAlignment = CanvasUI.Graphics.ALIGN_CENTRE;
+		this.verticalAlignment = CanvasUI.Graphics.ALIGN_MIDDLE;
+		this.isWordWrapped = false;		// Break text into lines that fit?
 		
 		this.borderSize.top = 1;
 		this.borderSize.right = 1;
@@ -351,28 +843,38 @@ var CanvasUI = {
 		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
 		
 		this.title = title;
-		this.borderSize.top = 24;
-		this.borderSize.right = 6;
-		this.borderSize.bottom = 6;
-		this.borderSize.left = 6;
+		this.icon = null;					// Image drawn in the title bar
+		this.borderSize.top = this.appliedTheme.windowTitleHeight;
+		this.borderSize.right = this.appliedTheme.windowBorderWidth;
+		this.borderSize.bottom = this.appliedTheme.windowBorderWidth;
+		this.borderSize.left = this.appliedTheme.windowBorderWidth;
 
 		this.isFocusRectVisible = false;
+
+		this.resizable = true;
+		this.minWidth = this.borderSize.top * 3;
+		this.minHeight = this.borderSize.top + this.borderSize.bottom;
+		this.maxWidth = null;				// Null means no maximum
+		this.maxHeight = null;
+		this.resizeGripSize = 16;
+
+		this.resizingLeft = false;			// Edges currently being dragged
+		this.resizingRight = false;
+		this.resizingBottom = false;
+		this.resizeRect = null;				// Dimensions when resize started
+		this.resizeDeltaX = 0;				// Distance moved since resize started
+		this.resizeDeltaY = 0;
+		this.restoreRect = null;			// Dimensions before maximising
 		
 		var closeButton = new CanvasUI.WindowCloseButton(-this.borderSize.left, -this.borderSize.top, this.borderSize.top, this.borderSize.top);
+		closeButton.ignoresLayout = true;
 		this.children.add(closeButton);
-		
-		// Define release event for close button
-		closeButton.onRelease = function(gadget, x, y) {
-			gadget.parent.close();
-		}
+		this.closeButton = closeButton;
 		
 		var depthButton = new CanvasUI.WindowDepthButton(this.rect.width - this.borderSize.top - this.borderSize.left, -this.borderSize.top, this.borderSize.top, this.borderSize.top);
+		depthButton.ignoresLayout = true;
 		this.children.add(depthButton);
-		
-		// Define release for depth button
-		depthButton.onRelease = function(gadget, x, y) {
-			gadget.parent.lowerToBottom();
-		}
+		this.depthButton = depthButton;
 	},
 	
 	/**
@@ -386,6 +888,7 @@ var CanvasUI = {
 		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
 		
 		this.draggable = false;
+		this.focusable = true;
 
 		this.borderSize.top = 4;
 		this.borderSize.right = 4;
@@ -396,16 +899,38 @@ var CanvasUI = {
 		this.selected = false;
 		this.viewY = 0;
 		this.itemHeight = 16;
+		this.hoveredIndex = -1;			// Option under the mouse
+		this.allowMultipleSelections = true;
+		this.onActivate = null;			// Fired when an option is
+										// double-clicked
+
+		// Scrollbar is only shown when the options do not fit in the listbox
+		this.scrollbarWidth = 16;
+		this.scrollbar = new CanvasUI.ScrollbarVertical(0, 0, this.scrollbarWidth, 0);
+		this.scrollbar.visible = false;
+		this.scrollbar.focusable = false;
+		this.scrollbar.ignoresLayout = true;
+		this.children.add(this.scrollbar);
+		this.layoutScrollbar();
+
+		var listBox = this;
+
+		// Define value change event for scrollbar
+		this.scrollbar.onValueChange = function(gadget) {
+			listBox.setScrollPosition(gadget.value * listBox.itemHeight);
+		}
 	},
 	
 	/**
 	 * A single option for display in a ListBox.
 	 * @param text The visible text of the option.
 	 * @param value The hidden value of the option.
+	 * @param icon The image to draw before the text.  Optional.
 	 */
-	ListBoxOption: function(text, value) {
+	ListBoxOption: function(text, value, icon) {
 		this.text = text;
 		this.value = value;
+		this.icon = icon ? icon : null;	// Image drawn before the text
 		this.selected = false;
 	},
 
@@ -422,6 +947,7 @@ var CanvasUI = {
 		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
 		
 		this.draggable = true;
+		this.focusable = true;
 		
 		this.borderSize.top = 4;
 		this.borderSize.right = 4;
@@ -432,6 +958,7 @@ var CanvasUI = {
 		this.maximumValue = 0;
 		this.pageSize = 0;
 		this.value = 0;
+		this.isGripHovered = false;
 	},
 
 	/**
@@ -447,6 +974,7 @@ var CanvasUI = {
 		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
 		
 		this.draggable = true;
+		this.focusable = true;
 		
 		this.borderSize.top = 4;
 		this.borderSize.right = 4;
@@ -457,6 +985,7 @@ var CanvasUI = {
 		this.maximumValue = 0;
 		this.pageSize = 0;
 		this.value = 0;
+		this.isGripHovered = false;
 	},
 
 	TextBox: function(text, x, y, width, height) {
@@ -466,2177 +995,10596 @@ var CanvasUI = {
 		
 		this.text = text;
 		this.draggable = false;
+		this.focusable = true;
 
 		this.cursorIndex = this.text.length;
+		this.selectionAnchor = this.cursorIndex;	// Selection runs from here
+													// to the cursor
 		
 		this.borderSize.top = 2;
 		this.borderSize.right = 2;
 		this.borderSize.bottom = 2;
 		this.borderSize.left = 2;
-	}
-}
-
-
-/** DamagedRectManager Methods **/
+	},
 
-/**
- * Add a damaged rect to the list.  The method automatically clips and splits
- * the rect to ensure that only new regions are added to the list.
- * @param rect The rect to add to the list.
- */
-CanvasUI.DamagedRectManager.prototype.addDamagedRect = function(rect) {
-	var newRects = new Array();
-	var remainingRects = new Array();
+	/**
+	 * Multi-line text editor that wraps its text to fit its width.
+	 * @param text The text to edit.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	TextArea: function(text, x, y, width, height) {
 
-	newRects.push(rect);
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+		
+		this.text = text;
+		this.draggable = false;
+		this.focusable = true;
 
-	// Ensure that the new rect does not overlap any existing rects - we only
-	// want to draw each region once
-	for (var i = 0; i < this.damagedRects.length; ++i) {
-		for (var j = 0; j < newRects.length; ++j) {
+		this.cursorIndex = this.text.length;
+		this.preferredCursorX = null;	// Horizontal position maintained when
+										// the cursor moves between lines
+		this.lines = null;				// Cached wrapped lines
+		this.lineHeight = 16;
+		this.viewY = 0;
 		
-			var intersection = this.damagedRects[i].splitIntersection(newRects[j], remainingRects);
+		this.borderSize.top = 2;
+		this.borderSize.right = 2;
+		this.borderSize.bottom = 2;
+		this.borderSize.left = 2;
 
-			if (intersection) {
-			
-				// Intersection contains the part of the new rect that is already known to be damaged
-				// and can be discarded.  remainingRects contains the rects that still need to be examined
-				newRects.splice(j, 1);
-				j--;
+		this.onScroll = null;
+	},
 
-				// Insert non-overlapping rects to the front of the array so that they are not
-				// examined again for this particular damaged rect
-				for (var k = 0; k < remainingRects.length; ++k) {
-				
-					newRects.unshift(remainingRects[k]);
-					j++;
-				}
+	/**
+	 * Box that can be checked and unchecked, with an optional third "mixed"
+	 * state.
+	 * @param text The text displayed next to the box.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	CheckBox: function(text, x, y, width, height) {
 
-				remainingRects = new Array();
-			}
-		}
-	}
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
 
-	// Add any non-overlapping rects into the damaged rect array
-	for (var i = 0; i < newRects.length; ++i) {
-		this.damagedRects.push(newRects[i]);
-	}
-}
+		this.text = text;
+		this.draggable = false;
+		this.focusable = true;
 
-/**
+		this.state = CanvasUI.CheckBox.UNCHECKED;
+		this.isTriState = false;		// Can the mixed state be reached by
+										// clicking the box?
+	},
+
+	/**
+	 * Button that can be selected but not deselected.  Radio buttons are
+	 * normally added to a RadioButtonGroup, which ensures that only one button
+	 * in the group is selected.
+	 * @param text The text displayed next to the button.
+	 * @param value The value represented by the button.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	RadioButton: function(text, value, x, y, width, height) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.text = text;
+		this.value = value;
+		this.draggable = false;
+		this.focusable = true;
+
+		this.selected = false;
+	},
+
+	/**
+	 * Container for radio buttons that ensures that only one of them is
+	 * selected at a time.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	RadioButtonGroup: function(x, y, width, height) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.draggable = false;
+
+		this.borderSize.top = 2;
+		this.borderSize.right = 2;
+		this.borderSize.bottom = 2;
+		this.borderSize.left = 2;
+
+		this.isFocusRectVisible = false;
+
+		this.selectedButton = null;
+		this.value = null;				// Value of the selected button
+	},
+
+	/**
+	 * Drop-down list that shows the selected option and opens a popup list of
+	 * all options when clicked.  Editable comboboxes allow text to be entered
+	 * that does not match any of the options.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 * @param isEditable True to allow text to be typed into the combobox.
+	 */
+	ComboBox: function(x, y, width, height, isEditable) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.draggable = false;
+		this.isEditable = isEditable ? true : false;
+		this.focusable = !this.isEditable;	// The textbox takes focus instead
+
+		this.selectedIndex = -1;
+		this.maxVisibleOptions = 8;		// Options shown before the list scrolls
+		this.buttonWidth = height;
+
+		var combo = this;
+
+		// The popup list is not a child of the combobox - it is added to the
+		// GUI when opened so that it can overflow the combobox's ancestors
+		this.list = new CanvasUI.ListBox(0, 0, width, 0);
+		this.list.allowMultipleSelections = false;
+
+		// Define release event for list
+		this.list.onRelease = function(gadget, x, y) {
+			combo.selectIndex(gadget.getSelectedIndex());
+			combo.closePopup();
+			combo.focus();
+		}
+
+		this.textBox = null;
+
+		if (this.isEditable) {
+			this.textBox = new CanvasUI.TextBox("", 0, 0, width - this.buttonWidth, height);
+			this.children.add(this.textBox);
+
+			// Let the combobox handle the keys that operate the list
+			this.textBox.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+				if (!combo.handleListKey(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld)) {
+					CanvasUI.TextBox.prototype.processKeyDown.call(this, keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+				}
+			}
+
+			// Define value change event for textbox
+			this.textBox.onValueChange = function(gadget) {
+				combo.selectedIndex = combo.getOptionIndex(gadget.text);
+				combo.updateListSelection();
+
+				combo.fireEvent("valueChange");
+			}
+		}
+	},
+
+	/**
+	 * A single item for display in a Menu.
+	 * @param text The visible text of the item.
+	 * @param shortcut The keyboard shortcut label displayed next to the text.
+	 * Optional.
+	 */
+	MenuItem: function(text, shortcut) {
+		this.text = text;
+		this.shortcut = shortcut ? shortcut : "";
+		this.enabled = true;
+		this.checked = false;
+		this.isCheckable = false;		// Toggle checked state when selected?
+		this.isSeparator = false;
+		this.submenu = null;
+
+		this.onSelect = null;
+	},
+
+	/**
+	 * Popup menu containing a list of items.  Menus can be opened from a
+	 * MenuBar, as a submenu of another menu, or as a gadget's context menu.
+	 */
+	Menu: function() {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, 0, 0, 0, 0);
+
+		this.draggable = false;
+
+		this.borderSize.top = 2;
+		this.borderSize.right = 2;
+		this.borderSize.bottom = 2;
+		this.borderSize.left = 2;
+
+		this.isFocusRectVisible = false;
+
+		this.items = new Array();
+		this.highlightedIndex = -1;
+		this.itemHeight = 20;
+		this.separatorHeight = 8;
+
+		this.parentMenu = null;			// Menu that opened this as a submenu
+		this.menuBar = null;			// Menu bar that this menu belongs to
+		this.openSubmenu = null;		// Currently open submenu
+		this.previousFocus = null;		// Gadget focused before menu opened
+	},
+
+	/**
+	 * Horizontal bar of menu titles, each of which opens a menu.  Menu bars
+	 * are usually placed along the top of the GUI or of a window.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	MenuBar: function(x, y, width, height) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.draggable = false;
+		this.isFocusRectVisible = false;
+
+		this.items = new Array();		// MenuItems whose submenus are the
+										// bar's menus
+		this.openIndex = -1;			// Index of the open menu
+		this.titlePadding = 8;
+		this.previousFocus = null;		// Gadget focused before bar clicked
+	},
+
+	/**
+	 * Container that shows one of several pages at a time.  A strip of tabs
+	 * along the top of the panel switches between the pages.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	TabPanel: function(x, y, width, height) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.draggable = false;
+		this.focusable = true;
+		this.isFocusRectVisible = false;
+
+		this.tabHeight = 22;
+		this.tabPadding = 8;
+		this.closeButtonSize = 8;
+		this.scrollButtonWidth = 16;
+
+		this.borderSize.top = this.tabHeight;
+		this.borderSize.right = 2;
+		this.borderSize.bottom = 2;
+		this.borderSize.left = 2;
+
+		this.pages = new Array();		// TabPages in tab order
+		this.activeIndex = -1;			// Index of the visible page
+		this.firstVisibleTab = 0;		// Index of the leftmost tab in the
+										// strip when the tabs overflow
+
+		this.onTabChange = null;
+		this.onTabClose = null;
+	},
+
+	/**
+	 * Single page of a TabPanel.  Gadgets added to the page are only visible
+	 * while the page's tab is active.
+	 * @param text The text shown in the page's tab.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	TabPage: function(text, x, y, width, height) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.text = text;
+		this.draggable = false;
+		this.isFocusRectVisible = false;
+		this.isClosable = false;		// Show a close button in the tab?
+	},
+
+	/**
+	 * Displays hierarchical data as a tree of nodes that can be expanded and
+	 * collapsed.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	TreeView: function(x, y, width, height) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.draggable = false;
+		this.focusable = true;
+
+		this.borderSize.top = 4;
+		this.borderSize.right = 4;
+		this.borderSize.bottom = 4;
+		this.borderSize.left = 4;
+
+		this.viewY = 0;
+		this.itemHeight = 16;
+		this.indentSize = 16;
+		this.allowMultipleSelections = false;
+
+		// The root node is never drawn; its children are the top level of the
+		// tree
+		this.root = new CanvasUI.TreeNode("", null);
+		this.root.tree = this;
+		this.root.expanded = true;
+
+		this.currentNode = null;		// Node moved by the keyboard
+		this.visibleNodes = null;		// Cache of nodes in expanded branches
+
+		// Scrollbar is only shown when the nodes do not fit in the tree
+		this.scrollbarWidth = 16;
+		this.scrollbar = new CanvasUI.ScrollbarVertical(0, 0, this.scrollbarWidth, 0);
+		this.scrollbar.visible = false;
+		this.scrollbar.focusable = false;
+		this.scrollbar.ignoresLayout = true;
+		this.children.add(this.scrollbar);
+		this.layoutScrollbar();
+
+		var treeView = this;
+
+		// Define value change event for scrollbar
+		this.scrollbar.onValueChange = function(gadget) {
+			treeView.setScrollPosition(gadget.value * treeView.itemHeight);
+		}
+
+		this.onExpand = null;
+		this.onCollapse = null;
+		this.onLoadChildren = null;		// Called to populate lazy nodes
+	},
+
+	/**
+	 * A single node for display in a TreeView.
+	 * @param text The node text.
+	 * @param value The node value.
+	 */
+	TreeNode: function(text, value) {
+		this.text = text;
+		this.value = value;
+		this.selected = false;
+		this.expanded = false;
+		this.isLazy = false;			// Children loaded when first expanded
+		this.childrenLoaded = false;
+
+		this.parent = null;
+		this.tree = null;
+		this.children = new Array();
+	},
+
+	/**
+	 * Slider for choosing a value from a range by dragging a thumb along a
+	 * track.  Vertical sliders have their minimum value at the bottom.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 * @param isVertical True to create a vertical slider; false or omitted to
+	 * create a horizontal slider.
+	 */
+	Slider: function(x, y, width, height, isVertical) {
+
+		// Call base constructor
+		CanvasUI.Gadget.prototype.constructor.call(this, x, y, width, height);
+
+		this.draggable = true;
+		this.focusable = true;
+		this.isVertical = isVertical ? true : false;
+
+		this.minimumValue = 0;
+		this.maximumValue = 100;
+		this.value = 0;
+		this.step = 1;					// Values snap to multiples of step;
+										// 0 disables snapping
+		this.pageStep = 10;				// Change made by page up/down
+
+		this.tickInterval = 0;			// Distance between ticks; 0 for none
+		this.showTickLabels = false;
+		this.showValue = false;			// Draw the value next to the track?
+
+		this.thumbSize = 10;			// Size of thumb along the track
+		this.thumbThickness = 16;		// Size of thumb across the track
+		this.tickLength = 4;
+		this.valueReadoutSize = this.isVertical ? 16 : 40;
+
+		this.dragOffset = 0;			// Distance from grab point to thumb
+										// centre
+	},
+
+	/**
+	 * Modal window that displays a message and a row of buttons.  The static
+	 * alert(), confirm() and prompt() functions create and open common
+	 * message boxes.
+	 * @param title The window title.
+	 * @param message The message to display.  Long lines are wrapped to fit
+	 * the window.
+	 */
+	MessageBox: function(title, message) {
+
+		// Call base constructor
+		CanvasUI.Window.prototype.constructor.call(this, title, 0, 0, 300, 100);
+
+		this.message = message;
+		this.resizable = false;
+
+		// Modal windows cannot be sent behind other windows
+		this.depthButton.hide();
+
+		this.padding = 10;
+		this.lineHeight = 16;
+		this.buttonWidth = 70;
+		this.buttonHeight = 24;
+		this.lines = null;				// Message wrapped to fit the window
+
+		this.buttons = new Array();
+		this.defaultButton = null;		// Button activated by enter
+		this.textBox = null;			// Optional text input
+		this.cancelResult = null;		// Result when closed or escaped
+
+		this.resolve = null;			// Resolves the open() promise
+		this.promise = null;			// Promise returned by open()
+	},
+
+	/**
+	 * Button that displays an image instead of text.
+	 * @param image The URL of the image to display, or an image.
+	 * @param x The x co-ordinate of the gadget, relative to its parent.
+	 * @param y The y co-ordinate of the gadget, relataive to its parent.
+	 * @param width The width of the gadget.
+	 * @param height The height of the gadget.
+	 */
+	ImageButton: function(image, x, y, width, height) {
+
+		// Call base constructor
+		CanvasUI.Button.prototype.constructor.call(this, '', x, y, width, height);
+
+		this.image = this.loadImage(image);
+		this.clickedImage = null;		// Image shown while the button is held
+	},
+
+	/**
+	 * Layout that arranges gadgets in a single row or column.  Gadgets keep
+	 * their size along the row (or column) unless their layoutData has a
+	 * "stretch" factor, in which case they share the remaining space in
+	 * proportion to their factors.  Gadgets fill the row's height (or the
+	 * column's width).
+	 * @param isVertical True to arrange gadgets in a column; false to arrange
+	 * them in a row.
+	 * @param spacing The gap between gadgets.  Optional.
+	 */
+	BoxLayout: function(isVertical, spacing) {
+		this.isVertical = isVertical ? true : false;
+		this.spacing = spacing ? spacing : 0;
+		this.padding = 0;				// Gap around the edge of the container
+	},
+
+	/**
+	 * Layout that arranges gadgets in a grid of equally-sized cells.  Gadgets
+	 * are placed in the cell given by their layoutData's "row" and "column"
+	 * values and can span several cells with "rowSpan" and "columnSpan".
+	 * Gadgets without a row and column fill the next free cell.
+	 * @param columns The number of columns.
+	 * @param rows The number of rows.  Optional; if omitted, there are as many
+	 * rows as the gadgets need.
+	 * @param spacing The gap between cells.  Optional.
+	 */
+	GridLayout: function(columns, rows, spacing) {
+		this.columns = columns;
+		this.rows = rows ? rows : 0;
+		this.spacing = spacing ? spacing : 0;
+		this.padding = 0;				// Gap around the edge of the container
+	},
+
+	/**
+	 * Layout that arranges gadgets left to right at their current size,
+	 * wrapping onto a new line when a line is full.
+	 * @param spacing The gap between gadgets and between lines.  Optional.
+	 */
+	FlowLayout: function(spacing) {
+		this.spacing = spacing ? spacing : 0;
+		this.padding = 0;				// Gap around the edge of the container
+	},
+
+	/**
+	 * Colours, gradients, border sizes and fonts used to draw gadgets.  The
+	 * default values describe the classic look; any of them can be replaced by
+	 * passing an object containing new values, for example:
+	 * new CanvasUI.Theme({ focusColour: '#f00', fontSize: '14px' })
+	 * Gradients are arrays of colour stops in the format accepted by
+	 * Graphics.fillGradientRect().
+	 * @param properties An object containing values that override the
+	 * defaults.  Optional.  Passing an existing theme copies it.
+	 */
+	Theme: function(properties) {
+
+		// Palette copied into each gadget's colour properties
+		this.backColour = '#eee';
+		this.shineColour = '#fff';
+		this.shadowColour = '#000';
+		this.darkColour = '#555';
+		this.highlightColour = '#aaf';
+		this.textColour = '#000';
+
+		// Colours that gadgets read from the theme as they draw
+		this.focusColour = '#00f';
+		this.inactiveHighlightColour = '#aaa';
+		this.hoverColour = '#ddf';				// List rows under the mouse
+		this.cursorColour = '#99f';
+		this.guideColour = '#aaa';
+		this.gripColour = '#555';
+		this.gripActiveColour = '#888';
+		this.gripHoverColour = '#777';
+		this.windowTextColour = '#fff';			// Text drawn on window backgrounds
+		this.windowTitleTextColour = '#000';
+
+		this.gadgetGradient = [
+			{ offset: 0, colour: '#eee' },
+			{ offset: 0.1, colour: '#ddd' },
+			{ offset: 1, colour: '#ccc' }
+		];
+		this.gadgetHoverGradient = [			// Buttons under the mouse
+			{ offset: 0, colour: '#fff' },
+			{ offset: 0.1, colour: '#eee' },
+			{ offset: 1, colour: '#ddd' }
+		];
+		this.gadgetActiveGradient = [			// Dragged slider thumbs
+			{ offset: 0, colour: '#ddd' },
+			{ offset: 0.1, colour: '#ccc' },
+			{ offset: 1, colour: '#bbb' }
+		];
+		this.windowTitleGradient = [
+			{ offset: 0, colour: '#ddf' },
+			{ offset: 0.2, colour: '#99f' },
+			{ offset: 1, colour: '#88f' }
+		];
+		this.windowInactiveTitleGradient = [
+			{ offset: 0, colour: '#eef' },
+			{ offset: 0.2, colour: '#bbf' },
+			{ offset: 1, colour: '#aaf' }
+		];
+		this.windowButtonHoverGradient = [
+			{ offset: 0, colour: '#fff' },
+			{ offset: 0.2, colour: '#ccf' },
+			{ offset: 1, colour: '#bbf' }
+		];
+		this.windowGradient = [
+			{ offset: 0, colour: '#000' },
+			{ offset: 1, colour: '#555' }
+		];
+
+		this.windowTitleHeight = 24;
+		this.windowBorderWidth = 6;
+
+		this.fontSize = "12px";
+		this.fontFamily = "sans-serif";
+		this.fontWeight = "normal";
+		this.fontStyle = "normal";
+
+		if (properties != null) {
+			for (var i in properties) {
+				if (properties.hasOwnProperty(i)) this[i] = properties[i];
+			}
+		}
+	}
+}
+
+
+/** Theme Methods **/
+
+/**
+ * The classic theme, used by gadgets that have not been given another theme.
+ */
+CanvasUI.Theme.DEFAULT = new CanvasUI.Theme();
+
+/**
+ * Light text on dark gadgets.
+ */
+CanvasUI.Theme.DARK = new CanvasUI.Theme({
+	backColour: '#333',
+	shineColour: '#4a4a4a',
+	shadowColour: '#111',
+	darkColour: '#888',
+	highlightColour: '#357',
+	textColour: '#eee',
+	focusColour: '#6af',
+	inactiveHighlightColour: '#555',
+	hoverColour: '#555',
+	cursorColour: '#468',
+	guideColour: '#666',
+	gripColour: '#777',
+	gripActiveColour: '#999',
+	gripHoverColour: '#888',
+	windowTextColour: '#eee',
+	windowTitleTextColour: '#eee',
+	gadgetGradient: [
+		{ offset: 0, colour: '#555' },
+		{ offset: 0.1, colour: '#4a4a4a' },
+		{ offset: 1, colour: '#3a3a3a' }
+	],
+	gadgetHoverGradient: [
+		{ offset: 0, colour: '#666' },
+		{ offset: 0.1, colour: '#5a5a5a' },
+		{ offset: 1, colour: '#4a4a4a' }
+	],
+	gadgetActiveGradient: [
+		{ offset: 0, colour: '#4a4a4a' },
+		{ offset: 0.1, colour: '#3a3a3a' },
+		{ offset: 1, colour: '#2a2a2a' }
+	],
+	windowTitleGradient: [
+		{ offset: 0, colour: '#57a' },
+		{ offset: 0.2, colour: '#358' },
+		{ offset: 1, colour: '#247' }
+	],
+	windowInactiveTitleGradient: [
+		{ offset: 0, colour: '#555' },
+		{ offset: 0.2, colour: '#444' },
+		{ offset: 1, colour: '#3a3a3a' }
+	],
+	windowButtonHoverGradient: [
+		{ offset: 0, colour: '#79c' },
+		{ offset: 0.2, colour: '#57a' },
+		{ offset: 1, colour: '#469' }
+	],
+	windowGradient: [
+		{ offset: 0, colour: '#1a1a1a' },
+		{ offset: 1, colour: '#2a2a2a' }
+	]
+});
+
+/**
+ * Black on white with flat fills, strong edges, a bright selection colour and
+ * thicker window borders.
+ */
+CanvasUI.Theme.HIGH_CONTRAST = new CanvasUI.Theme({
+	backColour: '#fff',
+	shineColour: '#fff',
+	shadowColour: '#000',
+	darkColour: '#666',
+	highlightColour: '#ff0',
+	textColour: '#000',
+	focusColour: '#f00',
+	inactiveHighlightColour: '#ccc',
+	hoverColour: '#ddd',
+	cursorColour: '#0ff',
+	guideColour: '#000',
+	gripColour: '#000',
+	gripActiveColour: '#666',
+	gripHoverColour: '#444',
+	windowTextColour: '#fff',
+	windowTitleTextColour: '#fff',
+	gadgetGradient: [
+		{ offset: 0, colour: '#fff' },
+		{ offset: 1, colour: '#fff' }
+	],
+	gadgetHoverGradient: [
+		{ offset: 0, colour: '#ddd' },
+		{ offset: 1, colour: '#ddd' }
+	],
+	gadgetActiveGradient: [
+		{ offset: 0, colour: '#ff0' },
+		{ offset: 1, colour: '#ff0' }
+	],
+	windowTitleGradient: [
+		{ offset: 0, colour: '#000' },
+		{ offset: 1, colour: '#000' }
+	],
+	windowInactiveTitleGradient: [
+		{ offset: 0, colour: '#666' },
+		{ offset: 1, colour: '#666' }
+	],
+	windowButtonHoverGradient: [
+		{ offset: 0, colour: '#444' },
+		{ offset: 1, colour: '#444' }
+	],
+	windowGradient: [
+		{ offset: 0, colour: '#000' },
+		{ offset: 1, colour: '#000' }
+	],
+	windowTitleHeight: 26,
+	windowBorderWidth: 8,
+	fontSize: "14px"
+});
+
+
+/** DamagedRectManager Methods **/
+
+/**
+ * Add a damaged rect to the list.  The method automatically clips and splits
+ * the rect to ensure that only new regions are added to the list.
+ * @param rect The rect to add to the list.
+ */
+CanvasUI.DamagedRectManager.prototype.addDamagedRect = function(rect) {
+	var newRects = new Array();
+	var remainingRects = new Array();
+
+	newRects.push(rect);
+
+	// Ensure that the new rect does not overlap any existing rects - we only
+	// want to draw each region once
+	for (var i = 0; i < this.damagedRects.length; ++i) {
+		for (var j = 0; j < newRects.length; ++j) {
+		
+			var intersection = this.damagedRects[i].splitIntersection(newRects[j], remainingRects);
+
+			if (intersection) {
+			
+				// Intersection contains the part of the new rect that is already known to be damaged
+				// and can be discarded.  remainingRects contains the rects that still need to be examined
+				newRects.splice(j, 1);
+				j--;
+
+				// Insert non-overlapping rects to the front of the array so that they are not
+				// examined again for this particular damaged rect
+				for (var k = 0; k < remainingRects.length; ++k) {
+				
+					newRects.unshift(remainingRects[k]);
+					j++;
+				}
+
+				remainingRects = new Array();
+			}
+		}
+	}
+
+	// Add any non-overlapping rects into the damaged rect array
+	for (var i = 0; i < newRects.length; ++i) {
+		this.damagedRects.push(newRects[i]);
+	}
+}
+
+/**
  * Redraws all damaged rects.
  */
-CanvasUI.DamagedRectManager.prototype.redraw = function() {
-	this.drawRects(this.gadget, this.damagedRects);
+CanvasUI.DamagedRectManager.prototype.redraw = function() {
+	this.drawRects(this.gadget, this.damagedRects);
+
+	// Anything that changes the way the GUI looks may change the way that it
+	// is described to screen readers
+	if (this.gadget.accessibilityTree != null) this.gadget.accessibilityTree.update();
+}
+
+/**
+ * Redraws the specified list of damaged rects for the specified gadget.  The
+ * function will recursively call itself in order to draw the gadget and its
+ * children in such a way as to minimise redrawing.  The algorithm looks like
+ * this:
+ * - Work out which parts of the damagedRects array intersect the current
+ *   gadget and remove them from the damagedRects array.
+ * - Recursively call the method for each of the gadget's children, sending the
+ *   intersecting regions as a new array.
+ * - Receive back from children any undrawn areas in the new array.
+ * - Redraw all rects in the new array.
+ * @param gadget The gadget to redraw.
+ * @param damagedRects An array of rectangles that must be redrawn.
+ */
+CanvasUI.DamagedRectManager.prototype.drawRects = function(gadget, damagedRects) {
+
+	if (!gadget.isVisible()) return;
+	if (damagedRects.length == 0) return;
+
+	var gadgetRect = gadget.getRectClippedToHierarchy();
+	
+	var remainingRects = new Array();
+	var subRects = new Array();
+	
+	// Work out which of the damaged rects collide with the current gadget
+	for (var i = 0; i < damagedRects.length; ++i) {
+		var damagedRect = damagedRects[i];
+		
+		// Work out which part of the damaged rect intersects the current gadget
+		var intersection = gadgetRect.splitIntersection(damagedRect, remainingRects);
+		
+		if (intersection) {
+			damagedRects.splice(i, 1);
+			i--;
+			
+			// Add the non-intersecting parts of the damaged rect back into the
+			// list of undrawn rects
+			for (var j = 0; j < remainingRects.length; ++j) {
+				damagedRects.unshift(remainingRects[j]);
+				i++;
+			}
+			
+			remainingRects = new Array();
+			
+			// Get children to draw all parts of themselves that intersect the
+			// intersection we've found.
+			subRects.push(intersection);
+			
+			for (var j = gadget.children.length() - 1; j >= 0; --j) {
+				this.drawRects(gadget.children.at(j), subRects);
+				
+				// Abort if all rects have been drawn
+				if (subRects.length == 0) break;
+			}
+			
+			// Children have drawn themselves; anything left in the subRects
+			// array must overlap this gadget
+			for (var j = 0; j < subRects.length; ++j) {
+				gadget.draw(subRects[j]);
+			}
+			
+			subRects = new Array();
+		}
+	}
+}
+
+
+/** ShortcutManager Methods **/
+
+/**
+ * Adds a shortcut.
+ * @param keys The key combination, such as "Ctrl+S".
+ * @param callback The function to call when the keys are pressed.
+ * @param scope The gadget or window that must contain the focus for the
+ * shortcut to work, or null for a shortcut that works anywhere.  Optional.
+ * @return The new shortcut.
+ */
+CanvasUI.ShortcutManager.prototype.add = function(keys, callback, scope) {
+	var shortcut = new CanvasUI.Shortcut(keys, callback, scope);
+	this.shortcuts.push(shortcut);
+	return shortcut;
+}
+
+/**
+ * Removes a shortcut.
+ * @param shortcut The shortcut to remove.
+ */
+CanvasUI.ShortcutManager.prototype.remove = function(shortcut) {
+	for (var i = 0; i < this.shortcuts.length; ++i) {
+		if (this.shortcuts[i] == shortcut) {
+			this.shortcuts.splice(i, 1);
+			return;
+		}
+	}
+}
+
+/**
+ * Removes every shortcut with the specified scope.
+ * @param scope The scope of the shortcuts to remove, or null to remove the
+ * global shortcuts.
+ */
+CanvasUI.ShortcutManager.prototype.removeScope = function(scope) {
+	for (var i = this.shortcuts.length - 1; i >= 0; --i) {
+		if (this.shortcuts[i].scope == scope) this.shortcuts.splice(i, 1);
+	}
+}
+
+/**
+ * Runs the shortcut that matches a keydown, if any.  Alt and a letter or
+ * digit presses the button with that mnemonic in the active window if no
+ * shortcut claims the keys.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeld True if the ctrl key is held.
+ * @return True if the keys were handled.
+ */
+CanvasUI.ShortcutManager.prototype.keyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	var candidates = new Array();
+
+	for (var i = 0; i < this.shortcuts.length; ++i) {
+		var shortcut = this.shortcuts[i];
+
+		if (shortcut.matches(keyCode, isShiftHeld, isAltHeld, isCtrlHeld) && this.isActive(shortcut)) {
+			candidates.push({ shortcut: shortcut, depth: this.getScopeDepth(shortcut.scope), position: i });
+		}
+	}
+
+	// Try the most specific shortcut first
+	candidates.sort(function(a, b) {
+		if (a.depth != b.depth) return b.depth - a.depth;
+		return b.position - a.position;
+	});
+
+	for (var i = 0; i < candidates.length; ++i) {
+		if (candidates[i].shortcut.callback(candidates[i].shortcut) !== false) return true;
+	}
+
+	if (isAltHeld && !isCtrlHeld) {
+		var button = this.findMnemonicButton(this.gui.getActiveWindow(), String.fromCharCode(keyCode));
+
+		if (button != null) {
+			button.activate();
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Checks whether a shortcut can currently run.  Scoped shortcuts only run
+ * while their scope is enabled and contains the focus.  While a modal gadget
+ * is open, only shortcuts scoped to it or its contents run.
+ * @param shortcut The shortcut to check.
+ * @return True if the shortcut can run.
+ */
+CanvasUI.ShortcutManager.prototype.isActive = function(shortcut) {
+	if (!shortcut.enabled) return false;
+
+	if (shortcut.scope == null) return !this.gui.isBlockedByModal(this.gui);
+
+	if (shortcut.scope.getGui() != this.gui) return false;
+	if (!shortcut.scope.focused || !shortcut.scope.isEnabled()) return false;
+
+	return !this.gui.isBlockedByModal(shortcut.scope);
+}
+
+/**
+ * Gets the number of ancestors that a shortcut's scope has.
+ * @param scope The scope to measure.  Can be null.
+ * @return The depth of the scope, or -1 for global shortcuts.
+ */
+CanvasUI.ShortcutManager.prototype.getScopeDepth = function(scope) {
+	var depth = -1;
+
+	for (; scope != null; scope = scope.parent) ++depth;
+
+	return depth;
+}
+
+/**
+ * Finds the enabled, visible button with the specified mnemonic inside a
+ * gadget.  Windows inside the gadget are not searched.
+ * @param gadget The gadget to search.
+ * @param mnemonic The mnemonic character to look for.
+ * @return The button, or null if there is none.
+ */
+CanvasUI.ShortcutManager.prototype.findMnemonicButton = function(gadget, mnemonic) {
+	for (var i = 0; i < gadget.children.length(); ++i) {
+		var child = gadget.children.at(i);
+
+		if (!child.isVisible() || !child.isEnabled()) continue;
+
+		if (child instanceof CanvasUI.Button && child.mnemonic == mnemonic) return child;
+
+		if (!(child instanceof CanvasUI.Window)) {
+			var button = this.findMnemonicButton(child, mnemonic);
+			if (button != null) return button;
+		}
+	}
+
+	return null;
+}
+
+
+/** Shortcut Methods **/
+
+/**
+ * Key codes of the named keys that can be used in shortcuts.  Letters, digits
+ * and function keys are recognised without being listed.
+ */
+CanvasUI.Shortcut.KEY_CODES = {
+	BACKSPACE: 8,
+	TAB: 9,
+	ENTER: 13,
+	ESC: 27,
+	ESCAPE: 27,
+	SPACE: 32,
+	PAGEUP: 33,
+	PAGEDOWN: 34,
+	END: 35,
+	HOME: 36,
+	LEFT: 37,
+	UP: 38,
+	RIGHT: 39,
+	DOWN: 40,
+	INSERT: 45,
+	DEL: 46,
+	DELETE: 46
+}
+
+/**
+ * Reads the key and modifiers from a key combination.  Keys that are not
+ * recognised leave the shortcut with a key code of 0, which never matches.
+ * @param keys The key combination, such as "Ctrl+Shift+Z".
+ */
+CanvasUI.Shortcut.prototype.parseKeys = function(keys) {
+	var parts = keys.toUpperCase().split("+");
+
+	for (var i = 0; i < parts.length; ++i) {
+		var part = parts[i].replace(/^\s+|\s+$/g, "");
+
+		if (part == "CTRL") {
+			this.isCtrlHeld = true;
+		} else if (part == "SHIFT") {
+			this.isShiftHeld = true;
+		} else if (part == "ALT") {
+			this.isAltHeld = true;
+		} else if (CanvasUI.Shortcut.KEY_CODES.hasOwnProperty(part)) {
+			this.keyCode = CanvasUI.Shortcut.KEY_CODES[part];
+		} else if (/^F([1-9]|1[0-2])$/.test(part)) {
+			this.keyCode = 111 + parseInt(part.substring(1));
+		} else if (/^[A-Z0-9]$/.test(part)) {
+			this.keyCode = part.charCodeAt(0);
+		}
+	}
+}
+
+/**
+ * Checks whether a keydown matches the shortcut.  The modifiers must match
+ * exactly, so "Ctrl+Z" does not match ctrl-shift-z.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isCtrlHeld True if the ctrl key is held.
+ * @return True if the keydown matches.
+ */
+CanvasUI.Shortcut.prototype.matches = function(keyCode, isShiftHeld, isAltHeld, isCtrlHeld) {
+	if (this.keyCode == 0 || keyCode != this.keyCode) return false;
+
+	return this.isShiftHeld == isShiftHeld && this.isAltHeld == isAltHeld && this.isCtrlHeld == isCtrlHeld;
+}
+
+
+/** AccessibilityTree Methods **/
+
+/**
+ * Records that a gadget has been redrawn, so that its element and the
+ * elements of its children are brought up to date at the next update.  Its
+ * parent's element is updated too, as the gadget may have been added,
+ * removed, shown or hidden.
+ * @param gadget The damaged gadget.
+ */
+CanvasUI.AccessibilityTree.prototype.markDamaged = function(gadget) {
+	if (this.damagedGadgets.indexOf(gadget) == -1) this.damagedGadgets.push(gadget);
+
+	if (gadget.parent != null && this.damagedParents.indexOf(gadget.parent) == -1) {
+		this.damagedParents.push(gadget.parent);
+	}
+}
+
+/**
+ * Brings the DOM tree up to date with the gadgets that have been redrawn
+ * since the last update.  Called whenever the GUI is redrawn.
+ */
+CanvasUI.AccessibilityTree.prototype.update = function() {
+	if (this.isUpdating) return;
+	if (this.damagedGadgets.length == 0) return;
+
+	this.isUpdating = true;
+
+	// Moving an element within the DOM loses its focus, so check for focus
+	// before rearranging anything
+	var hasFocus = this.containsFocus();
+
+	var focused = this.gui;
+	while (focused.focusedGadget != null) focused = focused.focusedGadget;
+
+	// Tabbing into the tree from the page reaches the focused gadget, or the
+	// first gadget in the active window's tab order
+	var entryGadget = this.entryGadget;
+
+	this.entryGadget = focused.focusable ? focused : this.gui.getActiveWindow().getTabOrder()[0];
+
+	var damagedGadgets = this.damagedGadgets;
+	var damagedParents = this.damagedParents;
+
+	this.damagedGadgets = new Array();
+	this.damagedParents = new Array();
+
+	// Update each damaged gadget along with its children, unless one of its
+	// ancestors has already done so
+	for (var i = 0; i < damagedGadgets.length; ++i) {
+		var gadget = damagedGadgets[i];
+
+		if (this.isMirrored(gadget) && !this.hasDamagedAncestor(gadget, damagedGadgets)) {
+			this.updateElement(gadget, gadget.accessibleNode, true);
+		}
+	}
+
+	// Add and remove the elements of children that have been added, removed,
+	// shown or hidden
+	for (var i = 0; i < damagedParents.length; ++i) {
+		var gadget = damagedParents[i];
+
+		if (this.isMirrored(gadget) && damagedGadgets.indexOf(gadget) == -1 && !this.hasDamagedAncestor(gadget, damagedGadgets)) {
+			this.updateElement(gadget, gadget.accessibleNode, false);
+		}
+	}
+
+	// Only one gadget can be reached by tabbing in from the page
+	if (entryGadget != this.entryGadget) {
+		if (entryGadget != null && entryGadget.accessibleNode != null) {
+			this.applyAttributes(entryGadget.accessibleNode, { "tabindex": entryGadget.focusable ? "-1" : null });
+		}
+
+		if (this.entryGadget != null && this.entryGadget.accessibleNode != null) {
+			this.applyAttributes(this.entryGadget.accessibleNode, { "tabindex": "0" });
+		}
+	}
+
+	// Move the screen reader along with the focus, as long as it is already
+	// reading the GUI
+	var element = focused.accessibleNode;
+
+	if (hasFocus && focused != this.gui && element != null && element.getAttribute("tabindex") != null && document.activeElement != element) {
+		element.focus();
+	}
+
+	this.isUpdating = false;
+}
+
+/**
+ * Checks whether a gadget is mirrored in the tree: it must have an element
+ * and be visible within the GUI.
+ * @param gadget The gadget to check.
+ * @return True if the gadget is mirrored.
+ */
+CanvasUI.AccessibilityTree.prototype.isMirrored = function(gadget) {
+	if (gadget.accessibleNode == null) return false;
+
+	for (var ancestor = gadget; ancestor != this.gui; ancestor = ancestor.parent) {
+		if (ancestor == null || !ancestor.isVisible()) return false;
+	}
+
+	return true;
+}
+
+/**
+ * Checks whether any of a gadget's ancestors is in a list of gadgets.
+ * @param gadget The gadget to check.
+ * @param gadgets The list of gadgets.
+ * @return True if an ancestor is in the list.
+ */
+CanvasUI.AccessibilityTree.prototype.hasDamagedAncestor = function(gadget, gadgets) {
+	for (var ancestor = gadget.parent; ancestor != null; ancestor = ancestor.parent) {
+		if (gadgets.indexOf(ancestor) > -1) return true;
+	}
+
+	return false;
+}
+
+/**
+ * Updates the element that mirrors a gadget, and the elements that mirror its
+ * items and visible children.
+ * @param gadget The gadget to mirror.
+ * @param element The gadget's element.
+ * @param isRecursive True to update the elements of the gadget's existing
+ * children as well.  The elements of new children are always updated.
+ */
+CanvasUI.AccessibilityTree.prototype.updateElement = function(gadget, element, isRecursive) {
+	var attributes = gadget.getAccessibleAttributes();
+
+	// Only focusable gadgets can be reached with the keyboard, and only one of
+	// them is in the page's tab order
+	attributes["tabindex"] = gadget.focusable ? (gadget == this.entryGadget ? "0" : "-1") : null;
+
+	// Screen readers should not wander outside of an open modal gadget
+	attributes["aria-hidden"] = gadget.parent == this.gui && this.gui.isBlockedByModal(gadget) ? "true" : null;
+
+	this.applyAttributes(element, attributes);
+
+	var elements = new Array();
+
+	var text = gadget.getAccessibleText();
+
+	if (text != null) {
+		if (element.textElement == null) element.textElement = document.createElement("span");
+		if (element.textElement.textContent != text) element.textElement.textContent = text;
+
+		elements.push(element.textElement);
+	}
+
+	var items = gadget.getAccessibleItems();
+
+	if (element.itemElements == null) element.itemElements = new Array();
+
+	for (var i = 0; i < items.length; ++i) {
+		if (i == element.itemElements.length) element.itemElements.push(this.createItemElement(gadget, i));
+
+		var itemElement = element.itemElements[i];
+
+		this.applyAttributes(itemElement, items[i].attributes);
+		if (itemElement.textContent != items[i].text) itemElement.textContent = items[i].text;
+
+		elements.push(itemElement);
+	}
+
+	element.itemElements.length = items.length;
+
+	for (var i = 0; i < gadget.children.length(); ++i) {
+		var child = gadget.children.at(i);
+
+		if (!child.isVisible()) continue;
+
+		if (child.accessibleNode == null) {
+			child.accessibleNode = this.createElement(child);
+			this.updateElement(child, child.accessibleNode, true);
+		} else if (isRecursive) {
+			this.updateElement(child, child.accessibleNode, true);
+		}
+
+		elements.push(child.accessibleNode);
+	}
+
+	// Put the elements in order and remove any that are no longer needed
+	for (var i = 0; i < elements.length; ++i) {
+		if (element.children[i] != elements[i]) element.insertBefore(elements[i], i < element.children.length ? element.children[i] : null);
+	}
+
+	while (element.children.length > elements.length) {
+		element.removeChild(element.children[elements.length]);
+	}
+}
+
+/**
+ * Sets the attributes of an element, removing those with null values.
+ * Attributes that have not changed are left alone.
+ * @param element The element to update.
+ * @param attributes An object mapping attribute names to values.
+ */
+CanvasUI.AccessibilityTree.prototype.applyAttributes = function(element, attributes) {
+	for (var name in attributes) {
+		if (!attributes.hasOwnProperty(name)) continue;
+
+		var value = attributes[name];
+
+		if (value == null) {
+			if (element.getAttribute(name) != null) element.removeAttribute(name);
+		} else if (element.getAttribute(name) != String(value)) {
+			element.setAttribute(name, value);
+		}
+	}
+}
+
+/**
+ * Creates the element that mirrors a gadget.  Focusing the element focuses
+ * the gadget and clicking it activates the gadget.
+ * @param gadget The gadget to mirror.
+ * @return The new element.
+ */
+CanvasUI.AccessibilityTree.prototype.createElement = function(gadget) {
+	var element = document.createElement("div");
+	var tree = this;
+
+	element.addEventListener("focus", function(e) { tree.focusGadget(gadget); }, false);
+	element.addEventListener("click", function(e) {
+		e.stopPropagation();
+		tree.activateGadget(gadget);
+	}, false);
+
+	return element;
+}
+
+/**
+ * Creates the element that mirrors one of a gadget's items, such as an option
+ * in a listbox.  Clicking the element activates the item.
+ * @param gadget The gadget that owns the item.
+ * @param index The index of the item.
+ * @return The new element.
+ */
+CanvasUI.AccessibilityTree.prototype.createItemElement = function(gadget, index) {
+	var element = document.createElement("div");
+	var tree = this;
+
+	element.addEventListener("click", function(e) {
+		e.stopPropagation();
+		tree.activateItem(gadget, index);
+	}, false);
+
+	return element;
+}
+
+/**
+ * Checks whether the browser's focus is on one of the tree's elements.
+ * @return True if the tree contains the focus.
+ */
+CanvasUI.AccessibilityTree.prototype.containsFocus = function() {
+	for (var element = document.activeElement; element != null; element = element.parentNode) {
+		if (element == this.element) return true;
+	}
+
+	return false;
+}
+
+/**
+ * Checks whether a gadget can be operated through the tree.
+ * @param gadget The gadget to check.
+ * @return True if the gadget is enabled and not blocked by a modal gadget.
+ */
+CanvasUI.AccessibilityTree.prototype.isOperable = function(gadget) {
+	return !this.isUpdating && gadget.isEnabled() && !this.gui.isBlockedByModal(gadget);
+}
+
+/**
+ * Gives focus to the gadget whose element received the browser's focus.
+ * @param gadget The gadget to focus.
+ */
+CanvasUI.AccessibilityTree.prototype.focusGadget = function(gadget) {
+	if (!this.isOperable(gadget)) return;
+
+	if (!gadget.focused || gadget.focusedGadget != null) gadget.setFocusedGadget(null);
+
+	this.gui.damagedRectManager.redraw();
+}
+
+/**
+ * Activates the gadget whose element was clicked.
+ * @param gadget The gadget to activate.
+ */
+CanvasUI.AccessibilityTree.prototype.activateGadget = function(gadget) {
+	if (!this.isOperable(gadget)) return;
+
+	gadget.activate();
+
+	this.gui.damagedRectManager.redraw();
+}
+
+/**
+ * Activates the item whose element was clicked.
+ * @param gadget The gadget that owns the item.
+ * @param index The index of the item.
+ */
+CanvasUI.AccessibilityTree.prototype.activateItem = function(gadget, index) {
+	if (!this.isOperable(gadget)) return;
+
+	gadget.activateItem(index);
+
+	this.gui.damagedRectManager.redraw();
+}
+
+
+/** Rect Methods **/
+
+/**
+ * Gets the co-ordinate of the rectangle's right edge.
+ * @return The co-ordinate of the rectangle's right edge.
+ */
+CanvasUI.Rectangle.prototype.getX2 = function() {
+	return this.x + this.width - 1;
+}
+
+/**
+ * Gets the co-ordinate of the rectangle's bottom edge.
+ * @return The co-ordinate of the rectangle's bottom edge.
+ */
+CanvasUI.Rectangle.prototype.getY2 = function() {
+	return this.y + this.height - 1;
+}
+
+/**
+ * Gets the intersect of this rectangle with the supplied argument.
+ * @param rect The rectangle to intersect with this.
+ * @return A rectangle that represents the intersection of the two rectangles.
+ */
+CanvasUI.Rectangle.prototype.getIntersect = function(rect) {
+	var x1 = this.x > rect.x ? this.x : rect.x;
+	var y1 = this.y > rect.y ? this.y : rect.y;
+
+	var x2 = this.getX2() < rect.getX2() ? this.getX2() : rect.getX2();
+	var y2 = this.getY2() < rect.getY2() ? this.getY2() : rect.getY2();
+
+	return new CanvasUI.Rectangle(x1, y1, x2 - x1 + 1, y2 - y1 + 1);
+}
+
+/**
+ * Gets the smallest rectangle capable of containing this rect and the supplied
+ * argument.
+ * @param rect The rectangle to add to this.
+ * @return The smallest rectangle that can contain this rect and the argument.
+ */
+CanvasUI.Rectangle.prototype.getAddition = function(rect) {
+	var x1 = x < rect.x ? this.x : rect.x;
+	var y1 = y < rect.y ? this.y : rect.x;
+
+	var x2 = this.getX2() > rect.getX2() ? this.getX2() : rect.getX2();
+	var y2 = this.getY2() > rect.getY2() ? this.getY2() : rect.getY2();
+
+	return new CanvasUI.Rectangle(x1, y1, x2 - x1 + 1, y2 - y1 + 1);
+}
+
+/**
+ * Clips this rectangle to the intersection with the supplied argument.
+ * @param rect The rectangle to clip to.
+ */
+CanvasUI.Rectangle.prototype.clipToIntersect = function(rect) {
+	var clipped = this.getIntersect(rect);
+
+	this.x = clipped.x;
+	this.y = clipped.y;
+	this.width = clipped.width;
+	this.height = clipped.height;
+}
+
+/**
+ * Increases the size of the rect to encompass the supplied argument.
+ * @param rect The rect to encompass.
+ */
+CanvasUI.Rectangle.prototype.expandToInclude = function(rect) {
+	var addition = getAddition(rect);
+
+	this.x = addition.x;
+	this.y = addition.y;
+	this.width = addition.width;
+	this.height = addition.height;
+}
+
+/**
+ * Check if the rectangle has valid dimensions.
+ * @return True if the rectangle has valid dimensions.
+ */
+CanvasUI.Rectangle.prototype.hasDimensions = function() {
+	if (this.width < 1) return false;
+	if (this.height < 1) return false;
+	return true;
+}
+
+/**
+ * Check if this rectangle intersects the argument.
+ * @param rect The rect to check for an intersection.
+ * @return True if the rects intersect.
+ */
+CanvasUI.Rectangle.prototype.intersects = function(rect) {
+	return ((this.x + this.width > rect.x) &&
+			(this.y + this.height > rect.y) &&
+			(this.x < rect.x + rect.width) &&
+			(this.y < rect.y + rect.height));
+}
+
+/**
+ * Check if this rectangle contains the argument co-ordinate.
+ * @param x The x co-ordinate to check.
+ * @param y The y co-ordinate to check.
+ * @return True if this rect contains the argument co-ordinate.
+ */
+CanvasUI.Rectangle.prototype.contains = function(x, y) {
+	return ((x >= this.x) &&
+			(y >= this.y) &&
+			(x < this.x + this.width) &&
+			(y < this.y + this.height));
+}
+
+/**
+ * Splits the rect argument into the area that overlaps this rect (this is
+ * the return value) and an array of areas that do not overlap (this is the
+ * remainderRects argument, which must be passed as an empty array).
+ * @param rect The rectangle to intersect with this.
+ * @param remainderRects An empty array that will be populated with the areas
+ * of the rect parameter that do not intersect with this rect.
+ * @return The intersection of this rectangle and the rect argument.
+ */
+CanvasUI.Rectangle.prototype.splitIntersection = function(rect, remainderRects) {
+
+	if (!this.intersects(rect)) return null;
+	
+	// Copy the properties of rect into intersection; we trim this to size later
+	var intersection = new CanvasUI.Rectangle(rect.x, rect.y, rect.width, rect.height);
+
+	// Check for a non-overlapped rect on the left
+	if (intersection.x < this.x) {
+		var left = new CanvasUI.Rectangle(0, 0, 0, 0);
+		left.x = intersection.x;
+		left.y = intersection.y;
+		left.width = this.x - intersection.x;
+		left.height = intersection.height;
+		
+		// Insert the rect
+		remainderRects.push(left);
+		
+		// Adjust the dimensions of the intersection
+		intersection.x = this.x;
+		intersection.width -= left.width;
+	}
+	
+	// Check for a non-overlapped rect on the right
+	if (intersection.x + intersection.width > this.x + this.width) {
+		var right = new CanvasUI.Rectangle(0, 0, 0, 0);
+		right.x = this.x + this.width;
+		right.y = intersection.y;
+		right.width = intersection.width - (this.x + this.width - intersection.x);
+		right.height = intersection.height;
+		
+		// Insert the rect
+		remainderRects.push(right);
+		
+		// Adjust dimensions of the intersection
+		intersection.width -= right.width;
+	}
+	
+	// Check for a non-overlapped rect above
+	if (intersection.y < this.y) {
+		var top = new CanvasUI.Rectangle(0, 0, 0, 0);
+		top.x = intersection.x;
+		top.y = intersection.y;
+		top.width = intersection.width;
+		top.height = this.y - intersection.y;
+		
+		// Insert the rect
+		remainderRects.push(top);
+		
+		// Adjust the dimensions of the intersection
+		intersection.y = this.y;
+		intersection.height -= top.height;
+	}
+	
+	// Check for a non-overlapped rect below
+	if (intersection.y + intersection.height > this.y + this.height) {
+		var bottom = new CanvasUI.Rectangle(0, 0, 0, 0);
+		bottom.x = intersection.x;
+		bottom.y = this.y + this.height;
+		bottom.width = intersection.width;
+		bottom.height = intersection.height - (this.y + this.height - intersection.y);
+		
+		// Insert the rect
+		remainderRects.push(bottom);
+		
+		// Adjust dimensions of the intersection
+		intersection.height -= bottom.height;
+	}
+	
+	return intersection;
+}
+
+
+
+/** Graphics Methods **/
+
+/**
+ * Text is aligned with the left edge of the rectangle it is drawn in.
+ */
+CanvasUI.Graphics.ALIGN_LEFT = 0;
+
+/**
+ * Text is centred horizontally within the rectangle it is drawn in.
+ */
+CanvasUI.Graphics.ALIGN_CENTRE = 1;
+
+/**
+ * Text is aligned with the right edge of the rectangle it is drawn in.
+ */
+CanvasUI.Graphics.ALIGN_RIGHT = 2;
+
+/**
+ * Text is aligned with the top edge of the rectangle it is drawn in.
+ */
+CanvasUI.Graphics.ALIGN_TOP = 0;
+
+/**
+ * Text is centred vertically within the rectangle it is drawn in.
+ */
+CanvasUI.Graphics.ALIGN_MIDDLE = 1;
+
+/**
+ * Text is aligned with the bottom edge of the rectangle it is drawn in.
+ */
+CanvasUI.Graphics.ALIGN_BOTTOM = 2;
+
+/**
+ * Draws a bevelled rectangle.
+ * @param rect The rectangle to draw.
+ * @param lightColour The colour to use for the light edges.
+ * @param darkColour The colour to use for the dark edges.
+ */
+CanvasUI.Graphics.prototype.drawBevelledRect = function(rect, lightColour, darkColour) {
+	if (this.context == null) return;
+	
+	this.fillRect(new CanvasUI.Rectangle(rect.x, rect.y, rect.width, 1), lightColour);
+	this.fillRect(new CanvasUI.Rectangle(rect.x, rect.y, 1, rect.height), lightColour);
+	this.fillRect(new CanvasUI.Rectangle(rect.x + rect.width - 1, rect.y, 1, rect.height), darkColour);
+	this.fillRect(new CanvasUI.Rectangle(rect.x, rect.y + rect.height - 1, rect.width, 1), darkColour);
+}
+
+/**
+ * Draws a rectangle.
+ * @param rect The rectangle to draw.
+ * @param colour The colour to draw with.
+ */
+CanvasUI.Graphics.prototype.drawRect = function(rect, colour) {
+	if (this.context == null) return;
+	
+	// Compensate for graphics offset
+	var x = rect.x + this.x;
+	var y = rect.y + this.y;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+	
+	this.context.fillStyle = colour;
+	this.context.fillRect(x, y, rect.width, 1);
+	this.context.fillRect(x, y, 1, rect.height);
+	this.context.fillRect(x + rect.width - 1, y, 1, rect.height);
+	this.context.fillRect(x, y + rect.height - 1, rect.width, 1);
+	this.context.closePath();
+	this.context.restore();
+}
+
+/**
+ * Draws filled text.
+ * @param text The text to render.
+ * @param x The x co-ordinate of the text.
+ * @param y The y co-ordinate of the text.
+ * @param colour The colour to draw with.
+ */
+CanvasUI.Graphics.prototype.fillText = function(text, x, y, colour) {
+	if (this.context == null) return;
+	
+	// Compensate for graphics offset
+	x += this.x;
+	y += this.y;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+
+	this.context.fillStyle = colour;
+	this.context.font = this.getFont();
+	this.context.fillText(text, x, y);
+	this.context.closePath();
+	this.context.restore();
+}
+
+/**
+ * Draws an image, scaling it to the requested size.  Images that have not
+ * finished loading, or that failed to load, are not drawn.
+ * @param image The image to draw.  Can be an img element, a canvas or any
+ * other source accepted by the canvas context.
+ * @param x The x co-ordinate of the image.
+ * @param y The y co-ordinate of the image.
+ * @param width The width to draw the image at.  Optional; defaults to the
+ * image's own width.
+ * @param height The height to draw the image at.  Optional; defaults to the
+ * image's own height.
+ * @param alpha The opacity of the image, from 0 to 1.  Optional.
+ */
+CanvasUI.Graphics.prototype.drawImage = function(image, x, y, width, height, alpha) {
+	if (this.context == null) return;
+	if (image == null || image.complete == false) return;
+
+	// Images that failed to load are complete but have no pixels
+	if (image.naturalWidth === 0) return;
+
+	if (width == null) width = image.width;
+	if (height == null) height = image.height;
+
+	// Compensate for graphics offset
+	x += this.x;
+	y += this.y;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+
+	if (alpha != null) this.context.globalAlpha = alpha;
+
+	this.context.drawImage(image, x, y, width, height);
+	this.context.closePath();
+	this.context.restore();
+}
+
+/**
+ * Gets the width in pixels of the specified text using the current font and
+ * font size.
+ * @param text The text to measure.
+ * @return The width of the string in pixels.
+ */
+CanvasUI.Graphics.prototype.getTextWidth = function(text) {
+	if (this.context == null) return 0;
+	
+	this.context.save();
+	this.context.font = this.getFont();
+	var width = this.context.measureText(text).width
+	this.context.restore();
+	
+	return width;
+}
+
+/**
+ * Gets the font as a CSS font string suitable for the canvas context.
+ * @return The font string.
+ */
+CanvasUI.Graphics.prototype.getFont = function() {
+	return this.fontStyle + ' ' + this.fontWeight + ' ' + this.fontSize + ' ' + this.fontFamily;
+}
+
+/**
+ * Gets the distance from the baseline to the top of the tallest glyphs in
+ * the current font.  Browsers that cannot measure the font report the font
+ * size instead.
+ * @return The ascent in pixels.
+ */
+CanvasUI.Graphics.prototype.getFontAscent = function() {
+	var metrics = this.getFontMetrics();
+	if (metrics == null) return parseInt(this.fontSize);
+
+	if (metrics.fontBoundingBoxAscent != null) return metrics.fontBoundingBoxAscent;
+	return metrics.actualBoundingBoxAscent;
+}
+
+/**
+ * Gets the distance from the baseline to the bottom of the lowest glyphs in
+ * the current font.  Browsers that cannot measure the font report 0.
+ * @return The descent in pixels.
+ */
+CanvasUI.Graphics.prototype.getFontDescent = function() {
+	var metrics = this.getFontMetrics();
+	if (metrics == null) return 0;
+
+	if (metrics.fontBoundingBoxDescent != null) return metrics.fontBoundingBoxDescent;
+	return metrics.actualBoundingBoxDescent;
+}
+
+/**
+ * Gets the height of a line of text in the current font.
+ * @return The sum of the font's ascent and descent.
+ */
+CanvasUI.Graphics.prototype.getFontHeight = function() {
+	return this.getFontAscent() + this.getFontDescent();
+}
+
+/**
+ * Measures a string containing tall and low glyphs in the current font.
+ * @return The TextMetrics object, or null if the canvas cannot report the
+ * font's vertical metrics.
+ */
+CanvasUI.Graphics.prototype.getFontMetrics = function() {
+	if (this.context == null) return null;
+
+	this.context.save();
+	this.context.font = this.getFont();
+	var metrics = this.context.measureText('Mg');
+	this.context.restore();
+
+	if (metrics.fontBoundingBoxAscent == null && metrics.actualBoundingBoxAscent == null) return null;
+
+	return metrics;
+}
+
+/**
+ * Gets the y co-ordinate of the baseline of a line of text centred
+ * vertically within a space of the given height.
+ * @param height The height of the space.
+ * @return The y co-ordinate of the baseline, relative to the top of the space.
+ */
+CanvasUI.Graphics.prototype.getCentredBaseline = function(height) {
+	return this.getFontAscent() + ((height - this.getFontHeight()) / 2);
+}
+
+/**
+ * Shortens text that is too wide to fit within the given width, replacing
+ * the removed characters with an ellipsis.
+ * @param text The text to shorten.
+ * @param width The available width.
+ * @return The text, shortened if necessary.
+ */
+CanvasUI.Graphics.prototype.truncateText = function(text, width) {
+	if (this.getTextWidth(text) <= width) return text;
+
+	var ellipsis = '\u2026';
+	var length = text.length;
+
+	while (length > 0 && this.getTextWidth(text.substring(0, length) + ellipsis) > width) {
+		--length;
+	}
+
+	return text.substring(0, length) + ellipsis;
+}
+
+/**
+ * Splits text into lines that fit within the given width.  Lines are broken
+ * at spaces where possible and at newline characters; words wider than the
+ * width are broken between characters.
+ * @param text The text to wrap.
+ * @param width The available width.
+ * @return An array of lines.
+ */
+CanvasUI.Graphics.prototype.wrapText = function(text, width) {
+	var paragraphs = text.split('\n');
+	var lines = new Array();
+
+	for (var i = 0; i < paragraphs.length; ++i) {
+		var words = paragraphs[i].split(' ');
+		var line = '';
+
+		for (var j = 0; j < words.length; ++j) {
+			var word = words[j];
+			var candidate = line == '' ? word : line + ' ' + word;
+
+			if (this.getTextWidth(candidate) <= width) {
+				line = candidate;
+				continue;
+			}
+
+			if (line != '') lines.push(line);
+
+			// Break words that cannot fit on a line of their own
+			while (word.length > 1 && this.getTextWidth(word) > width) {
+				var length = word.length - 1;
+				while (length > 1 && this.getTextWidth(word.substring(0, length)) > width) --length;
+
+				lines.push(word.substring(0, length));
+				word = word.substring(length);
+			}
+
+			line = word;
+		}
+
+		lines.push(line);
+	}
+
+	return lines;
+}
+
+/**
+ * Draws lines of text aligned within a rectangle.  Lines too wide for the
+ * rectangle are truncated with an ellipsis.
+ * @param lines An array of lines of text to draw.
+ * @param rect The rectangle to align the text within.
+ * @param horizontalAlignment The horizontal alignment of each line; one of
+ * CanvasUI.Graphics.ALIGN_LEFT, ALIGN_CENTRE or ALIGN_RIGHT.
+ * @param verticalAlignment The vertical alignment of the block of lines; one
+ * of CanvasUI.Graphics.ALIGN_TOP, ALIGN_MIDDLE or ALIGN_BOTTOM.
+ * @param colour The colour to draw with.
+ * @param underlineIndex The index of a character in the first line to
+ * underline, or -1 to underline nothing.  Optional.
+ */
+CanvasUI.Graphics.prototype.fillAlignedText = function(lines, rect, horizontalAlignment, verticalAlignment, colour, underlineIndex) {
+	if (this.context == null) return;
+
+	var ascent = this.getFontAscent();
+	var lineHeight = this.getFontHeight();
+	var textHeight = lines.length * lineHeight;
+	var y = rect.y;
+
+	if (verticalAlignment == CanvasUI.Graphics.ALIGN_MIDDLE) {
+		y += (rect.height - textHeight) / 2;
+	} else if (verticalAlignment == CanvasUI.Graphics.ALIGN_BOTTOM) {
+		y += rect.height - textHeight;
+	}
+
+	for (var i = 0; i < lines.length; ++i) {
+		var text = this.truncateText(lines[i], rect.width);
+		var x = rect.x;
+
+		if (horizontalAlignment == CanvasUI.Graphics.ALIGN_CENTRE) {
+			x += (rect.width - this.getTextWidth(text)) / 2;
+		} else if (horizontalAlignment == CanvasUI.Graphics.ALIGN_RIGHT) {
+			x += rect.width - this.getTextWidth(text);
+		}
+
+		this.fillText(text, x, y + ascent + (i * lineHeight), colour);
+
+		// Skip the underline if its character was truncated away
+		var visibleLength = text == lines[i] ? text.length : text.length - 1;
+
+		if (i == 0 && underlineIndex != null && underlineIndex >= 0 && underlineIndex < visibleLength) {
+			var underlineX = x + this.getTextWidth(text.substring(0, underlineIndex));
+			var underlineWidth = this.getTextWidth(text.charAt(underlineIndex));
+
+			this.fillRect(new CanvasUI.Rectangle(underlineX, y + ascent + 1, underlineWidth, 1), colour);
+		}
+	}
+}
+
+/**
+ * Draws a filled rectangle.
+ * @param rect The rectangle to draw.
+ * @param colour The colour to draw with.
+ */
+CanvasUI.Graphics.prototype.fillRect = function(rect, colour) {
+	if (this.context == null) return;
+	
+	// Compensate for graphics offset
+	var x = rect.x + this.x;
+	var y = rect.y + this.y;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+	
+	this.context.fillStyle = colour;
+	this.context.fillRect(x, y, rect.width, rect.height);
+	this.context.closePath();
+	this.context.restore();
+}
+
+/**
+ * Draws a rectangle filled with a linear gradient.
+ * @param rect The rectangle to draw.
+ * @param gradientX1 The x co-ordinate of the start of the gradient.
+ * @param gradientY1 The y co-ordinate of the start of the gradient.
+ * @param gradientX2 The x co-ordinate of the end of the gradient.
+ * @param gradientY2 The y co-ordinate of the end of the gradient.
+ * @param colourStops An array of anonymous objects containing colour stop
+ * data.  A black to white gradient would be defined as:
+ * [{ offset: 0, colour: '#000' }, { offset: 1, colour: '#fff' }]
+ * The offset property of the objects is a fractional value between 0 and 1
+ * inclusive, where 0 is the start of the gradient, 1 is the end of the
+ * gradient, and 0.5 is half-way between the two.
+ */
+CanvasUI.Graphics.prototype.fillGradientRect = function(rect, gradientX1, gradientY1, gradientX2, gradientY2, colourStops) {
+	if (this.context == null) return;
+	
+	// Compensate for graphics offset
+	var x = rect.x + this.x;
+	var y = rect.y + this.y;
+
+	gradientX1 += this.x;
+	gradientY1 += this.y;
+	gradientX2 += this.x;
+	gradientY2 += this.y;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+
+	var gradient = this.context.createLinearGradient(gradientX1, gradientY1, gradientX2, gradientY2);
+	for (var i in colourStops) {
+		gradient.addColorStop(colourStops[i].offset, colourStops[i].colour);
+	}
+	
+	this.context.fillStyle = gradient;
+	this.context.fillRect(x, y, rect.width, rect.height);
+	this.context.closePath();
+	this.context.restore();
+}
+
+/**
+ * Draws a one pixel-wide line.
+ * @param x1 The x co-ordinate of the start of the line.
+ * @param y1 The y co-ordinate of the start of the line.
+ * @param x2 The x co-ordinate of the end of the line.
+ * @param y2 The y co-ordinate of the end of the line.
+ * @param colour The colour to draw with.
+ */
+CanvasUI.Graphics.prototype.drawLine = function(x1, y1, x2, y2, colour) {
+	if (this.context == null) return;
+
+	// Compensate for graphics offset; the extra half pixel centres the line
+	// on the pixel grid so that it is not blurred across two pixels
+	x1 += this.x + 0.5;
+	y1 += this.y + 0.5;
+	x2 += this.x + 0.5;
+	y2 += this.y + 0.5;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+
+	this.context.beginPath();
+	this.context.strokeStyle = colour;
+	this.context.lineWidth = 1;
+	this.context.moveTo(x1, y1);
+	this.context.lineTo(x2, y2);
+	this.context.stroke();
+	this.context.closePath();
+	this.context.restore();
+}
+
+/**
+ * Scales all subsequent drawing to the canvas so that one unit is one CSS
+ * pixel on a backing store that is larger than the canvas's CSS size.  The
+ * transform persists until the canvas is resized.
+ * @param ratio The number of canvas pixels per CSS pixel.
+ */
+CanvasUI.Graphics.prototype.applyPixelRatio = function(ratio) {
+	if (this.context == null) return;
+
+	this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
+
+/**
+ * Draws a filled circle.
+ * @param x The x co-ordinate of the centre of the circle.
+ * @param y The y co-ordinate of the centre of the circle.
+ * @param radius The radius of the circle.
+ * @param colour The colour to draw with.
+ */
+CanvasUI.Graphics.prototype.fillCircle = function(x, y, radius, colour) {
+	if (this.context == null) return;
+
+	// Compensate for graphics offset
+	x += this.x;
+	y += this.y;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+
+	this.context.beginPath();
+	this.context.fillStyle = colour;
+	this.context.arc(x, y, radius, 0, Math.PI * 2, false);
+	this.context.fill();
+	this.context.closePath();
+	this.context.restore();
+}
+
+/**
+ * Draws the outline of a circle.
+ * @param x The x co-ordinate of the centre of the circle.
+ * @param y The y co-ordinate of the centre of the circle.
+ * @param radius The radius of the circle.
+ * @param colour The colour to draw with.
+ */
+CanvasUI.Graphics.prototype.drawCircle = function(x, y, radius, colour) {
+	if (this.context == null) return;
+
+	// Compensate for graphics offset
+	x += this.x;
+	y += this.y;
+
+	this.context.save();
+	this.context.beginPath();
+	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
+	this.context.clip();
+
+	this.context.beginPath();
+	this.context.strokeStyle = colour;
+	this.context.lineWidth = 1;
+	this.context.arc(x, y, radius, 0, Math.PI * 2, false);
+	this.context.stroke();
+	this.context.closePath();
+	this.context.restore();
+}
+
+
+/** GadgetCollection Methods **/
+
+/**
+ * Add a gadget to the end of the collection.
+ * @param gadget The gadget to add to the collection.
+ */
+CanvasUI.GadgetCollection.prototype.add = function(gadget) {
+	gadget.parent = this.gadget;
+	this.list.push(gadget);
+
+	// Pick up the parent's theme if it differs from the one last applied
+	var theme = gadget.getTheme();
+	if (gadget.appliedTheme != theme) gadget.applyTheme(theme);
+	
+	gadget.markRectsDamaged();
+
+	this.gadget.processAddChild(gadget);
+	this.gadget.doLayout();
+}
+
+/**
+ * Insert a gadget at the start of the collection.
+ * @param gadget The gadget to insert into the collection.
+ */
+CanvasUI.GadgetCollection.prototype.insert = function(gadget) {
+	gadget.parent = this.gadget;
+	this.list.splice(0, 0, gadget);
+
+	// Pick up the parent's theme if it differs from the one last applied
+	var theme = gadget.getTheme();
+	if (gadget.appliedTheme != theme) gadget.applyTheme(theme);
+
+	gadget.markRectsDamaged();	
+
+	this.gadget.processAddChild(gadget);
+	this.gadget.doLayout();
+}
+
+/**
+ * Remove a gadget from the collection.
+ * @param gadget The gadget to remove from the collection.
+ */
+CanvasUI.GadgetCollection.prototype.remove = function(gadget) {
+	var index = this.getGadgetIndex(gadget);
+	if (index > -1) {
+		this.list.splice(index, 1);
+	}
+	
+	gadget.markRectsDamaged();
+
+	// The mouse can no longer be over the gadget or any of its children
+	var gui = gadget.getGui();
+
+	if (gui != null) {
+		for (var hovered = gui.getHoveredGadget(); hovered != null; hovered = hovered.parent) {
+			if (hovered == gadget) {
+				gui.setHoveredGadget(null);
+				break;
+			}
+		}
+	}
+	
+	gadget.parent = null;
+
+	this.gadget.doLayout();
+}
+
+/**
+ * Get the number of gadgets in the collection.
+ * @return The number of gadgets in the collection.
+ */
+CanvasUI.GadgetCollection.prototype.length = function() { return this.list.length; }
+		
+/**
+ * Get the gadget at the specified index.
+ * @return The gadget at the specified index.
+ */
+CanvasUI.GadgetCollection.prototype.at = function(index) { return this.list[index]; }
+		
+
+/**
+ * Raise the specified gadget to the top (ie. end) of the collection.
+ * @param gadget The gadget to raise to the top of the collection.
+ */
+CanvasUI.GadgetCollection.prototype.raiseToTop = function(gadget) {		
+	var index = this.getGadgetIndex(gadget);
+	if (index > -1) {
+		this.list.splice(index, 1);
+		this.add(gadget);
+	}
+}
+
+/**
+ * Lower the specified gadget to the bottom (ie. start) of the collection.
+ * @param gadget The gadget to lower to the bottom of the collection.
+ */
+CanvasUI.GadgetCollection.prototype.lowerToBottom = function(gadget) {
+	var index = this.getGadgetIndex(gadget);
+	if (index > -1) {
+		this.list.splice(index, 1);
+		this.insert(gadget)
+	}
+}
+		
+/**
+ * Locate gadget in list.
+ * @param gadget The gadget to find.
+ * @return The index of the gadget, or -1 if the gadget is not found.
+ */
+CanvasUI.GadgetCollection.prototype.getGadgetIndex = function(gadget) {
+	for (var i in this.list) {
+		if (this.list[i] == gadget) {
+			return i;
+		}
+	}
+	
+	return -1;
+}
+
+/**
+ * Locate gadget in list by ID.
+ * @param id The ID of the gadget to find.
+ * @return The gadget, or null if the gadget is not found.
+ */
+CanvasUI.GadgetCollection.prototype.getGadgetById = function(id) {
+	for (var i in this.list) {
+		if (this.list[i].id == id) {
+			return this.list[i];
+		}
+	}
+	
+	return null;
+}
+
+
+/** GadgetEvent Methods **/
+
+/**
+ * The event is being passed down through the firing gadget's ancestors.
+ */
+CanvasUI.GadgetEvent.CAPTURING_PHASE = 1;
+
+/**
+ * The event is being passed to the firing gadget.
+ */
+CanvasUI.GadgetEvent.AT_TARGET = 2;
+
+/**
+ * The event is being passed back up through the firing gadget's ancestors.
+ */
+CanvasUI.GadgetEvent.BUBBLING_PHASE = 3;
+
+/**
+ * Types of event that are only passed to the firing gadget and capturing
+ * listeners, as with their DOM equivalents.  Wheel events are passed up to
+ * the parent by the gadgets themselves if they are not handled.
+ */
+CanvasUI.GadgetEvent.NON_BUBBLING_TYPES = ["focus", "blur", "mouseEnter", "mouseLeave", "resize", "wheel"];
+
+/**
+ * Stops the event from being passed to any further gadgets.  The remaining
+ * listeners of the current gadget are still called.
+ */
+CanvasUI.GadgetEvent.prototype.stopPropagation = function() {
+	this.isPropagationStopped = true;
+}
+
+/**
+ * Cancels the gadget's response to the event.  Only the beforeClick,
+ * beforeRelease, beforeTabClose and beforeActivate events can be cancelled;
+ * they are fired before the gadget responds, and cancelling them stops the
+ * response along with the click, release, tabClose or activate event that
+ * would follow it.  Other events are fired once their change has been made.
+ */
+CanvasUI.GadgetEvent.prototype.preventDefault = function() {
+	this.isDefaultPrevented = true;
+}
+
+/**
+ * Gets the name of the gadget property that holds the single handler for an
+ * event type, such as "onClick" for "click".
+ * @param type The event type.
+ * @return The name of the handler property.
+ */
+CanvasUI.GadgetEvent.getHandlerName = function(type) {
+	return "on" + type.charAt(0).toUpperCase() + type.substring(1);
+}
+
+
+/** Gadget Methods **/
+
+/**
+ * The gadget keeps its distance from the left edge of its parent's client
+ * rect when the parent is resized.  Anchors can be combined; a gadget
+ * anchored to both the left and right edges stretches with its parent.  A
+ * gadget anchored to neither edge stays centred.
+ */
+CanvasUI.Gadget.ANCHOR_LEFT = 1;
+
+/**
+ * The gadget keeps its distance from the top edge of its parent's client rect.
+ */
+CanvasUI.Gadget.ANCHOR_TOP = 2;
+
+/**
+ * The gadget keeps its distance from the right edge of its parent's client
+ * rect.
+ */
+CanvasUI.Gadget.ANCHOR_RIGHT = 4;
+
+/**
+ * The gadget keeps its distance from the bottom edge of its parent's client
+ * rect.
+ */
+CanvasUI.Gadget.ANCHOR_BOTTOM = 8;
+
+/**
+ * The gadget is not docked and is positioned by its anchors.
+ */
+CanvasUI.Gadget.DOCK_NONE = 0;
+
+/**
+ * The gadget fills the space left over by its docked siblings.
+ */
+CanvasUI.Gadget.DOCK_FILL = 1;
+
+/**
+ * The gadget is stretched along the top edge of the space left over by its
+ * docked siblings.
+ */
+CanvasUI.Gadget.DOCK_TOP = 2;
+
+/**
+ * The gadget is stretched along the bottom edge of the space left over by
+ * its docked siblings.
+ */
+CanvasUI.Gadget.DOCK_BOTTOM = 3;
+
+/**
+ * The gadget is stretched along the left edge of the space left over by its
+ * docked siblings.
+ */
+CanvasUI.Gadget.DOCK_LEFT = 4;
+
+/**
+ * The gadget is stretched along the right edge of the space left over by its
+ * docked siblings.
+ */
+CanvasUI.Gadget.DOCK_RIGHT = 5;
+
+/**
+ * The number of pixels scrolled by one line of mouse wheel movement.
+ */
+CanvasUI.Gadget.WHEEL_LINE_HEIGHT = 16;
+
+/**
+ * Clamps the value of a gadget that represents a position within a range,
+ * such as a scrollbar or a slider.  The minimum wins if the range is empty.
+ * @param value The value to clamp.
+ * @param minimumValue The smallest value allowed.
+ * @param maximumValue The largest value allowed.
+ * @return The clamped value.
+ */
+CanvasUI.Gadget.clampValue = function(value, minimumValue, maximumValue) {
+	if (value > maximumValue) value = maximumValue;
+	if (value < minimumValue) value = minimumValue;
+
+	return value;
+}
+
+/**
+ * Gets the x co-ordinate of the gadget relative to the top-level gadget.
+ * @return The x co-ordinate of the gadget relative to the top-level gadget.
+ */
+CanvasUI.Gadget.prototype.getX = function() {
+	if (this.parent != null) {
+		return this.rect.x + this.parent.getX() + this.parent.borderSize.left;
+	}
+	
+	return this.rect.x;
+}
+
+/**
+ * Gets the y co-ordnate of the gadget relative to the top-level gadget.
+ * @return The y co-ordinate of the gadget relative to the top-level gadget.
+ */
+CanvasUI.Gadget.prototype.getY = function() {
+	if (this.parent != null) {
+		return this.rect.y + this.parent.getY() + this.parent.borderSize.top;
+	}
+	
+	return this.rect.y;
+}
+
+/**
+ * Gets the width of the gadget.
+ * @return The width of the gadget.
+ */
+CanvasUI.Gadget.prototype.getWidth = function() { return this.rect.width; }
+
+/**
+ * Gets the height of the gadget.
+ * @return The height of the gadget.
+ */
+CanvasUI.Gadget.prototype.getHeight = function() { return this.rect.height; }
+
+/**
+ * Gets a rectangle describing the available client space within the gadget
+ * (which is defined as the gadget's rectangle minus its border).
+ * @return A rectangle describing the client space within the gadget.
+ */
+CanvasUI.Gadget.prototype.getClientRect = function() {
+	var x = this.borderSize.left;
+	var y = this.borderSize.top;
+	var width = this.getWidth() - this.borderSize.right - this.borderSize.left;
+	var height = this.getHeight() - this.borderSize.bottom - this.borderSize.top;
+	
+	return new CanvasUI.Rectangle(x, y, width, height);
+}
+
+/**
+ * Gets the gadget's rectangle, clipped to the rectangles of its ancestor
+ * gadgets.  This is useful if a gadget has been moved partially or totally
+ * out of the space available within its parent and only the visible portion
+ * should be used (ie. in clipped drawing functions).
+ * @return The gadget's rectangle clipped to its ancestors.
+ */
+CanvasUI.Gadget.prototype.getRectClippedToHierarchy = function() {
+
+	var rect = new CanvasUI.Rectangle(this.getX(), this.getY(), this.getWidth(), this.getHeight());
+
+	var parent = this.parent;
+	var gadget = this;
+
+	while (parent) {
+
+		// Copy parent's properties into the rect
+		var parentRect = parent.rect;
+
+		rect.clipToIntersect(parentRect);
+
+		// Send up to parent
+		gadget = parent;
+		parent = parent.parent;
+	}
+	
+	return rect;
+}
+
+/**
+ * Check if the gadget is visible or not.  A gadget is not visible if its parent
+ * is not visible.
+ * @return True if the gadget and its parents are visible.
+ */
+CanvasUI.Gadget.prototype.isVisible = function() {
+	if (!this.visible) return false;
+	if (!this.parent) return this.visible;
+	return (this.parent.isVisible());
+}
+
+/**
+ * Check if the gadget is enabled or not.  A gadget is not enabled if its parent
+ * is not enabled.
+ * @return True if the gadget and its parents are enabled.
+ */
+CanvasUI.Gadget.prototype.isEnabled = function() {
+	if (!this.enabled) return false;
+	if (!this.parent) return this.enabled;
+	return (this.parent.isEnabled());
+}
+
+/**
+ * Gets the gadget's canvas.  Recurses up the gadget tree until the top-level
+ * gadget is found, which should return its reference to the current canvas.
+ * @return The gadget's canvas.
+ */
+CanvasUI.Gadget.prototype.getCanvas = function() {
+	if (this.parent) return this.parent.getCanvas();
+	return null;
+}
+
+/**
+ * Gets the gadget's damaged rectangle manager.  Recurses up the gadget tree
+ * until the top-level gadget is found, which should return its reference to the
+ * current damaged rectangle manager.
+ * @return The gadget's damaged rectangle manager.
+ */
+CanvasUI.Gadget.prototype.getDamagedRectManager = function() {
+	if (this.parent) return this.parent.getDamagedRectManager();
+	return null;
+}
+
+/**
+ * Gets the top-level gadget.  Recurses up the gadget tree until the top-level
+ * gadget is found, which should return a reference to itself.
+ * @return The top-level gadget, or null if the gadget has not been added to
+ * a GUI.
+ */
+CanvasUI.Gadget.prototype.getGui = function() {
+	if (this.parent) return this.parent.getGui();
+	return null;
+}
+
+/**
+ * Gets the theme used to draw the gadget.  Recurses up the gadget tree until a
+ * gadget with a theme is found.
+ * @return The gadget's theme, or the default theme if no gadget in the tree
+ * has been given one.
+ */
+CanvasUI.Gadget.prototype.getTheme = function() {
+	if (this.theme != null) return this.theme;
+	if (this.parent) return this.parent.getTheme();
+	return CanvasUI.Theme.DEFAULT;
+}
+
+/**
+ * Sets the theme used to draw the gadget and any children that do not have
+ * a theme of their own.  Colours previously assigned to the gadget and its
+ * children are replaced by those in the theme.
+ * @param theme The new theme, or null to use the parent's theme.
+ */
+CanvasUI.Gadget.prototype.setTheme = function(theme) {
+	this.theme = theme;
+	this.applyTheme(this.getTheme());
+	this.markRectsDamaged();
+}
+
+/**
+ * Copies the theme's palette into the gadget and passes the theme on to its
+ * children.  Called automatically when the theme changes or the gadget is
+ * added to a parent with a different theme; gadgets that cache values taken
+ * from the theme should override this and update them.
+ * @param theme The theme to apply.
+ */
+CanvasUI.Gadget.prototype.applyTheme = function(theme) {
+	this.appliedTheme = theme;
+	this.processFontChange();
+
+	this.backColour = theme.backColour;
+	this.shineColour = theme.shineColour;
+	this.shadowColour = theme.shadowColour;
+	this.darkColour = theme.darkColour;
+	this.highlightColour = theme.highlightColour;
+	this.textColour = theme.textColour;
+
+	for (var i = 0; i < this.children.length(); ++i) {
+		var child = this.children.at(i);
+		child.applyTheme(child.getTheme());
+	}
+}
+
+/**
+ * Loads an image for the gadget to draw.  The gadget is redrawn when the
+ * image finishes loading.
+ * @param source The URL of the image, or an existing image that may still be
+ * loading.
+ * @return The image, or null if source is null.
+ */
+CanvasUI.Gadget.prototype.loadImage = function(source) {
+	if (source == null) return null;
+
+	var image = source;
+
+	if (typeof source == "string") {
+		image = new Image();
+		image.src = source;
+	}
+
+	if (image.complete == false) {
+		var gadget = this;
+
+		image.addEventListener("load", function() {
+			var damagedRectManager = gadget.getDamagedRectManager();
+
+			if (damagedRectManager == null) return;
+
+			// Images load outside of the GUI's event handlers, so redraw
+			// explicitly
+			gadget.markRectsDamaged();
+			damagedRectManager.redraw();
+		}, false);
+	}
+
+	return image;
+}
+
+/**
+ * Sets the font used to draw the gadget's text.  Any property that is null or
+ * omitted is taken from the theme.
+ * @param family The font family, such as "serif".
+ * @param size The font size, such as "14px".
+ * @param weight The font weight, such as "bold".
+ * @param style The font style, such as "italic".
+ */
+CanvasUI.Gadget.prototype.setFont = function(family, size, weight, style) {
+	this.fontFamily = family ? family : null;
+	this.fontSize = size ? size : null;
+	this.fontWeight = weight ? weight : null;
+	this.fontStyle = style ? style : null;
+
+	this.processFontChange();
+	this.markRectsDamaged();
+}
+
+/**
+ * Called when the gadget's font or theme changes.  Should be overridden in
+ * subclasses that cache text measurements.
+ */
+CanvasUI.Gadget.prototype.processFontChange = function() { }
+
+/**
+ * Creates a Graphics object that draws to the gadget's canvas using the
+ * gadget's font.  Graphics objects created without a canvas can still be used
+ * to measure text.
+ * @param x The x co-ordinate of the graphics object's origin.
+ * @param y The y co-ordinate of the graphics object's origin.
+ * @param clipRect The rectangle to clip to.
+ * @return A new Graphics object.
+ */
+CanvasUI.Gadget.prototype.createGraphics = function(x, y, clipRect) {
+	var theme = this.getTheme();
+	var gfx = new CanvasUI.Graphics(x, y, this.getCanvas(), clipRect);
+
+	gfx.fontFamily = this.fontFamily != null ? this.fontFamily : theme.fontFamily;
+	gfx.fontSize = this.fontSize != null ? this.fontSize : theme.fontSize;
+	gfx.fontWeight = this.fontWeight != null ? this.fontWeight : theme.fontWeight;
+	gfx.fontStyle = this.fontStyle != null ? this.fontStyle : theme.fontStyle;
+
+	return gfx;
+}
+
+/**
+ * Sends the visible portions of the gadget as damaged to the damaged rectangle
+ * manager for redraw.  Should be called whenever the visible state of the
+ * gadget should change.
+ */
+CanvasUI.Gadget.prototype.markRectsDamaged = function() {
+	var damagedRects = this.getVisibleRects();
+	
+	var damagedRectManager = this.getDamagedRectManager();
+
+	if (!damagedRectManager) return;
+	
+	for (var i in damagedRects) {
+		damagedRectManager.addDamagedRect(damagedRects[i]);
+	}
+
+	var gui = this.getGui();
+	if (gui.accessibilityTree != null) gui.accessibilityTree.markDamaged(this);
+}
+
+/**
+ * Sends the visible portions of a region of the gadget as damaged to the
+ * damaged rectangle manager for redraw.  Allows gadgets to redraw part of
+ * themselves rather than their entire area.
+ * @param rect The region to redraw, relative to the gadget.
+ */
+CanvasUI.Gadget.prototype.markRectDamaged = function(rect) {
+	var damagedRects = this.getVisibleRects();
+
+	var damagedRectManager = this.getDamagedRectManager();
+
+	if (!damagedRectManager) return;
+
+	var region = new CanvasUI.Rectangle(rect.x + this.getX(), rect.y + this.getY(), rect.width, rect.height);
+
+	for (var i in damagedRects) {
+		if (damagedRects[i].intersects(region)) {
+			damagedRectManager.addDamagedRect(damagedRects[i].getIntersect(region));
+		}
+	}
+
+	var gui = this.getGui();
+	if (gui.accessibilityTree != null) gui.accessibilityTree.markDamaged(this);
+}
+
+/**
+ * Gets a list of the gadget's visible rectangles.  These are the portions of
+ * the gadget not overlapped by other gadgets.  If the gadget is totally
+ * obscured an empty array is returned.
+ * @return An array of all visible regions of the gadget.
+ */
+CanvasUI.Gadget.prototype.getVisibleRects = function() {
+
+	var rect = new CanvasUI.Rectangle(this.getX(), this.getY(), this.getWidth(), this.getHeight());
+
+	var visibleRects = new Array();
+	visibleRects.push(rect);
+	
+	var gadget = this;
+	var parent = this.parent;
+
+	while (parent && gadget) {
+
+		// Locate gadget in the list; we add one to the index to
+		// ensure that we deal with the next gadget up in the z-order
+		var gadgetIndex = parseInt(parent.children.getGadgetIndex(gadget)) + 1;
+
+		// Gadget should never be the bottom item on the screen
+		if (gadgetIndex > 0) {
+
+			// Remove any overlapped rectangles
+			for (var i = gadgetIndex; i < parent.children.length(); i++) {
+				for (var j = 0; j < visibleRects.length; ++j) {
+					var remainingRects = new Array();
+					
+					var child = parent.children.at(i);
+					var childRect = new CanvasUI.Rectangle(child.getX(), child.getY(), child.getWidth(), child.getHeight());
+					
+					if (childRect.splitIntersection(visibleRects[j], remainingRects)) {
+						visibleRects.splice(j, 1);
+						j--;
+						
+						for (var k in remainingRects) {
+							visibleRects.unshift(remainingRects[k]);
+							j++;
+						}
+					}
+				}
+				
+				// Stop processing if there are no more visible rects
+				if (visibleRects.length == 0) break;
+			}
+		}
+
+		if (visibleRects.length > 0) {
+			gadget = parent;
+
+			if (parent) {
+				parent = parent.parent;
+			}
+		} else {
+			return visibleRects;
+		}
+	}
+	
+	return visibleRects;
+}
+
+/**
+ * Sets the clicked gadget.
+ * @param gadget The new clicked gadget.
+ */
+CanvasUI.Gadget.prototype.setClickedGadget = function(gadget) {
+	if (this.parent != null) this.parent.setClickedGadget(gadget);
+}
+
+/**
+ * Gets the clicked gadget.
+ * @return The clicked gadget.
+ */
+CanvasUI.Gadget.prototype.getClickedGadget = function() {
+	if (this.parent != null) return this.parent.getClickedGadget();
+	return null;
+}
+
+/**
+ * Closes the gadget.
+ */
+CanvasUI.Gadget.prototype.close = function() {
+	if (this.parent != null) {
+		var gui = this.getGui();
+
+		if (gui != null && gui.isModal(this)) {
+			gui.closeModal(this);
+		} else {
+			this.parent.children.remove(this);
+		}
+	}
+}
+
+/**
+ * Draws the region of the gadget contained within the supplied rectangle.
+ * @param rect The region to draw.
+ */
+CanvasUI.Gadget.prototype.draw = function(rect) {
+	if (!this.isVisible()) return;
+	
+	var gfx = this.createGraphics(this.getX(), this.getY(), rect);
+
+	this.drawBackground(gfx);
+	this.drawBorder(gfx);
+
+	// Draw focus border around the gadget
+	if (this.focused && this.focusedGadget == null && this.isFocusRectVisible) {
+
+		var focusRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+
+		gfx.drawRect(focusRect, this.getTheme().focusColour);
+	}
+	
+	/*
+	// Enable this to draw rects around all clipping regions
+	gfx.context.save();
+	gfx.context.beginPath();
+	gfx.context.rect(0, 0, gfx.canvas.width, gfx.canvas.height);
+	gfx.context.clip();
+	
+	gfx.context.strokeStyle = '#f00';
+	gfx.context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+	gfx.context.closePath();
+	gfx.context.restore();
+	*/
+}
+
+/**
+ * Draws the background.  This can be overridden in user-created gadgets so that
+ * gadgets can contain custom visual content.
+ * @param gfx A Graphics object to draw with.
+ */
+CanvasUI.Gadget.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
+}
+
+/**
+ * Draws the border.  This can be overridden in user-created gadgets so that
+ * gadgets can contain custom borders.
+ * @param gfx A Graphics object to draw with.
+ */
+CanvasUI.Gadget.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	if (this.clicked) {
+		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
+	} else {
+		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+	}
+}
+
+/**
+ * Check if this gadget collides with the supplied rectangle.
+ * @param rect The rectangle to check for collisions.
+ * @return True if a collision has occurred.
+ */
+CanvasUI.Gadget.prototype.checkRectCollision = function(rect) {
+	if (!this.isVisible()) return false;
+
+	var x = this.getX();
+	var y = this.getY();
+	
+	if (rect.x + rect.width <= x) return false;
+	if (rect.x >= x + this.rect.width) return false;
+	if (rect.y + rect.height <= y) return false;
+	if (rect.y >= y + this.rect.height) return false;
+	
+	return true;
+}
+
+/**
+ * Check if the supplied co-ordinates fall within this gadget.
+ * @param x The x co-ordinate of the point.
+ * @param y The y co-ordinate of the point.
+ * @return True if the point falls within this gadget.
+ */
+CanvasUI.Gadget.prototype.checkPointCollision = function(x, y) {
+	if (!this.isVisible()) return false;
+
+	var thisX = this.getX();
+	var thisY = this.getY();
+	
+	if (x < thisX) return false;
+	if (x >= thisX + this.rect.width) return false;
+	if (y < thisY) return false;
+	if (y >= thisY + this.rect.height) return false;
+	
+	return true;
+}
+
+/**
+ * Gets the topmost visible gadget at the specified co-ordinates.  Gadgets are
+ * tested in the same order as clicks.
+ * @param x The x co-ordinate of the point.
+ * @param y The y co-ordinate of the point.
+ * @return The topmost gadget at the point, or null if the point does not fall
+ * within this gadget.
+ */
+CanvasUI.Gadget.prototype.getGadgetAt = function(x, y) {
+	if (!this.checkPointCollision(x, y)) return null;
+
+	for (var i = this.children.length() - 1; i >= 0; --i) {
+		var gadget = this.children.at(i).getGadgetAt(x, y);
+
+		if (gadget != null) return gadget;
+	}
+
+	return this;
+}
+
+/**
+ * Called when the gadget is closed as a popup, before it is removed from the
+ * GUI.  Should be overridden in subclasses that need to tidy up when closed.
+ */
+CanvasUI.Gadget.prototype.processPopupClose = function() { }
+
+/**
+ * Set the focused gadget to the supplied gadget.
+ * @param gadget The gadget to give focus to.
+ */
+CanvasUI.Gadget.prototype.setFocusedGadget = function(gadget) {
+	if (this.focusedGadget != gadget) {
+		if (this.focusedGadget != null) {
+			this.focusedGadget.blur();
+		}
+	}
+	
+	this.focusedGadget = gadget;
+	
+	this.focus();
+}
+
+/**
+ * Give the current gadget focus.
+ */
+CanvasUI.Gadget.prototype.focus = function() {
+	var hadFocus = this.focused;
+	this.focused = true;
+	
+	if (this.parent != null) {
+		this.parent.setFocusedGadget(this);
+	}
+	
+	this.markRectsDamaged();
+	
+	if (!hadFocus) {
+		this.processFocus();
+		this.fireEvent("focus");
+		return true;
+	}
+	
+	return false;
+}
+
+/**
+ * Called when focus is received.  Should be overridden in subclasses to allow
+ * custom focus behaviour.
+ */
+CanvasUI.Gadget.prototype.processFocus = function() { }
+
+/**
+ * Remove focus from the current gadget.
+ */
+CanvasUI.Gadget.prototype.blur = function() {
+	var hadFocus = this.focused;
+	this.focused = false;
+	
+	if (this.focusedGadget != null) {
+		this.focusedGadget.blur();
+		this.focusedGadget = null;
+	}
+	
+	if (hadFocus) {
+		this.markRectsDamaged();
+
+		this.fireEvent("blur");
+		return true;
+	}
+	
+	return false;
+}
+
+/**
+ * Gets the gadgets within this gadget that Tab moves focus between, in the
+ * order that they are visited.  Gadgets with a positive tabIndex come first,
+ * lowest first, followed by those with a tabIndex of 0 in the order that they
+ * appear in the tree.  Gadgets with a negative tabIndex are skipped.
+ * @return An array of gadgets.
+ */
+CanvasUI.Gadget.prototype.getTabOrder = function() {
+	var gadgets = new Array();
+
+	this.addFocusableGadgets(gadgets);
+
+	// Remember each gadget's position in the tree so that gadgets with the
+	// same tabIndex keep their relative order
+	var entries = new Array();
+
+	for (var i = 0; i < gadgets.length; ++i) {
+		entries.push({ gadget: gadgets[i], position: i });
+	}
+
+	entries.sort(function(a, b) {
+		var aIndex = a.gadget.tabIndex > 0 ? a.gadget.tabIndex : Number.MAX_VALUE;
+		var bIndex = b.gadget.tabIndex > 0 ? b.gadget.tabIndex : Number.MAX_VALUE;
+
+		if (aIndex != bIndex) return aIndex < bIndex ? -1 : 1;
+
+		return a.position - b.position;
+	});
+
+	for (var i = 0; i < entries.length; ++i) {
+		gadgets[i] = entries[i].gadget;
+	}
+
+	return gadgets;
+}
+
+/**
+ * Appends the focusable descendants of this gadget to an array in tree order.
+ * Disabled and hidden gadgets are skipped along with their children.  Windows
+ * have a tab order of their own, so their contents are skipped too.
+ * @param gadgets The array to append the gadgets to.
+ */
+CanvasUI.Gadget.prototype.addFocusableGadgets = function(gadgets) {
+	for (var i = 0; i < this.children.length(); ++i) {
+		var child = this.children.at(i);
+
+		if (!child.isVisible() || !child.isEnabled()) continue;
+
+		if (child.focusable && child.tabIndex >= 0) gadgets.push(child);
+
+		if (!(child instanceof CanvasUI.Window)) child.addFocusableGadgets(gadgets);
+	}
+}
+
+/**
+ * Moves focus to the next or previous gadget in this gadget's tab order.  If
+ * no gadget in the tab order has focus, the first or last gadget is focused.
+ * @param direction 1 to move forwards or -1 to move backwards.
+ * @return True if focus moved; false if there is nothing to focus or focus is
+ * already at that end of the tab order.
+ */
+CanvasUI.Gadget.prototype.focusAdjacentGadget = function(direction) {
+	var gadgets = this.getTabOrder();
+
+	if (gadgets.length == 0) return false;
+
+	// Find the innermost focused gadget in the tab order
+	var index = -1;
+
+	for (var gadget = this.focusedGadget; gadget != null; gadget = gadget.focusedGadget) {
+		for (var i = 0; i < gadgets.length; ++i) {
+			if (gadgets[i] == gadget) index = i;
+		}
+	}
+
+	if (index == -1) {
+		index = direction > 0 ? 0 : gadgets.length - 1;
+	} else {
+		index += direction;
+
+		if (index < 0 || index >= gadgets.length) return false;
+	}
+
+	// Focus the gadget itself rather than any child it last focused
+	gadgets[index].setFocusedGadget(null);
+
+	return true;
+}
+
+/**
+ * Adds a listener for an event type.  Unlike the gadget's onX properties,
+ * any number of listeners can be added for each type.  Adding a listener
+ * that has already been added for the same type and phase has no effect.
+ * @param type The event type, such as "click" or "valueChange".
+ * @param listener The function to call.  It receives a GadgetEvent.
+ * @param useCapture True to call the listener when an event fired by a
+ * descendant is on its way down to the descendant; false or omitted to call
+ * it for events fired by this gadget and events bubbling up from
+ * descendants.
+ */
+CanvasUI.Gadget.prototype.addEventListener = function(type, listener, useCapture) {
+	useCapture = useCapture ? true : false;
+
+	if (this.findEventListener(type, listener, useCapture) > -1) return;
+
+	this.eventListeners.push({ type: type, listener: listener, useCapture: useCapture });
+}
+
+/**
+ * Removes a listener added with addEventListener().
+ * @param type The event type.
+ * @param listener The function to remove.
+ * @param useCapture The useCapture value the listener was added with.
+ */
+CanvasUI.Gadget.prototype.removeEventListener = function(type, listener, useCapture) {
+	var index = this.findEventListener(type, listener, useCapture ? true : false);
+
+	if (index > -1) this.eventListeners.splice(index, 1);
+}
+
+/**
+ * Gets the index of a listener within the listener list.
+ * @param type The event type.
+ * @param listener The listener function.
+ * @param useCapture True if the listener is a capturing listener.
+ * @return The index of the listener, or -1 if it has not been added.
+ */
+CanvasUI.Gadget.prototype.findEventListener = function(type, listener, useCapture) {
+	for (var i = 0; i < this.eventListeners.length; ++i) {
+		var entry = this.eventListeners[i];
+
+		if (entry.type == type && entry.listener == listener && entry.useCapture == useCapture) return i;
+	}
+
+	return -1;
+}
+
+/**
+ * Check if anything is listening for an event type on this gadget.
+ * @param type The event type.
+ * @return True if the gadget has a handler property or a listener for the
+ * type.
+ */
+CanvasUI.Gadget.prototype.hasEventListeners = function(type) {
+	if (this[CanvasUI.GadgetEvent.getHandlerName(type)] != null) return true;
+
+	for (var i = 0; i < this.eventListeners.length; ++i) {
+		if (this.eventListeners[i].type == type) return true;
+	}
+
+	return false;
+}
+
+/**
+ * Fires an event from this gadget.  Capturing listeners of the gadget's
+ * ancestors are called first, from the GUI downwards.  The gadget's onX
+ * handler property is then called with its usual arguments, followed by the
+ * gadget's own listeners.  Finally, unless the event type does not bubble,
+ * the bubbling listeners of the ancestors are called from the parent
+ * upwards.  Any listener can stop the event with stopPropagation().
+ * @param type The event type, such as "click".
+ * @param properties An object whose properties are copied to the event.
+ * Optional.
+ * @param handlerArguments The arguments to pass to the onX handler property.
+ * Optional; defaults to the gadget alone.
+ * @return False if a listener called preventDefault(); true if not.
+ */
+CanvasUI.Gadget.prototype.fireEvent = function(type, properties, handlerArguments) {
+	var event = new CanvasUI.GadgetEvent(type, this, properties);
+	var gui = this.getGui();
+
+	if (gui != null) {
+		event.isShiftHeld = gui.isShiftHeld;
+		event.isAltHeld = gui.isAltHeld;
+		event.isCtrlHeld = gui.isCtrlHeld;
+	}
+
+	for (var i = 0; i < CanvasUI.GadgetEvent.NON_BUBBLING_TYPES.length; ++i) {
+		if (CanvasUI.GadgetEvent.NON_BUBBLING_TYPES[i] == type) event.bubbles = false;
+	}
+
+	// Listeners may move gadgets around, so fix the route before starting
+	var ancestors = new Array();
+
+	for (var gadget = this.parent; gadget != null; gadget = gadget.parent) {
+		ancestors.push(gadget);
+	}
+
+	event.phase = CanvasUI.GadgetEvent.CAPTURING_PHASE;
+
+	for (var i = ancestors.length - 1; i >= 0 && !event.isPropagationStopped; --i) {
+		ancestors[i].callEventListeners(event);
+	}
+
+	if (!event.isPropagationStopped) {
+		event.phase = CanvasUI.GadgetEvent.AT_TARGET;
+		event.currentGadget = this;
+
+		var handler = this[CanvasUI.GadgetEvent.getHandlerName(type)];
+
+		if (handler != null) handler.apply(this, handlerArguments != null ? handlerArguments : [this]);
+
+		this.callEventListeners(event);
+	}
+
+	if (event.bubbles) {
+		event.phase = CanvasUI.GadgetEvent.BUBBLING_PHASE;
+
+		for (var i = 0; i < ancestors.length && !event.isPropagationStopped; ++i) {
+			ancestors[i].callEventListeners(event);
+		}
+	}
+
+	return !event.isDefaultPrevented;
+}
+
+/**
+ * Calls the gadget's listeners for an event.  Only capturing listeners are
+ * called in the capture phase and only bubbling listeners in the bubble
+ * phase; all listeners are called when the gadget fired the event.
+ * @param event The event to pass to the listeners.
+ */
+CanvasUI.Gadget.prototype.callEventListeners = function(event) {
+	event.currentGadget = this;
+
+	// Copy the list so that listeners can add and remove listeners safely
+	var entries = this.eventListeners.slice(0);
+
+	for (var i = 0; i < entries.length; ++i) {
+		var entry = entries[i];
+
+		if (entry.type != event.type) continue;
+		if (event.phase == CanvasUI.GadgetEvent.CAPTURING_PHASE && !entry.useCapture) continue;
+		if (event.phase == CanvasUI.GadgetEvent.BUBBLING_PHASE && entry.useCapture) continue;
+
+		entry.listener.call(this, event);
+	}
+}
+
+/**
+ * Click the gadget at the specified co-ordinates.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @return True if the gadget received the click; false if not.  Clicks are only
+ * received by visible gadgets if the click falls within them.  Clicks are
+ * received by disabled gadgets but they are not processed.  Cancelling the
+ * beforeClick event stops the gadget taking focus, processing the click and
+ * firing the click event.
+ */
+CanvasUI.Gadget.prototype.click = function(x, y) {
+
+	if (!this.isVisible()) return false;
+
+	// Exit if click falls outside boundarues
+	if (!this.checkPointCollision(x, y)) return false;
+	
+	// Check for collision with children
+	for (var i = this.children.length() - 1; i >= 0; --i) {
+		if (this.children.at(i).click(x, y)) {
+			return true;
+		}
+	}
+	
+	// Stop processing if the gadget is disabled
+	if (!this.isEnabled()) return true;
+	
+	// This gadget has been clicked
+	this.clicked = true;
+	this.setClickedGadget(this);
+	
+	var rect = this.getClientRect();
+	var localX = x - this.getX() - rect.x;
+	var localY = y - this.getY() - rect.y;
+
+	// Listeners can cancel the click before the gadget responds to it
+	if (!this.fireEvent("beforeClick", { x: localX, y: localY })) return true;
+	
+	this.setFocusedGadget(null);
+	
+	this.processClick(localX, localY);
+	
+	this.markRectsDamaged();
+	
+	this.fireEvent("click", { x: localX, y: localY }, [this, localX, localY]);
+	
+	return true;
+}
+
+/**
+ * Called when a click is received.  Should be overridden in subclasses to allow
+ * custom click behaviour.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.Gadget.prototype.processClick = function(x, y) { }
+
+/**
+ * Double click the gadget at the specified co-ordinates.  Called by the GUI
+ * after the second and later clicks of a quick sequence, once the click
+ * itself has been processed.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @param clickCount The number of clicks in the sequence; 2 for a double click
+ * and 3 for a triple click.
+ */
+CanvasUI.Gadget.prototype.doubleClick = function(x, y, clickCount) {
+	if (!this.isEnabled()) return;
+
+	var rect = this.getClientRect();
+	var localX = x - this.getX() - rect.x;
+	var localY = y - this.getY() - rect.y;
+
+	this.processDoubleClick(localX, localY, clickCount);
+
+	this.markRectsDamaged();
+
+	this.fireEvent("doubleClick", { x: localX, y: localY, clickCount: clickCount }, [this, localX, localY, clickCount]);
+}
+
+/**
+ * Called when a double click is received.  Should be overridden in subclasses
+ * to allow custom double click behaviour.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @param clickCount The number of clicks in the sequence.
+ */
+CanvasUI.Gadget.prototype.processDoubleClick = function(x, y, clickCount) { }
+
+/**
+ * Release the gadget at the specified co-ordinates.
+ * @param x The x co-ordinate of the release.
+ * @param y The y co-ordinate of the release.
+ * @return True if the gadget received the release; false if not.  Releases are
+ * only received if the gadget is clicked.  If the click is received, the
+ * gadget will fire a ReleaseEvent if the click falls within the bounds of the
+ * gadget or a ReleaseOutsideEvent if the click falls outside the gadget.
+ * Cancelling the beforeRelease event stops the gadget processing the release
+ * and firing the release event.
+ */
+CanvasUI.Gadget.prototype.release = function(x, y) {
+
+	if (this.clicked) {
+		this.clicked = false;
+		this.dragged = false;
+		
+		if (this.getClickedGadget() == this) this.setClickedGadget(null);
+		
+		this.markRectsDamaged();
+
+		var rect = this.getClientRect();
+		var localX = x - this.getX() - rect.x;
+		var localY = y - this.getY() - rect.y;
+		
+		// Released within the gadget or outside?
+		if (this.checkPointCollision(x, y)) {
+			this.completeRelease(localX, localY);
+		} else {
+			this.fireEvent("releaseOutside", { x: localX, y: localY }, [this, localX, localY]);
+		}
+		
+		return true;
+	}
+
+	return false;
+}
+
+/**
+ * Abandon a click in progress without releasing the gadget, so that neither
+ * the release nor the release outside event is raised.
+ */
+CanvasUI.Gadget.prototype.cancelClick = function() {
+	if (!this.clicked) return;
+
+	this.clicked = false;
+	this.dragged = false;
+
+	if (this.getClickedGadget() == this) this.setClickedGadget(null);
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Fires the beforeRelease event and, unless a listener cancels it, processes
+ * the release and fires the release event.  Used both for releases of the
+ * mouse within the gadget and for gadgets pressed from the keyboard.
+ * @param x The x co-ordinate of the release, relative to the client rect.
+ * @param y The y co-ordinate of the release, relative to the client rect.
+ */
+CanvasUI.Gadget.prototype.completeRelease = function(x, y) {
+	if (!this.fireEvent("beforeRelease", { x: x, y: y })) return;
+
+	this.processRelease(x, y);
+
+	this.fireEvent("release", { x: x, y: y }, [this, x, y]);
+}
+
+/**
+ * Called when the gadget is released after a click within its bounds, unless
+ * a beforeRelease listener cancelled the release.  Should be overridden in
+ * subclasses to allow custom release behaviour.
+ * @param x The x co-ordinate of the release.
+ * @param y The y co-ordinate of the release.
+ */
+CanvasUI.Gadget.prototype.processRelease = function(x, y) { }
+
+/**
+ * Send a keypress message to the gadget.
+ * @param charCode The charcode to send to the gadget.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Gadget.prototype.keyPress = function(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (this.focusedGadget != null) {
+		this.focusedGadget.keyPress(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+	} else {
+		this.processKeyPress(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+	}
+}
+
+/**
+ * Called when a keydown is received.  Should be overridden in subclasses to
+ * allow custom behaviour.
+ * @param charCode The charcode to send to the gadget.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Gadget.prototype.processKeyPress = function(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) { }
+
+/**
+ * Send a keydown message to the gadget.
+ * @param keyCode The keycode to send to the gadget.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Gadget.prototype.keyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (this.focusedGadget != null) {
+		this.focusedGadget.keyDown(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+	} else {
+		this.processKeyDown(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+	}
+}
+
+/**
+ * Called when a keydown is received.  Should be overridden in subclasses to
+ * allow custom behaviour.
+ * @param keyCode The keycode to send to the gadget.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Gadget.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) { }
+
+/**
+ * Send a keyup message to the gadget.
+ * @param keyCode The keycode to send to the gadget.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Gadget.prototype.keyUp = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (this.focusedGadget != null) {
+		this.focusedGadget.keyUp(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+	} else {
+		this.processKeyUp(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+	}
+}
+
+/**
+ * Called when a keyup is received.  Should be overridden in subclasses to
+ * allow custom behaviour.
+ * @param keyCode The keycode to send to the gadget.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Gadget.prototype.processKeyUp = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) { }
+
+/**
+ * Send a copy message to the gadget.
+ * @return The text to place on the clipboard, or null if the gadget has
+ * nothing to copy.
+ */
+CanvasUI.Gadget.prototype.copy = function() {
+	if (this.focusedGadget != null) return this.focusedGadget.copy();
+	return this.processCopy();
+}
+
+/**
+ * Called when a copy is received.  Should be overridden in subclasses to
+ * allow custom behaviour.
+ * @return The text to place on the clipboard, or null if the gadget has
+ * nothing to copy.
+ */
+CanvasUI.Gadget.prototype.processCopy = function() { return null; }
+
+/**
+ * Send a cut message to the gadget.
+ * @return The text to place on the clipboard, or null if the gadget has
+ * nothing to cut.
+ */
+CanvasUI.Gadget.prototype.cut = function() {
+	if (this.focusedGadget != null) return this.focusedGadget.cut();
+	return this.processCut();
+}
+
+/**
+ * Called when a cut is received.  Should be overridden in subclasses to allow
+ * custom behaviour.
+ * @return The text to place on the clipboard, or null if the gadget has
+ * nothing to cut.
+ */
+CanvasUI.Gadget.prototype.processCut = function() { return null; }
+
+/**
+ * Send a paste message to the gadget.
+ * @param text The text on the clipboard.
+ * @return True if the gadget accepted the text.
+ */
+CanvasUI.Gadget.prototype.paste = function(text) {
+	if (this.focusedGadget != null) return this.focusedGadget.paste(text);
+	return this.processPaste(text);
+}
+
+/**
+ * Called when a paste is received.  Should be overridden in subclasses to
+ * allow custom behaviour.
+ * @param text The text on the clipboard.
+ * @return True if the gadget accepted the text.
+ */
+CanvasUI.Gadget.prototype.processPaste = function(text) { return false; }
+
+/**
+ * Called when the gadget is dragged.  Should be overridden in subclasses to
+ * allow custom drag behaviour.
+ * @param x The x co-ordinate of the drag.
+ * @param y The y co-ordinate of the drag.
+ * @param dx The x distance moved.
+ * @param dy The y distance moved.
+ */
+CanvasUI.Gadget.prototype.processDrag = function(x, y, dx, dy) { }
+
+/**
+ * Drag the gadget.
+ * @param x The x co-ordinate of the drag.
+ * @param y The y co-ordinate of the drag.
+ * @param dx The x distance moved.
+ * @param dy The y distance moved.
+ */
+CanvasUI.Gadget.prototype.drag = function(x, y, dx, dy) {
+	
+	if (this.dragged) {
+
+		var rect = this.getClientRect();
+		var localX = x - this.getX() - rect.x;
+		var localY = y - this.getY() - rect.y;
+
+		this.processDrag(localX, localY, dx, dy);
+		
+		this.fireEvent("drag", { x: localX, y: localY, dx: dx, dy: dy }, [this, localX, localY, dx, dy]);
+			
+		return true;
+	}
+	
+	return false;
+}
+
+/**
+ * Tells the gadget that the mouse has moved onto it.
+ */
+CanvasUI.Gadget.prototype.mouseEnter = function() {
+	if (this.hovered) return;
+
+	this.hovered = true;
+
+	this.processMouseEnter();
+
+	this.fireEvent("mouseEnter");
+}
+
+/**
+ * Called when the mouse moves onto the gadget.  Should be overridden in
+ * subclasses that draw a hover highlight.
+ */
+CanvasUI.Gadget.prototype.processMouseEnter = function() { }
+
+/**
+ * Tells the gadget that the mouse has moved off it.
+ */
+CanvasUI.Gadget.prototype.mouseLeave = function() {
+	if (!this.hovered) return;
+
+	this.hovered = false;
+
+	this.processMouseLeave();
+
+	this.fireEvent("mouseLeave");
+}
+
+/**
+ * Called when the mouse moves off the gadget.  Should be overridden in
+ * subclasses that draw a hover highlight.
+ */
+CanvasUI.Gadget.prototype.processMouseLeave = function() { }
+
+/**
+ * Tells the hovered gadget that the mouse has moved over it.
+ * @param x The x co-ordinate of the mouse.
+ * @param y The y co-ordinate of the mouse.
+ */
+CanvasUI.Gadget.prototype.mouseMove = function(x, y) {
+	var rect = this.getClientRect();
+	var localX = x - this.getX() - rect.x;
+	var localY = y - this.getY() - rect.y;
+
+	this.processMouseMove(localX, localY);
+
+	this.fireEvent("mouseMove", { x: localX, y: localY }, [this, localX, localY]);
+}
+
+/**
+ * Called when the mouse moves over the gadget.  Should be overridden in
+ * subclasses that highlight parts of themselves.
+ * @param x The x co-ordinate of the mouse, relative to the client rect.
+ * @param y The y co-ordinate of the mouse, relative to the client rect.
+ */
+CanvasUI.Gadget.prototype.processMouseMove = function(x, y) { }
+
+/**
+ * Scrolls the gadget with the mouse wheel.  Gadgets that do not handle the
+ * wheel pass it on to their parent.  A gadget with an onWheel handler or a
+ * wheel listener handles every wheel event that reaches it.
+ * @param deltaX The distance scrolled horizontally, in pixels.
+ * @param deltaY The distance scrolled vertically, in pixels.
+ * @return True if the wheel was handled by this gadget or an ancestor.
+ */
+CanvasUI.Gadget.prototype.wheel = function(deltaX, deltaY) {
+	if (this.isEnabled()) {
+		var handled = this.processWheel(deltaX, deltaY);
+
+		if (this.hasEventListeners("wheel")) {
+			this.fireEvent("wheel", { deltaX: deltaX, deltaY: deltaY }, [this, deltaX, deltaY]);
+			handled = true;
+		}
+
+		if (handled) return true;
+	}
+
+	if (this.parent != null) return this.parent.wheel(deltaX, deltaY);
+
+	return false;
+}
+
+/**
+ * Called when the mouse wheel is scrolled over the gadget.  Should be
+ * overridden in subclasses that scroll.
+ * @param deltaX The distance scrolled horizontally, in pixels.
+ * @param deltaY The distance scrolled vertically, in pixels.
+ * @return True if the gadget handled the wheel; false to pass it on to the
+ * parent.
+ */
+CanvasUI.Gadget.prototype.processWheel = function(deltaX, deltaY) {
+	return false;
+}
+
+/**
+ * Describes the gadget to screen readers.  Should be overridden in subclasses
+ * that have a role, a label or a state; overrides should start with the
+ * attributes returned by this method.
+ * @return An object mapping ARIA attribute names to values.  Attributes with
+ * null values are left off the gadget's element.
+ */
+CanvasUI.Gadget.prototype.getAccessibleAttributes = function() {
+	return {
+		"role": null,
+		"aria-label": this.accessibleLabel,
+		"aria-disabled": this.isEnabled() ? null : "true"
+	};
+}
+
+/**
+ * Gets the text that screen readers read as the gadget's content.
+ * @return The text, or null if the gadget has none.
+ */
+CanvasUI.Gadget.prototype.getAccessibleText = function() {
+	return null;
+}
+
+/**
+ * Describes the parts of the gadget that are not gadgets themselves, such as
+ * the options in a listbox, to screen readers.
+ * @return An array of objects with an "attributes" property, in the same form
+ * as the result of getAccessibleAttributes(), and a "text" property.
+ */
+CanvasUI.Gadget.prototype.getAccessibleItems = function() {
+	return new Array();
+}
+
+/**
+ * Performs the gadget's action, as though it had been clicked.  Called when a
+ * screen reader activates the gadget.  Should be overridden in subclasses
+ * that have an action.
+ */
+CanvasUI.Gadget.prototype.activate = function() { }
+
+/**
+ * Performs the action of one of the gadget's items, as though it had been
+ * clicked.  Should be overridden in subclasses that have items.
+ * @param index The index of the item.
+ */
+CanvasUI.Gadget.prototype.activateItem = function(index) { }
+
+/**
+ * Gets the minimum x co-ordinate available to a child gadget.
+ * @return The minimum x co-ordinte available to a child gadget.
+ */
+CanvasUI.Gadget.prototype.getMinChildX = function() {
+	return 0;
+}
+
+/**
+ * Gets the minimum y co-ordinate available to a child gadget.
+ * @return The minimum y co-ordinte available to a child gadget.
+ */
+CanvasUI.Gadget.prototype.getMinChildY = function() {
+	return 0;
+}
+
+/**
+ * Gets the maximum x co-ordinate available to a child gadget.
+ * @return The maximum x co-ordinte available to a child gadget.
+ */
+CanvasUI.Gadget.prototype.getMaxChildX = function() {
+	return this.rect.width - this.borderSize.left - this.borderSize.right - 1;
+}
+
+/**
+ * Gets the maximum y co-ordinate available to a child gadget.
+ * @return The maximum y co-ordinte available to a child gadget.
+ */
+CanvasUI.Gadget.prototype.getMaxChildY = function() {
+	return this.rect.height - this.borderSize.top - this.borderSize.bottom - 1;
+}
+
+/**
+ * Gets the region available to child gadgets, in child co-ordinates.
+ * @return The region available to child gadgets.
+ */
+CanvasUI.Gadget.prototype.getChildRect = function() {
+	var x = this.getMinChildX();
+	var y = this.getMinChildY();
+
+	return new CanvasUI.Rectangle(x, y, this.getMaxChildX() - x + 1, this.getMaxChildY() - y + 1);
+}
+
+/**
+ * Sets the layout that positions the gadget's children and runs it.  Children
+ * are positioned absolutely if the layout is null.
+ * @param layout The new layout.
+ */
+CanvasUI.Gadget.prototype.setLayout = function(layout) {
+	this.layout = layout;
+	this.doLayout();
+}
+
+/**
+ * Positions the gadget's children using its layout, or docks its docked
+ * children if it has no layout.  Called automatically when children are added
+ * or removed and when the gadget is resized.
+ */
+CanvasUI.Gadget.prototype.doLayout = function() {
+	if (this.layout != null) {
+		this.layout.layoutChildren(this, this.getLayoutChildren(), this.getChildRect());
+	} else {
+		this.dockChildren();
+	}
+}
+
+/**
+ * Moves and resizes undocked children according to their anchors.  Called
+ * when the gadget is resized.
+ * @param dx The change in the width of the client rect.
+ * @param dy The change in the height of the client rect.
+ */
+CanvasUI.Gadget.prototype.anchorChildren = function(dx, dy) {
+	var children = this.getLayoutChildren();
+
+	for (var i = 0; i < children.length; ++i) {
+		var child = children[i];
+
+		if (child.dock != CanvasUI.Gadget.DOCK_NONE) continue;
+
+		var x = child.rect.x;
+		var y = child.rect.y;
+		var width = child.rect.width;
+		var height = child.rect.height;
+
+		var left = (child.anchor & CanvasUI.Gadget.ANCHOR_LEFT) != 0;
+		var right = (child.anchor & CanvasUI.Gadget.ANCHOR_RIGHT) != 0;
+		var top = (child.anchor & CanvasUI.Gadget.ANCHOR_TOP) != 0;
+		var bottom = (child.anchor & CanvasUI.Gadget.ANCHOR_BOTTOM) != 0;
+
+		if (left && right) {
+			width = Math.max(0, width + dx);
+		} else if (right) {
+			x += dx;
+		} else if (!left) {
+			x += Math.round(dx / 2);
+		}
+
+		if (top && bottom) {
+			height = Math.max(0, height + dy);
+		} else if (bottom) {
+			y += dy;
+		} else if (!top) {
+			y += Math.round(dy / 2);
+		}
+
+		child.changeDimensions(x, y, width, height);
+	}
+}
+
+/**
+ * Stretches docked children along the edges of the client rect in the order
+ * in which they were added.  Each docked child takes its space from whatever
+ * its earlier siblings left over.
+ */
+CanvasUI.Gadget.prototype.dockChildren = function() {
+	var children = this.getLayoutChildren();
+	var rect = null;
+
+	for (var i = 0; i < children.length; ++i) {
+		var child = children[i];
+
+		if (child.dock == CanvasUI.Gadget.DOCK_NONE) continue;
+
+		if (rect == null) rect = this.getChildRect();
+
+		var width = Math.max(0, rect.width);
+		var height = Math.max(0, rect.height);
+
+		switch (child.dock) {
+			case CanvasUI.Gadget.DOCK_TOP:
+				child.changeDimensions(rect.x, rect.y, width, child.rect.height);
+				rect.y += child.rect.height;
+				rect.height -= child.rect.height;
+				break;
+
+			case CanvasUI.Gadget.DOCK_BOTTOM:
+				child.changeDimensions(rect.x, rect.y + rect.height - child.rect.height, width, child.rect.height);
+				rect.height -= child.rect.height;
+				break;
+
+			case CanvasUI.Gadget.DOCK_LEFT:
+				child.changeDimensions(rect.x, rect.y, child.rect.width, height);
+				rect.x += child.rect.width;
+				rect.width -= child.rect.width;
+				break;
+
+			case CanvasUI.Gadget.DOCK_RIGHT:
+				child.changeDimensions(rect.x + rect.width - child.rect.width, rect.y, child.rect.width, height);
+				rect.width -= child.rect.width;
+				break;
+
+			case CanvasUI.Gadget.DOCK_FILL:
+				child.changeDimensions(rect.x, rect.y, width, height);
+				break;
+		}
+	}
+}
+
+/**
+ * Sets the edges of the parent's client rect that the gadget keeps its
+ * distance from when the parent is resized.
+ * @param anchor A combination of the ANCHOR_ constants.
+ */
+CanvasUI.Gadget.prototype.setAnchor = function(anchor) {
+	this.anchor = anchor;
+}
+
+/**
+ * Sets the edge of the parent's client rect that the gadget is docked to and
+ * re-docks the parent's children.
+ * @param dock One of the DOCK_ constants.
+ */
+CanvasUI.Gadget.prototype.setDock = function(dock) {
+	this.dock = dock;
+
+	if (this.parent != null) this.parent.doLayout();
+}
+
+/**
+ * Gets the children positioned by the gadget's layout.  Children that ignore
+ * layouts, such as window buttons and built-in scrollbars, are excluded.
+ * @return An array of children.
+ */
+CanvasUI.Gadget.prototype.getLayoutChildren = function() {
+	var children = new Array();
+
+	for (var i = 0; i < this.children.length(); ++i) {
+		if (!this.children.at(i).ignoresLayout) children.push(this.children.at(i));
+	}
+
+	return children;
+}
+
+/**
+ * Moves the gadget to the specified co-ordinates.
+ * @param x The new x co-ordinate of the gadget, relative to its parent.
+ * @param y The new y co-ordinate of the gadget, relative to its parent.
+ */
+CanvasUI.Gadget.prototype.moveTo = function(x, y) {
+
+	this.hide();
+
+	// Prevent moving outside parent
+	if (this.parent != null && !this.parent.permeable) {
+		var minX = this.parent.getMinChildX();
+		var maxX = this.parent.getMaxChildX() - this.rect.width + 1;
+		var minY = this.parent.getMinChildY();
+		var maxY = this.parent.getMaxChildY() - this.rect.height + 1;
+		
+		if (x < minX) x = minX;
+		if (x > maxX) x = maxX;
+		if (y < minY) y = minY;
+		if (y > maxY) y = maxY;
+	}
+	
+	this.rect.x = x;
+	this.rect.y = y;
+		
+	this.show();
+}
+
+/**
+ * Resizes the gadget to the specified dimensions.
+ * @param width The new width of the gadget.
+ * @param height The new height of the gadget.
+ */
+CanvasUI.Gadget.prototype.resize = function(width, height) {
+	this.changeDimensions(this.rect.x, this.rect.y, width, height);
+}
+
+/**
+ * Moves and resizes the gadget in a single operation.  Both the area
+ * previously occupied by the gadget and its new area are marked as damaged.
+ * @param x The new x co-ordinate of the gadget, relative to its parent.
+ * @param y The new y co-ordinate of the gadget, relative to its parent.
+ * @param width The new width of the gadget.
+ * @param height The new height of the gadget.
+ */
+CanvasUI.Gadget.prototype.changeDimensions = function(x, y, width, height) {
+
+	if (x == this.rect.x && y == this.rect.y && width == this.rect.width && height == this.rect.height) return;
+
+	var resized = (width != this.rect.width) || (height != this.rect.height);
+	var wasVisible = this.visible;
+	var oldWidth = this.rect.width;
+	var oldHeight = this.rect.height;
+
+	this.hide();
+
+	this.rect.x = x;
+	this.rect.y = y;
+	this.rect.width = width;
+	this.rect.height = height;
+
+	if (resized) {
+		this.processResize(width, height);
+
+		// Layouts take precedence over anchors
+		if (this.layout != null) {
+			this.doLayout();
+		} else {
+			this.anchorChildren(width - oldWidth, height - oldHeight);
+			this.dockChildren();
+		}
+	}
+
+	if (wasVisible) this.show();
+
+	if (resized) this.fireEvent("resize", { width: width, height: height }, [this, width, height]);
+}
+
+/**
+ * Called when the gadget is resized.  Should be overridden in subclasses to
+ * allow custom resize behaviour, such as repositioning children.
+ * @param width The new width of the gadget.
+ * @param height The new height of the gadget.
+ */
+CanvasUI.Gadget.prototype.processResize = function(width, height) { }
+
+/**
+ * Called when a child is added to the gadget.  Should be overridden in
+ * subclasses that keep track of their children.
+ * @param gadget The child that was added.
+ */
+CanvasUI.Gadget.prototype.processAddChild = function(gadget) { }
+
+/**
+ * Hides the gadget if it is visible.
+ */
+CanvasUI.Gadget.prototype.hide = function() {
+	if (this.visible) {
+		this.visible = false;
+
+		this.markRectsDamaged();
+	}
+}
+
+/**
+ * Shows the gadget if it is hidden.
+ */
+CanvasUI.Gadget.prototype.show = function() {
+	if (!this.visible) {
+		this.visible = true;
+		
+		this.markRectsDamaged();
+	}
+}
+
+/**
+ * Raises the gadget to the top of its parent's stack.
+ */
+CanvasUI.Gadget.prototype.raiseToTop = function() {
+	if (this.parent != null) {
+		this.hide();
+		this.parent.raiseChildToTop(this);
+		this.show();
+	}
+}
+
+/**
+ * Raises the child to the top of the child stack.
+ * @param child The child to raise to the top of the stack.
+ */
+CanvasUI.Gadget.prototype.raiseChildToTop = function(child) {
+	this.children.raiseToTop(child);
+}
+
+/**
+ * Lowers the gadget to the bottom of its parent's stack.
+ */
+CanvasUI.Gadget.prototype.lowerToBottom = function() {
+	if (this.parent != null) {
+		this.hide();
+		this.parent.lowerChildToBottom(this);
+		this.show();
+	}
+}
+
+/**
+ * Lowers the child to the bottom of the child stack.
+ * @param child The child to lower to the bottom of the stack.
+ */
+CanvasUI.Gadget.prototype.lowerChildToBottom = function(child) {
+	this.children.lowerToBottom(child);
+}
+
+
+/** Gui Methods **/
+
+CanvasUI.Gui.prototype = new CanvasUI.Gadget;
+
+CanvasUI.Gui.prototype.constructor = CanvasUI.Gui;
+
+/**
+ * Overrides the base method with an empty method to ensure that no border is
+ * drawn.
+ */
+CanvasUI.Gui.prototype.drawBorder = function(gfx) { }
+
+/**
+ * Gets the gadget's canvas.
+ * @return The gadget's canvas.
+ */
+CanvasUI.Gui.prototype.getCanvas = function() { return this.canvas; }
+
+/**
+ * Sets the clicked gadget.
+ * @param gadget The clicked gadget.
+ */
+CanvasUI.Gui.prototype.setClickedGadget = function(gadget) {
+	this.clickedGadget = gadget;
+}
+
+/**
+ * Gets the clicked gadget.
+ * @return The clicked gadget.
+ */
+CanvasUI.Gui.prototype.getClickedGadget = function() { return this.clickedGadget; }
+
+/**
+ * Hovers the topmost gadget at the specified co-ordinates, using the same
+ * hit test as clicks, and sends it the mouse position.  Gadgets blocked by a
+ * modal gadget are not hovered.
+ * @param x The x co-ordinate of the mouse.
+ * @param y The y co-ordinate of the mouse.
+ */
+CanvasUI.Gui.prototype.hover = function(x, y) {
+	var gadget = this.getGadgetAt(x, y);
+
+	if (this.isBlockedByModal(gadget)) gadget = null;
+
+	this.setHoveredGadget(gadget);
+
+	if (gadget != null) gadget.mouseMove(x, y);
+}
+
+/**
+ * Sets the hovered gadget, telling the previously hovered gadget that the
+ * mouse has left it.
+ * @param gadget The gadget under the mouse, or null if there is none.
+ */
+CanvasUI.Gui.prototype.setHoveredGadget = function(gadget) {
+	if (this.hoveredGadget == gadget) return;
+
+	var oldGadget = this.hoveredGadget;
+	this.hoveredGadget = gadget;
+
+	if (oldGadget != null) oldGadget.mouseLeave();
+	if (gadget != null) gadget.mouseEnter();
+}
+
+/**
+ * Gets the window that contains the focused gadget.
+ * @return The innermost window in the focus chain, or the GUI if no window
+ * has focus.
+ */
+CanvasUI.Gui.prototype.getActiveWindow = function() {
+	var activeWindow = this;
+
+	for (var gadget = this.focusedGadget; gadget != null; gadget = gadget.focusedGadget) {
+		if (gadget instanceof CanvasUI.Window) activeWindow = gadget;
+	}
+
+	return activeWindow;
+}
+
+/**
+ * Gets the hovered gadget.
+ * @return The gadget under the mouse, or null if there is none.
+ */
+CanvasUI.Gui.prototype.getHoveredGadget = function() { return this.hoveredGadget; }
+
+/**
+ * Gets the damaged rectangle manager.
+ * @return The damaged rectangle manager.
+ */
+CanvasUI.Gui.prototype.getDamagedRectManager = function() {
+	return this.damagedRectManager;
+}
+
+/**
+ * Gets the top-level gadget.
+ * @return The top-level gadget.
+ */
+CanvasUI.Gui.prototype.getGui = function() { return this; }
+
+/**
+ * Gets the shortcut manager.
+ * @return The shortcut manager.
+ */
+CanvasUI.Gui.prototype.getShortcutManager = function() {
+	return this.shortcutManager;
+}
+
+/**
+ * Adds a keyboard shortcut.
+ * @param keys The key combination, such as "Ctrl+S".
+ * @param callback The function to call when the keys are pressed.
+ * @param scope The gadget or window that must contain the focus for the
+ * shortcut to work, or null for a shortcut that works anywhere.  Optional.
+ * @return The new shortcut.
+ */
+CanvasUI.Gui.prototype.addShortcut = function(keys, callback, scope) {
+	return this.shortcutManager.add(keys, callback, scope);
+}
+
+/**
+ * Removes a keyboard shortcut.
+ * @param shortcut The shortcut to remove.
+ */
+CanvasUI.Gui.prototype.removeShortcut = function(shortcut) {
+	this.shortcutManager.remove(shortcut);
+}
+
+/**
+ * Sets the theme used to draw every gadget in the GUI that does not have a
+ * theme of its own, and redraws the GUI.
+ * @param theme The new theme, or null to use the default theme.
+ */
+CanvasUI.Gui.prototype.setTheme = function(theme) {
+	CanvasUI.Gadget.prototype.setTheme.call(this, theme);
+	this.damagedRectManager.redraw();
+}
+
+/**
+ * Opens a popup.  Popups are children of the GUI that are drawn above all
+ * other gadgets, so they are not clipped by the gadgets that open them.  They
+ * are closed automatically when the user clicks outside of them.
+ * @param popup The gadget to open as a popup.  Its co-ordinates are relative
+ * to the GUI.
+ * @param owner The gadget that opened the popup.  Clicks on the owner do not
+ * close the popup, allowing the owner to toggle it.
+ */
+CanvasUI.Gui.prototype.openPopup = function(popup, owner) {
+	if (popup.parent == this) return;
+
+	popup.popupOwner = owner;
+
+	this.popups.push(popup);
+	this.children.add(popup);
+}
+
+/**
+ * Closes a popup.
+ * @param popup The popup to close.
+ */
+CanvasUI.Gui.prototype.closePopup = function(popup) {
+	for (var i = 0; i < this.popups.length; ++i) {
+		if (this.popups[i] == popup) {
+			this.popups.splice(i, 1);
+			popup.processPopupClose();
+			this.children.remove(popup);
+			return;
+		}
+	}
+}
+
+/**
+ * Closes all popups above the topmost popup (or popup owner) that contains the
+ * specified co-ordinates.  Called before clicks are processed so that
+ * clicking outside of a popup closes it.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.Gui.prototype.closePopupsAt = function(x, y) {
+	for (var i = this.popups.length - 1; i >= 0; --i) {
+		var popup = this.popups[i];
+
+		if (popup.checkPointCollision(x, y)) return;
+		if (popup.popupOwner != null && popup.popupOwner.checkPointCollision(x, y)) return;
+
+		this.closePopup(popup);
+	}
+}
+
+/**
+ * Raises the child to the top of the child stack.  Open modal gadgets and
+ * popups are kept above the raised child.
+ * @param child The child to raise to the top of the stack.
+ */
+CanvasUI.Gui.prototype.raiseChildToTop = function(child) {
+	this.children.raiseToTop(child);
+
+	for (var i = 0; i < this.modals.length; ++i) {
+		if (this.modals[i] != child) this.children.raiseToTop(this.modals[i]);
+	}
+
+	for (var i = 0; i < this.popups.length; ++i) {
+		if (this.popups[i] != child) this.children.raiseToTop(this.popups[i]);
+	}
+}
+
+/**
+ * Lowers the child to the bottom of the child stack.  Modal gadgets cannot be
+ * lowered.
+ * @param child The child to lower to the bottom of the stack.
+ */
+CanvasUI.Gui.prototype.lowerChildToBottom = function(child) {
+	if (this.isModal(child)) return;
+
+	this.children.lowerToBottom(child);
+}
+
+/**
+ * Opens a modal gadget.  While a modal gadget is open, clicks and keypresses
+ * are only sent to the topmost modal gadget and the popups that it opens, and
+ * the gadget stays above all other gadgets.
+ * @param gadget The gadget to open.  Its co-ordinates are relative to the
+ * GUI.
+ */
+CanvasUI.Gui.prototype.openModal = function(gadget) {
+	if (this.isModal(gadget)) return;
+
+	// Remember which gadget had focus so that it can be given focus again when
+	// the modal gadget closes
+	var focused = this;
+
+	while (focused.focusedGadget != null) focused = focused.focusedGadget;
+
+	this.modals.push(gadget);
+	this.modalFocus.push(focused);
+
+	if (gadget.parent != this) this.children.add(gadget);
+
+	this.raiseChildToTop(gadget);
+
+	gadget.focus();
+
+	// The gadgets behind the modal gadget are now hidden from screen readers
+	this.accessibilityTree.markDamaged(this);
+
+	// Modal gadgets are often opened from promise callbacks and timers, which
+	// run outside of the GUI's event handlers, so redraw explicitly
+	this.damagedRectManager.redraw();
+}
+
+/**
+ * Closes a modal gadget and gives focus back to the gadget that had focus
+ * when it opened.
+ * @param gadget The gadget to close.
+ */
+CanvasUI.Gui.prototype.closeModal = function(gadget) {
+	for (var i = 0; i < this.modals.length; ++i) {
+		if (this.modals[i] == gadget) {
+			var previousFocus = this.modalFocus[i];
+
+			this.modals.splice(i, 1);
+			this.modalFocus.splice(i, 1);
+
+			// Prevent keys being sent to the closed gadget
+			if (this.focusedGadget == gadget) {
+				gadget.blur();
+				this.focusedGadget = null;
+			}
+
+			if (gadget.parent == this) this.children.remove(gadget);
+
+			if (previousFocus != this && previousFocus.getGui() == this && !this.isBlockedByModal(previousFocus)) {
+				previousFocus.focus();
+			} else if (this.modals.length > 0) {
+				this.modals[this.modals.length - 1].focus();
+			}
+
+			this.accessibilityTree.markDamaged(this);
+
+			this.damagedRectManager.redraw();
+
+			return;
+		}
+	}
+}
+
+/**
+ * Check if the specified gadget is an open modal gadget.
+ * @param gadget The gadget to check.
+ * @return True if the gadget is modal.
+ */
+CanvasUI.Gui.prototype.isModal = function(gadget) {
+	for (var i = 0; i < this.modals.length; ++i) {
+		if (this.modals[i] == gadget) return true;
+	}
+
+	return false;
+}
+
+/**
+ * Check if input to the specified gadget is blocked by a modal gadget.  Input
+ * is blocked unless the gadget is the topmost modal gadget, a popup, or a
+ * descendant of either.
+ * @param gadget The gadget to check.  Can be null.
+ * @return True if the gadget should not receive input.
+ */
+CanvasUI.Gui.prototype.isBlockedByModal = function(gadget) {
+	if (this.modals.length == 0) return false;
+
+	var modal = this.modals[this.modals.length - 1];
+
+	for (; gadget != null; gadget = gadget.parent) {
+		if (gadget == modal) return false;
+
+		for (var i = 0; i < this.popups.length; ++i) {
+			if (gadget == this.popups[i]) return false;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Finds the touch that is driving the UI among the touches that changed in a
+ * touch event.
+ * @param e The touch event arguments.
+ * @return The touch, or null if it did not change.
+ */
+CanvasUI.Gui.prototype.getActiveTouch = function(e) {
+	for (var i = 0; i < e.changedTouches.length; ++i) {
+		if (e.changedTouches[i].identifier == this.activePointerId) return e.changedTouches[i];
+	}
+
+	return null;
+}
+
+/**
+ * Resizes the canvas's backing store to match the screen's device pixel
+ * ratio so that drawing is sharp on high-DPI screens.  The canvas keeps its
+ * CSS size, and the GUI and its gadgets continue to work in CSS pixels.
+ */
+CanvasUI.Gui.prototype.updatePixelRatio = function() {
+	var ratio = window.devicePixelRatio ? window.devicePixelRatio : 1;
+
+	if (ratio == this.pixelRatio) return;
+
+	this.pixelRatio = ratio;
+
+	this.canvas.style.width = this.rect.width + "px";
+	this.canvas.style.height = this.rect.height + "px";
+
+	// Resizing the canvas clears it and resets its transform
+	this.canvas.width = Math.round(this.rect.width * ratio);
+	this.canvas.height = Math.round(this.rect.height * ratio);
+
+	new CanvasUI.Graphics(0, 0, this.canvas, null).applyPixelRatio(ratio);
+
+	this.damagedRectManager.addDamagedRect(this.rect);
+	this.damagedRectManager.redraw();
+}
+
+/**
+ * Listens for changes to the device pixel ratio, such as when the browser
+ * window moves to a screen with a different pixel density or the page is
+ * zoomed, and updates the canvas to match.
+ */
+CanvasUI.Gui.prototype.watchPixelRatio = function() {
+	if (!window.matchMedia) return;
+
+	var obj = this;
+	var query = window.matchMedia("(resolution: " + this.pixelRatio + "dppx)");
+
+	// The query only matches the current ratio, so it must be replaced
+	// whenever the ratio changes
+	var listener = function() {
+		query.removeListener(listener);
+
+		obj.updatePixelRatio();
+		obj.watchPixelRatio();
+	}
+
+	query.addListener(listener);
+}
+
+/**
+ * Sets up a timer that ensures that the gui redraws any changes that
+ * occur outside of click/release/drag events.
+ */
+CanvasUI.Gui.prototype.startTimer = function() {
+	var obj = this;
+	this.timer = setTimeout(function() { obj.damagedRectManager.redraw(), 10 });
+}
+
+/**
+ * Check if the browser's focus belongs to the GUI.  It does while the canvas
+ * or the GUI's accessibility tree has focus, or while nothing on the page
+ * does.  Keyboard and clipboard events on the document are ignored when it
+ * does not, so that typing or cutting in an HTML input elsewhere on the page
+ * does not reach the focused gadget as well.
+ * @return True if the GUI owns the browser's focus.
+ */
+CanvasUI.Gui.prototype.hasBrowserFocus = function() {
+	var element = document.activeElement;
+
+	if (element == null || element == document.body || element == this.canvas) return true;
+
+	return this.accessibilityTree.containsFocus();
+}
+
+/**
+ * Records the modifier keys held during an input event so that they can be
+ * included in the gadget events it causes.
+ * @param e The event arguments.
+ */
+CanvasUI.Gui.prototype.updateModifiers = function(e) {
+	this.isShiftHeld = e.shiftKey ? true : false;
+	this.isAltHeld = e.altKey ? true : false;
+	this.isCtrlHeld = e.ctrlKey ? true : false;
+}
+
+/**
+ * Counts a click towards a double or triple click.  Clicks count if they land
+ * on the same gadget as the previous click, close to it and soon after it;
+ * otherwise they start a new sequence.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @param isPrimary True if the click was made with the primary button.
+ */
+CanvasUI.Gui.prototype.countClick = function(x, y, isPrimary) {
+	var time = new Date().getTime();
+	var gadget = isPrimary ? this.clickedGadget : null;
+
+	if (gadget != null && gadget == this.lastClickedGadget &&
+		time - this.lastClickTime <= this.doubleClickTime &&
+		Math.abs(x - this.lastClickX) <= this.doubleClickDistance &&
+		Math.abs(y - this.lastClickY) <= this.doubleClickDistance) {
+		this.clickCount++;
+	} else {
+		this.clickCount = gadget != null ? 1 : 0;
+	}
+
+	this.lastClickTime = time;
+	this.lastClickX = x;
+	this.lastClickY = y;
+	this.lastClickedGadget = gadget;
+}
+
+
+/** Label Methods **/
+
+CanvasUI.Label.prototype = new CanvasUI.Gadget;
+
+CanvasUI.Label.prototype.constructor = CanvasUI.Label;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Label.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var textRect = this.getClientRect();
+	var lines = this.isWordWrapped ? gfx.wrapText(this.text, textRect.width) : [this.text];
+	
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+
+	if (this.isEnabled()) {
+		gfx.fillAlignedText(lines, textRect, this.horizontalAlignment, this.verticalAlignment, this.textColour);
+	} else {
+		var shadowRect = new CanvasUI.Rectangle(textRect.x + 1, textRect.y + 1, textRect.width, textRect.height);
+		gfx.fillAlignedText(lines, shadowRect, this.horizontalAlignment, this.verticalAlignment, this.shadowColour);
+		gfx.fillAlignedText(lines, textRect, this.horizontalAlignment, this.verticalAlignment, this.shineColour);
+	}
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Label.prototype.drawBorder = function(gfx) { }
+
+/**
+ * Changes the label text.
+ * @param text The new label text.
+ */
+CanvasUI.Label.prototype.setText = function(text) {
+	this.text = text;
+	this.markRectsDamaged();
+}
+
+/**
+ * Gets the text that screen readers read as the gadget's content.
+ * @return The label text.
+ */
+CanvasUI.Label.prototype.getAccessibleText = function() {
+	return this.text;
+}
+
+
+/** Button Methods **/
+
+CanvasUI.Button.prototype = new CanvasUI.Gadget;
+
+CanvasUI.Button.prototype.constructor = CanvasUI.Button;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Button.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var textRect = this.getClientRect();
+	var lines = [this.text];
+	var iconRect = this.getIconRect();
+
+	// Text fills the space to the right of the icon
+	if (iconRect != null) {
+		var iconSpace = iconRect.x + iconRect.width + 2 - textRect.x;
+		textRect.x += iconSpace;
+		textRect.width -= iconSpace;
+	}
+	
+	if (this.clicked) {
+		gfx.fillRect(drawRect, this.darkColour);
+		gfx.fillAlignedText(lines, textRect, this.horizontalAlignment, this.verticalAlignment, this.shineColour, this.mnemonicIndex);
+	} else {
+
+		// Draw top, lighter if the mouse is over the button
+		var theme = this.getTheme();
+		var gradient = this.hovered && this.isEnabled() ? theme.gadgetHoverGradient : theme.gadgetGradient;
+		gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, gradient);
+
+		if (this.isEnabled()) {
+			gfx.fillAlignedText(lines, textRect, this.horizontalAlignment, this.verticalAlignment, this.textColour, this.mnemonicIndex);
+		} else {
+			var shadowRect = new CanvasUI.Rectangle(textRect.x + 1, textRect.y + 1, textRect.width, textRect.height);
+			gfx.fillAlignedText(lines, shadowRect, this.horizontalAlignment, this.verticalAlignment, this.shadowColour, this.mnemonicIndex);
+			gfx.fillAlignedText(lines, textRect, this.horizontalAlignment, this.verticalAlignment, this.shineColour, this.mnemonicIndex);
+		}
+	}
+
+	if (iconRect != null) {
+		gfx.drawImage(this.icon, iconRect.x, iconRect.y, iconRect.width, iconRect.height, this.isEnabled() ? null : 0.5);
+	}
+}
+
+/**
+ * Redraws the button with its hover highlight.
+ */
+CanvasUI.Button.prototype.processMouseEnter = function() {
+	this.markRectsDamaged();
+}
+
+/**
+ * Redraws the button without its hover highlight.
+ */
+CanvasUI.Button.prototype.processMouseLeave = function() {
+	this.markRectsDamaged();
+}
+
+/**
+ * Presses the button if space or enter is pressed, firing the same release
+ * event as a click.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Button.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (!this.isEnabled()) return;
+
+	if (keyCode == 32 || keyCode == 13) this.activate();
+}
+
+/**
+ * Presses the button from the keyboard, firing the same release event as a
+ * click.
+ */
+CanvasUI.Button.prototype.activate = function() {
+	this.completeRelease(0, 0);
+}
+
+/**
+ * Changes the button text.  An ampersand before a letter or digit makes it the
+ * button's mnemonic: the character is underlined and pressing it with alt
+ * presses the button.  Use two ampersands for an ampersand before a letter or
+ * digit; an ampersand before anything else is shown as it is.
+ * @param text The new button text.
+ */
+CanvasUI.Button.prototype.setText = function(text) {
+	this.text = '';
+	this.mnemonic = null;
+	this.mnemonicIndex = -1;
+
+	if (text == null) text = '';
+
+	for (var i = 0; i < text.length; ++i) {
+		var character = text.charAt(i);
+
+		if (character == '&' && i < text.length - 1) {
+			var next = text.charAt(i + 1);
+
+			// Only letters and digits can be typed with alt
+			if (next == '&') {
+				++i;
+			} else if (/^[A-Za-z0-9]$/.test(next)) {
+				character = text.charAt(++i);
+
+				if (this.mnemonic == null) {
+					this.mnemonic = character.toUpperCase();
+					this.mnemonicIndex = this.text.length;
+				}
+			}
+		}
+
+		this.text += character;
+	}
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Gets the region of the button occupied by its icon.  The icon sits at the
+ * left of the button, or in the centre if the button has no text.
+ * @return The icon's rectangle, relative to the button, or null if the
+ * button has no icon.
+ */
+CanvasUI.Button.prototype.getIconRect = function() {
+	if (this.icon == null) return null;
+
+	var rect = this.getClientRect();
+	var size = Math.min(this.iconSize, rect.width, rect.height);
+	var x = this.text == '' ? rect.x + Math.floor((rect.width - size) / 2) : rect.x + 2;
+	var y = rect.y + Math.floor((rect.height - size) / 2);
+
+	return new CanvasUI.Rectangle(x, y, size, size);
+}
+
+/**
+ * Sets the icon drawn on the button.
+ * @param icon The URL of the image to use, an image, or null to remove the
+ * icon.
+ */
+CanvasUI.Button.prototype.setIcon = function(icon) {
+	this.icon = icon != null ? this.loadImage(icon) : null;
+	this.markRectsDamaged();
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Button.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	if (this.clicked) {
+		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
+	} else {
+		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+	}
+}
+
+/**
+ * Describes the button to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.Button.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "button";
+	if (attributes["aria-label"] == null && this.text != '') attributes["aria-label"] = this.text;
+	attributes["aria-keyshortcuts"] = this.mnemonic != null ? "Alt+" + this.mnemonic : null;
+
+	return attributes;
+}
+
+
+/** WindowCloseButton Methods **/
+
+CanvasUI.WindowCloseButton.prototype = new CanvasUI.Gadget;
+
+CanvasUI.WindowCloseButton.prototype.constructor = CanvasUI.WindowCloseButton;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.WindowCloseButton.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	// Choose colour based on focus and hover
+	var theme = this.getTheme();
+	var gradient = this.parent.focused ? theme.windowTitleGradient : theme.windowInactiveTitleGradient;
+	if (this.hovered) gradient = theme.windowButtonHoverGradient;
+	
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, gradient);
+	
+	var quarterWidth = (this.rect.height / 4);
+	var quarterHeight = (this.rect.height / 4);
+	var glyphWidth = (this.rect.width / 2);
+	var glyphHeight = (this.rect.height / 2);
+	gfx.drawRect(new CanvasUI.Rectangle(quarterWidth, quarterHeight, glyphWidth, glyphHeight), theme.windowTitleTextColour);
+}
+
+/**
+ * Redraws the button with its hover highlight.
+ */
+CanvasUI.WindowCloseButton.prototype.processMouseEnter = function() {
+	this.markRectsDamaged();
+}
+
+/**
+ * Redraws the button without its hover highlight.
+ */
+CanvasUI.WindowCloseButton.prototype.processMouseLeave = function() {
+	this.markRectsDamaged();
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.WindowCloseButton.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	if (this.clicked) {
+		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
+	} else {
+		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+	}
+}
+
+/**
+ * Describes the button to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.WindowCloseButton.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "button";
+	if (attributes["aria-label"] == null) attributes["aria-label"] = "Close";
+
+	return attributes;
+}
+
+/**
+ * Presses the button, firing the same release event as a click.
+ */
+CanvasUI.WindowCloseButton.prototype.activate = function() {
+	this.completeRelease(0, 0);
+}
+
+/**
+ * Closes the window when the button is released.
+ * @param x The x co-ordinate of the release.
+ * @param y The y co-ordinate of the release.
+ */
+CanvasUI.WindowCloseButton.prototype.processRelease = function(x, y) {
+	this.parent.close();
+}
+
+
+/** WindowDepthButton Methods **/
+
+CanvasUI.WindowDepthButton.prototype = new CanvasUI.Gadget;
+
+CanvasUI.WindowDepthButton.prototype.constructor = CanvasUI.WindowDepthButton;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.WindowDepthButton.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	// Choose colour based on focus and hover
+	var theme = this.getTheme();
+	var gradient = this.parent.focused ? theme.windowTitleGradient : theme.windowInactiveTitleGradient;
+	if (this.hovered) gradient = theme.windowButtonHoverGradient;
+	
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, gradient);
+
+	var quarterWidth = (this.rect.height / 4);
+	var quarterHeight = (this.rect.height / 4);
+	var glyphWidth = (this.rect.width / 3);
+	var glyphHeight = (this.rect.height / 3);
+	gfx.drawRect(new CanvasUI.Rectangle(quarterWidth, quarterHeight, glyphWidth, glyphHeight), theme.windowTitleTextColour);
+	gfx.drawRect(new CanvasUI.Rectangle(quarterWidth * 1.5, quarterHeight * 1.5, glyphWidth, glyphHeight), theme.windowTitleTextColour);
+}
+
+/**
+ * Redraws the button with its hover highlight.
+ */
+CanvasUI.WindowDepthButton.prototype.processMouseEnter = function() {
+	this.markRectsDamaged();
+}
+
+/**
+ * Redraws the button without its hover highlight.
+ */
+CanvasUI.WindowDepthButton.prototype.processMouseLeave = function() {
+	this.markRectsDamaged();
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.WindowDepthButton.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	if (this.clicked) {
+		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
+	} else {
+		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+	}
+}
+
+/**
+ * Describes the button to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.WindowDepthButton.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "button";
+	if (attributes["aria-label"] == null) attributes["aria-label"] = "Send to back";
+
+	return attributes;
+}
+
+/**
+ * Presses the button, firing the same release event as a click.
+ */
+CanvasUI.WindowDepthButton.prototype.activate = function() {
+	this.completeRelease(0, 0);
+}
+
+/**
+ * Sends the window to the back when the button is released.
+ * @param x The x co-ordinate of the release.
+ * @param y The y co-ordinate of the release.
+ */
+CanvasUI.WindowDepthButton.prototype.processRelease = function(x, y) {
+	this.parent.lowerToBottom();
+}
+
+
+/** Window Methods **/
+
+CanvasUI.Window.prototype = new CanvasUI.Gadget;
+
+CanvasUI.Window.prototype.constructor = CanvasUI.Window;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Window.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillGradientRect(drawRect, 0, 0, this.rect.width, this.rect.height, this.getTheme().windowGradient);
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Window.prototype.drawBorder = function(gfx) {
+	var borderRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var titleRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.borderSize.top);
+	var leftRect = new CanvasUI.Rectangle(0, this.borderSize.top - 1, this.borderSize.left, this.rect.height - this.borderSize.top + 1);
+	var rightRect = new CanvasUI.Rectangle(this.rect.width - this.borderSize.right, this.borderSize.top - 1, this.borderSize.right, this.rect.height - this.borderSize.top + 1);
+	var bottomRect = new CanvasUI.Rectangle(0, this.rect.height - this.borderSize.bottom, this.rect.width, this.borderSize.bottom);
+	
+	// Choose border colour based on focus; the sides match the end of the
+	// title gradient
+	var theme = this.getTheme();
+	var gradient = this.focused ? theme.windowTitleGradient : theme.windowInactiveTitleGradient;
+	var colour = gradient[gradient.length - 1].colour;
+	
+	// Draw left
+	gfx.fillRect(leftRect, colour);
+	
+	// Draw right
+	gfx.fillRect(rightRect, colour);
+	
+	// Draw top
+	gfx.fillGradientRect(titleRect, 0, 0, 0, titleRect.height, gradient);
+
+	// The title fills the space between the close and depth buttons
+	var titleLeft = this.borderSize.left + this.closeButton.rect.x + this.closeButton.getWidth();
+	var titleRight = this.borderSize.left + this.depthButton.rect.x;
+
+	// Draw the icon beside the close button and move the title out of its way
+	if (this.icon != null) {
+		var iconSize = Math.min(16, this.borderSize.top - 4);
+		var iconX = titleLeft + 4;
+		var iconY = Math.floor((this.borderSize.top - iconSize) / 2);
+
+		gfx.drawImage(this.icon, iconX, iconY, iconSize, iconSize);
+
+		titleLeft = iconX + iconSize + 4;
+	}
+
+	// Centre the title, but keep long titles clear of the icon
+	var titleX = Math.max(titleLeft, titleLeft + (titleRight - titleLeft - gfx.getTextWidth(this.title)) / 2);
+	var titleY = gfx.getCentredBaseline(this.borderSize.top);
+	gfx.fillText(this.title, titleX, titleY, theme.windowTitleTextColour);
+	
+	// Draw bottom
+	gfx.fillRect(bottomRect, colour);
+
+	// Draw notches that separate the resize grip from the rest of the border
+	if (this.resizable) {
+		var gripX = this.rect.width - this.resizeGripSize;
+		var gripY = this.rect.height - this.resizeGripSize;
+
+		gfx.fillRect(new CanvasUI.Rectangle(gripX, this.rect.height - this.borderSize.bottom, 1, this.borderSize.bottom), this.shadowColour);
+		gfx.fillRect(new CanvasUI.Rectangle(gripX + 1, this.rect.height - this.borderSize.bottom, 1, this.borderSize.bottom), this.shineColour);
+		gfx.fillRect(new CanvasUI.Rectangle(this.rect.width - this.borderSize.right, gripY, this.borderSize.right, 1), this.shadowColour);
+		gfx.fillRect(new CanvasUI.Rectangle(this.rect.width - this.borderSize.right, gripY + 1, this.borderSize.right, 1), this.shineColour);
+	}
+	
+	// Draw inner bevelled rect
+	var innerRect = this.getClientRect();
+	innerRect.y--;
+	innerRect.x--;
+	innerRect.height++;
+	innerRect.width++;
+	gfx.drawBevelledRect(innerRect, this.shadowColour, this.shineColour);
+	
+	// Draw outline
+	gfx.drawBevelledRect(borderRect, this.shineColour, this.shadowColour);
+}
+
+/**
+ * Called when the window is clicked.  Raises the window to the top of the stack
+ * and starts the dragging system if the top border is clicked.  Clicking the
+ * side or bottom borders, or the grip in the bottom-right corner, starts the
+ * resizing system instead.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.Window.prototype.processClick = function(x, y) {
+
+	this.stopResizing();
+
+	// Only drag if click within title bar
+	if (this.draggable) {
+		if (y < 0) {
+			this.dragged = true;
+			return;
+		}
+	}
+
+	if (!this.resizable) return;
+
+	// Convert the click to gadget co-ordinates so that it can be compared with
+	// the client rect
+	var rect = this.getClientRect();
+	var gadgetX = x + rect.x;
+	var gadgetY = y + rect.y;
+
+	if (gadgetX < rect.x) this.resizingLeft = true;
+	if (gadgetX >= rect.x + rect.width) this.resizingRight = true;
+	if (gadgetY >= rect.y + rect.height) this.resizingBottom = true;
+
+	if (!this.isResizing()) return;
+
+	// Clicks on the border close to the bottom-right corner hit the grip, which
+	// resizes in both directions
+	if (gadgetX >= this.rect.width - this.resizeGripSize && gadgetY >= this.rect.height - this.resizeGripSize) {
+		this.resizingLeft = false;
+		this.resizingRight = true;
+		this.resizingBottom = true;
+	}
+
+	this.resizeRect = new CanvasUI.Rectangle(this.rect.x, this.rect.y, this.rect.width, this.rect.height);
+	this.resizeDeltaX = 0;
+	this.resizeDeltaY = 0;
+
+	this.dragged = true;
+}
+
+/**
+ * Releases the window, ending any resize in progress whether or not the mouse
+ * is released within the window.
+ * @param x The x co-ordinate of the release.
+ * @param y The y co-ordinate of the release.
+ * @return True if the window was clicked before it was released.
+ */
+CanvasUI.Window.prototype.release = function(x, y) {
+	this.stopResizing();
+
+	return CanvasUI.Gadget.prototype.release.call(this, x, y);
+}
+
+/**
+ * Abandons a click in progress, ending any resize that it started.
+ */
+CanvasUI.Window.prototype.cancelClick = function() {
+	this.stopResizing();
+
+	CanvasUI.Gadget.prototype.cancelClick.call(this);
+}
+
+/**
+ * Stops dragging the window's edges.
+ */
+CanvasUI.Window.prototype.stopResizing = function() {
+	this.resizingLeft = false;
+	this.resizingRight = false;
+	this.resizingBottom = false;
+	this.resizeRect = null;
+}
+
+/**
+ * Called when the window is double clicked.  Double clicking the title bar
+ * maximises the window, or restores it if it is already maximised.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @param clickCount The number of clicks in the sequence.
+ */
+CanvasUI.Window.prototype.processDoubleClick = function(x, y, clickCount) {
+	if (clickCount != 2 || y >= 0 || !this.resizable) return;
+
+	// Stop the window following the mouse after its size changes
+	this.dragged = false;
+
+	this.toggleMaximise();
+}
+
+/**
+ * Resizes the window to fill its parent's client area.  The window's size and
+ * position are remembered so that it can be restored.
+ */
+CanvasUI.Window.prototype.maximise = function() {
+	if (this.parent == null || this.isMaximised()) return;
+
+	var rect = this.parent.getClientRect();
+
+	this.restoreRect = new CanvasUI.Rectangle(this.rect.x, this.rect.y, this.rect.width, this.rect.height);
+
+	this.changeDimensions(0, 0, rect.width, rect.height);
+}
+
+/**
+ * Returns a maximised window to the size and position it had before it was
+ * maximised.
+ */
+CanvasUI.Window.prototype.restore = function() {
+	if (!this.isMaximised()) return;
+
+	var rect = this.restoreRect;
+
+	this.restoreRect = null;
+
+	this.changeDimensions(rect.x, rect.y, rect.width, rect.height);
+}
+
+/**
+ * Maximises the window if it is not maximised; restores it if it is.
+ */
+CanvasUI.Window.prototype.toggleMaximise = function() {
+	if (this.isMaximised()) {
+		this.restore();
+	} else {
+		this.maximise();
+	}
+}
+
+/**
+ * Check if the window is maximised.
+ * @return True if the window is maximised.
+ */
+CanvasUI.Window.prototype.isMaximised = function() {
+	return this.restoreRect != null;
+}
+
+/**
+ * Check if the window is currently being resized.
+ * @return True if one of the window's edges is being dragged.
+ */
+CanvasUI.Window.prototype.isResizing = function() {
+	return this.resizingLeft || this.resizingRight || this.resizingBottom;
+}
+
+/**
+ * Jumps the window to the front when it receives focus.
+ */
+CanvasUI.Window.prototype.processFocus = function() {
+
+	// Ensure gadget is topmost in collection
+	this.raiseToTop();
+}
+
+/**
+ * Called when the window is dragged.  Moves the window to the new co-ordinates,
+ * or resizes it if one of its edges is being dragged.
+ * @param x The x co-ordinate of the drag.
+ * @param y The y co-ordinate of the drag.
+ * @param dx The x distance moved.
+ * @param dy The y distance moved.
+ */
+CanvasUI.Window.prototype.processDrag = function(x, y, dx, dy) {
+
+	if (!this.isResizing()) {
+		this.moveTo(this.rect.x + dx, this.rect.y + dy);
+		return;
+	}
+
+	// Track the total distance moved rather than resizing by the deltas, which
+	// keeps the edge under the mouse after the size has been clamped
+	this.resizeDeltaX += dx;
+	this.resizeDeltaY += dy;
+
+	var newX = this.resizeRect.x;
+	var newWidth = this.resizeRect.width;
+	var newHeight = this.resizeRect.height;
+
+	if (this.resizingRight) {
+		newWidth = this.clampWidth(this.resizeRect.width + this.resizeDeltaX);
+	} else if (this.resizingLeft) {
+		newWidth = this.clampWidth(this.resizeRect.width - this.resizeDeltaX);
+		newX = this.resizeRect.x + this.resizeRect.width - newWidth;
+
+		// Stop the left edge at the edge of the parent, unless the window
+		// already hangs over it
+		var minX = this.parent != null ? Math.min(this.parent.getMinChildX(), this.resizeRect.x) : newX;
+
+		if (newX < minX) {
+			newX = minX;
+			newWidth = this.resizeRect.x + this.resizeRect.width - newX;
+		}
+	}
+
+	if (this.resizingBottom) {
+		newHeight = this.clampHeight(this.resizeRect.height + this.resizeDeltaY);
+	}
+
+	this.changeDimensions(newX, this.rect.y, newWidth, newHeight);
+}
+
+/**
+ * Moves and resizes the window.  The new size is limited to the window's
+ * minimum and maximum dimensions.
+ * @param x The new x co-ordinate of the window, relative to its parent.
+ * @param y The new y co-ordinate of the window, relative to its parent.
+ * @param width The new width of the window.
+ * @param height The new height of the window.
+ */
+CanvasUI.Window.prototype.changeDimensions = function(x, y, width, height) {
+	CanvasUI.Gadget.prototype.changeDimensions.call(this, x, y, this.clampWidth(width), this.clampHeight(height));
+}
+
+/**
+ * Limits the supplied width to the window's minimum and maximum widths.
+ * @param width The width to limit.
+ * @return The limited width.
+ */
+CanvasUI.Window.prototype.clampWidth = function(width) {
+	if (this.maxWidth != null && width > this.maxWidth) width = this.maxWidth;
+	if (width < this.minWidth) width = this.minWidth;
+	return width;
+}
+
+/**
+ * Limits the supplied height to the window's minimum and maximum heights.
+ * @param height The height to limit.
+ * @return The limited height.
+ */
+CanvasUI.Window.prototype.clampHeight = function(height) {
+	if (this.maxHeight != null && height > this.maxHeight) height = this.maxHeight;
+	if (height < this.minHeight) height = this.minHeight;
+	return height;
+}
+
+/**
+ * Repositions the depth button so that it stays in the top-right corner of the
+ * resized window.
+ * @param width The new width of the window.
+ * @param height The new height of the window.
+ */
+CanvasUI.Window.prototype.processResize = function(width, height) {
+	this.depthButton.rect.x = width - this.borderSize.top - this.borderSize.left;
+}
+
+/**
+ * Sets the icon drawn in the window's title bar.
+ * @param icon The URL of the image to use, an image, or null to remove the
+ * icon.
+ */
+CanvasUI.Window.prototype.setIcon = function(icon) {
+	this.icon = icon != null ? this.loadImage(icon) : null;
+	this.markRectsDamaged();
+}
+
+/**
+ * Applies the theme and resizes the window's borders to match it.  The window
+ * keeps its size, so the client rect grows or shrinks and the children are
+ * repositioned as though the window had been resized.
+ * @param theme The theme to apply.
+ */
+CanvasUI.Window.prototype.applyTheme = function(theme) {
+	CanvasUI.Gadget.prototype.applyTheme.call(this, theme);
+
+	var titleHeight = theme.windowTitleHeight;
+	var borderWidth = theme.windowBorderWidth;
+
+	if (this.borderSize.top == titleHeight && this.borderSize.left == borderWidth) return;
+
+	var oldClientRect = this.getClientRect();
+
+	this.borderSize.top = titleHeight;
+	this.borderSize.right = borderWidth;
+	this.borderSize.bottom = borderWidth;
+	this.borderSize.left = borderWidth;
+
+	this.minWidth = titleHeight * 3;
+	this.minHeight = titleHeight + borderWidth;
+
+	// Buttons sit in the title bar, outside the client rect
+	this.closeButton.rect = new CanvasUI.Rectangle(-borderWidth, -titleHeight, titleHeight, titleHeight);
+	this.depthButton.rect = new CanvasUI.Rectangle(this.rect.width - titleHeight - borderWidth, -titleHeight, titleHeight, titleHeight);
+
+	var clientRect = this.getClientRect();
+
+	// Layouts take precedence over anchors
+	if (this.layout != null) {
+		this.doLayout();
+	} else {
+		this.anchorChildren(clientRect.width - oldClientRect.width, clientRect.height - oldClientRect.height);
+		this.dockChildren();
+	}
+}
+
+/**
+ * Describes the window to screen readers.  Windows use the dialog role, as
+ * ARIA's window role is abstract.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.Window.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "dialog";
+	if (attributes["aria-label"] == null) attributes["aria-label"] = this.title;
+
+	return attributes;
+}
+
+
+/** ListBox Methods **/
+
+CanvasUI.ListBox.prototype = new CanvasUI.Gadget;
+
+CanvasUI.ListBox.prototype.constructor = CanvasUI.ListBox;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ListBox.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
+	
+	var rect = this.getViewRect();
+	var itemY = rect.y;
+	var itemX = rect.x;
+	var itemWidth = rect.width;
+	var itemHeight = this.itemHeight;
+	
+	for (var i = 0; i < this.options.length; ++i) {
+		var itemRect = new CanvasUI.Rectangle(rect.x, itemY - this.viewY, itemWidth, itemHeight);
+		
+		if (this.options[i].selected) {
+			gfx.fillRect(itemRect, this.highlightColour);
+		} else if (i == this.hoveredIndex && this.isEnabled()) {
+			gfx.fillRect(itemRect, this.getTheme().hoverColour);
+		} else {
+			gfx.fillRect(itemRect, this.shineColour);
+		}
+		
+		var textRect = new CanvasUI.Rectangle(itemRect.x, itemRect.y, itemRect.width, itemRect.height);
+
+		// Icons are square and fill the height of the item
+		if (this.options[i].icon != null) {
+			var iconSize = itemHeight - 2;
+			gfx.drawImage(this.options[i].icon, itemRect.x + 1, itemRect.y + 1, iconSize, iconSize);
+
+			textRect.x += iconSize + 4;
+			textRect.width -= iconSize + 4;
+		}
+
+		gfx.fillAlignedText([this.options[i].text], textRect, CanvasUI.Graphics.ALIGN_LEFT, CanvasUI.Graphics.ALIGN_MIDDLE, this.textColour);
+		
+		itemY += this.itemHeight;
+	}
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ListBox.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+}
+
+/**
+ * Add a new option to the listbox.
+ * @param text The option text.
+ * @param value The option value.
+ * @param icon The URL of an image to draw before the text, or an image.
+ * Optional.
+ */
+CanvasUI.ListBox.prototype.addOption = function(text, value, icon) {
+	this.options.push(new CanvasUI.ListBoxOption(text, value, icon != null ? this.loadImage(icon) : null));
+
+	this.updateScrollbar();
+	this.markRectsDamaged();
+}
+
+/**
+ * Remove the option at the specified index from the listbox.
+ * @param index The index of the option to remove.
+ */
+CanvasUI.ListBox.prototype.removeOption = function(index) {
+	if (index < 0 || index >= this.options.length) return;
+
+	this.options.splice(index, 1);
+
+	// Removing options may leave the view scrolled past the end of the list
+	this.setScrollPosition(this.viewY);
+	this.markRectsDamaged();
+}
+
+/**
+ * Remove all options from the listbox.
+ */
+CanvasUI.ListBox.prototype.removeAllOptions = function() {
+	this.options = new Array();
+
+	this.setScrollPosition(0);
+	this.markRectsDamaged();
+}
+
+/**
+ * Gets the region of the client rect in which options are displayed.  This
+ * excludes the scrollbar if it is visible.
+ * @return The region in which options are displayed.
+ */
+CanvasUI.ListBox.prototype.getViewRect = function() {
+	var rect = this.getClientRect();
+
+	if (this.scrollbar.visible) rect.width -= this.scrollbar.rect.width;
+
+	return rect;
+}
+
+/**
+ * Positions the scrollbar along the right-hand edge of the client rect.
+ */
+CanvasUI.ListBox.prototype.layoutScrollbar = function() {
+	var rect = this.getClientRect();
+
+	this.scrollbar.rect.x = rect.width - this.scrollbarWidth;
+	this.scrollbar.rect.y = 0;
+	this.scrollbar.rect.width = this.scrollbarWidth;
+	this.scrollbar.rect.height = rect.height;
+}
+
+/**
+ * Shows the scrollbar if the options do not fit within the listbox (or hides
+ * it if they do) and updates it to match the current scroll position.
+ */
+CanvasUI.ListBox.prototype.updateScrollbar = function() {
+	var rect = this.getClientRect();
+	var pageSize = rect.height / this.itemHeight;
+
+	if (this.options.length > pageSize) {
+		this.scrollbar.maximumValue = this.options.length;
+		this.scrollbar.minimumValue = 0;
+		this.scrollbar.pageSize = pageSize;
+
+		// Set the value directly; calling setValue() would fire the
+		// scrollbar's value change event and scroll the list again
+		this.scrollbar.value = this.viewY / this.itemHeight;
+		this.scrollbar.markRectsDamaged();
+
+		this.scrollbar.show();
+	} else {
+		this.scrollbar.hide();
+	}
+}
+
+/**
+ * Keeps the scrollbar against the right-hand edge when the listbox is
+ * resized.
+ * @param width The new width of the listbox.
+ * @param height The new height of the listbox.
+ */
+CanvasUI.ListBox.prototype.processResize = function(width, height) {
+	this.layoutScrollbar();
+	this.setScrollPosition(this.viewY);
+}
+
+/**
+ * Called when the listbox is clicked.  Selects the clicked option and starts
+ * the dragging system.  If multiple selections are allowed the clicked option's
+ * selected state is toggled; otherwise the clicked option becomes the only
+ * selected option.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.ListBox.prototype.processClick = function(x, y) {
+	this.dragged = true;
+	
+	// Get the click y co-ord relative to the gadget
+	var localY = y + this.viewY;
+
+	// Get the index of the clicked item
+	this.clickOption(Math.floor(localY / this.itemHeight));
+}
+
+/**
+ * Called when the listbox is double clicked.  Unless a beforeActivate
+ * listener cancels the activation, leaves the double clicked option selected
+ * and fires the activate event for it.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @param clickCount The number of clicks in the sequence.
+ */
+CanvasUI.ListBox.prototype.processDoubleClick = function(x, y, clickCount) {
+	var index = Math.floor((y + this.viewY) / this.itemHeight);
+
+	if (clickCount != 2 || index < 0 || index >= this.options.length) return;
+
+	if (!this.fireEvent("beforeActivate", { index: index })) return;
+
+	// The second click toggles the option off again if multiple selections are
+	// allowed, but the activated option should stay selected
+	if (!this.options[index].selected) {
+		this.options[index].selected = true;
+
+		this.fireEvent("valueChange");
+	}
+
+	this.fireEvent("activate", { index: index }, [this, index]);
+}
+
+/**
+ * Selects an option as though it had been clicked.  Options are toggled if
+ * multiple selections are allowed.
+ * @param index The index of the option.
+ */
+CanvasUI.ListBox.prototype.clickOption = function(index) {
+
+	// Ignore clicks below the last item
+	if (index < 0 || index >= this.options.length) return;
+	
+	if (this.allowMultipleSelections) {
+
+		// Toggle the item's selected state
+		this.options[index].selected = !this.options[index].selected;
+		this.markRectsDamaged();
+	} else {
+		this.setSelectedIndex(index);
+	}
+	
+	this.fireEvent("valueChange");
+}
+
+/**
+ * Highlights the option under the mouse.
+ * @param x The x co-ordinate of the mouse.
+ * @param y The y co-ordinate of the mouse.
+ */
+CanvasUI.ListBox.prototype.processMouseMove = function(x, y) {
+	var index = Math.floor((y + this.viewY) / this.itemHeight);
+
+	if (y < 0 || index >= this.options.length) index = -1;
+
+	if (index != this.hoveredIndex) {
+		this.hoveredIndex = index;
+		this.markRectsDamaged();
+	}
+}
+
+/**
+ * Removes the highlight from the option that was under the mouse.
+ */
+CanvasUI.ListBox.prototype.processMouseLeave = function() {
+	this.hoveredIndex = -1;
+	this.markRectsDamaged();
+}
+
+/**
+ * Scrolls the list so that the specified y co-ordinate is at the top of the
+ * listbox.  The scrollbar is updated to match.
+ * @param position The y co-ordinate to scroll to.
+ */
+CanvasUI.ListBox.prototype.setScrollPosition = function(position) {
+	this.viewY = position;
+	
+	var rect = this.getClientRect();
+	var maxY = (this.itemHeight * this.options.length) - rect.height;
+	
+	if (this.viewY > maxY) this.viewY = maxY;
+	if (this.viewY < 0) this.viewY = 0;
+
+	this.updateScrollbar();
+	this.markRectsDamaged();
+}
+
+/**
+ * Scrolls the options with the mouse wheel.
+ * @param deltaX The distance scrolled horizontally, in pixels.
+ * @param deltaY The distance scrolled vertically, in pixels.
+ * @return True if the options overflow the listbox and can be scrolled.
+ */
+CanvasUI.ListBox.prototype.processWheel = function(deltaX, deltaY) {
+	if (deltaY == 0) return false;
+	if (this.itemHeight * this.options.length <= this.getClientRect().height) return false;
+
+	this.setScrollPosition(this.viewY + deltaY);
+	return true;
+}
+
+/**
+ * Gets the index of the first selected option.
+ * @return The index of the first selected option, or -1 if no options are
+ * selected.
+ */
+CanvasUI.ListBox.prototype.getSelectedIndex = function() {
+	for (var i = 0; i < this.options.length; ++i) {
+		if (this.options[i].selected) return i;
+	}
+
+	return -1;
+}
+
+/**
+ * Selects the option at the specified index and deselects all other options.
+ * @param index The index of the option to select, or -1 to deselect all
+ * options.
+ */
+CanvasUI.ListBox.prototype.setSelectedIndex = function(index) {
+	for (var i = 0; i < this.options.length; ++i) {
+		this.options[i].selected = (i == index);
+	}
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Scrolls the list so that the option at the specified index is visible.
+ * @param index The index of the option to show.
+ */
+CanvasUI.ListBox.prototype.scrollToOption = function(index) {
+	var rect = this.getClientRect();
+	var optionY = index * this.itemHeight;
+
+	if (optionY < this.viewY) {
+		this.setScrollPosition(optionY);
+	} else if (optionY + this.itemHeight > this.viewY + rect.height) {
+		this.setScrollPosition(optionY + this.itemHeight - rect.height);
+	}
+}
+
+/** Vertical scrollbar Methods **/
+
+CanvasUI.ScrollbarVertical.prototype = new CanvasUI.Gadget;
+
+CanvasUI.ScrollbarVertical.prototype.constructor = CanvasUI.ScrollbarVertical;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ScrollbarVertical.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
+	
+	var theme = this.getTheme();
+	var colour = theme.gripColour;
+
+	if (this.dragged) {
+		colour = theme.gripActiveColour;
+	} else if (this.isGripHovered && this.isEnabled()) {
+		colour = theme.gripHoverColour;
+	}
+
+	var gripRect = this.getGripRect();
+	var rect = this.getClientRect();
+	gripRect.x += rect.x;
+	gripRect.y += rect.y;
+
+	gfx.fillRect(gripRect, colour);
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ScrollbarVertical.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+}
+
+/**
+ * Called when the scrollbar is clicked.  Starts the dragging system.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.ScrollbarVertical.prototype.processClick = function(x, y) {
+
+	var gripRect = this.getGripRect();
+
+	if (gripRect.contains(x, y)) {
+		this.dragged = true;
+	} else {
+
+		if (y > gripRect.y) {
+			this.setValue(this.value + this.pageSize);
+		} else if (y < gripRect.y) {
+			this.setValue(this.value - this.pageSize);
+		}
+	}
+}
+
+/**
+ * Called when the scrollbar is dragged.  Moves the grip.
+ * @param x The x co-ordinate of the drag.
+ * @param y The y co-ordinate of the drag.
+ * @param dx The x distance moved.
+ * @param dy The y distance moved.
+ */
+CanvasUI.ScrollbarVertical.prototype.processDrag = function(x, y, dx, dy) {
+
+	var rect = this.getClientRect();
+
+	var range = this.maximumValue - this.minimumValue;
+	var ratio = range / rect.height;
+
+	this.setValue(this.value + (dy * ratio));
+}
+
+/**
+ * Highlights the grip if the mouse is over it.
+ * @param x The x co-ordinate of the mouse.
+ * @param y The y co-ordinate of the mouse.
+ */
+CanvasUI.ScrollbarVertical.prototype.processMouseMove = function(x, y) {
+	var isGripHovered = this.getGripRect().contains(x, y);
+
+	if (isGripHovered != this.isGripHovered) {
+		this.isGripHovered = isGripHovered;
+		this.markRectsDamaged();
+	}
+}
+
+/**
+ * Removes the highlight from the grip.
+ */
+CanvasUI.ScrollbarVertical.prototype.processMouseLeave = function() {
+	this.isGripHovered = false;
+	this.markRectsDamaged();
+}
+
+/**
+ * Gets the rect that describes the location and dimensions of the grip.
+ * @return The grip rect.
+ */
+CanvasUI.ScrollbarVertical.prototype.getGripRect = function() {
+	var rect = this.getClientRect();
+
+	// If pageSize is greater than 1 we aren't dealing with a slider - we have
+	// a scrollbar.  In that situation, we need to subtract the page size from
+	// the maximum value to cater for the fact that we only scroll when the
+	// page is full.
+	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+	var range = this.maximumValue - this.minimumValue;
+	var ratio = range / rect.height;
+	var gripSize = this.pageSize / ratio;
+	var span = rect.height - gripSize;
+
+	if (span == 0) return new CanvasUI.Rectangle(0, 0, rect.width, rect.height);
+	if (this.value == this.minimumValue) return new CanvasUI.Rectangle(0, 0, rect.width, gripSize);
+
+	range = maxValue - this.minimumValue;
+
+	var value = ((this.value - this.minimumValue) * span + range) / range;
+
+	return new CanvasUI.Rectangle(0, value, rect.width, gripSize);
+}
+
+/**
+ * Sets the value represented by the grip.
+ * @param value The new value for the grip
+ */
+CanvasUI.ScrollbarVertical.prototype.setValue = function(value) {
+	var oldValue = this.value;
+
+	// If pageSize is greater than 1 we aren't dealing with a slider - we have
+	// a scrollbar.  In that situation, we need to subtract the page size from
+	// the maximum value to cater for the fact that we only scroll when the
+	// page is full.
+	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+
+	this.value = CanvasUI.Gadget.clampValue(value, this.minimumValue, maxValue);
+
+	if (oldValue != this.value) {
+		this.markRectsDamaged();
+		this.fireEvent("valueChange");
+	}
+}
+
+/**
+ * Moves the grip if the cursor keys are pressed.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.ScrollbarVertical.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (keyCode == 40) {
+		this.setValue(this.value + 1);
+	} else if (keyCode == 38) {
+		this.setValue(this.value - 1);
+	}
+}
+
+/**
+ * Moves the grip with the mouse wheel.  Each line scrolled moves the grip by
+ * one unit.
+ * @param deltaX The distance scrolled horizontally, in pixels.
+ * @param deltaY The distance scrolled vertically, in pixels.
+ * @return True if the wheel moved vertically.
+ */
+CanvasUI.ScrollbarVertical.prototype.processWheel = function(deltaX, deltaY) {
+	if (deltaY == 0) return false;
+
+	this.setValue(this.value + (deltaY / CanvasUI.Gadget.WHEEL_LINE_HEIGHT));
+	return true;
+}
+
+/**
+ * Describes the listbox to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.ListBox.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "listbox";
+	attributes["aria-multiselectable"] = this.allowMultipleSelections ? "true" : null;
+
+	return attributes;
+}
+
+/**
+ * Describes the listbox's options to screen readers.
+ * @return An array of items.
+ */
+CanvasUI.ListBox.prototype.getAccessibleItems = function() {
+	var items = new Array();
+
+	for (var i = 0; i < this.options.length; ++i) {
+		items.push({
+			attributes: {
+				"role": "option",
+				"aria-selected": this.options[i].selected ? "true" : "false"
+			},
+			text: this.options[i].text
+		});
+	}
+
+	return items;
+}
+
+/**
+ * Chooses an option as though it had been clicked.
+ * @param index The index of the option.
+ */
+CanvasUI.ListBox.prototype.activateItem = function(index) {
+	this.clickOption(index);
+}
+
+/**
+ * Describes the scrollbar to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.ScrollbarVertical.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "scrollbar";
+	attributes["aria-orientation"] = "vertical";
+	attributes["aria-valuemin"] = this.minimumValue;
+	attributes["aria-valuemax"] = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+	attributes["aria-valuenow"] = Math.round(this.value);
+
+	return attributes;
+}
+
+
+/** Horizontal scrollbar Methods **/
+
+CanvasUI.ScrollbarHorizontal.prototype = new CanvasUI.Gadget;
+
+CanvasUI.ScrollbarHorizontal.prototype.constructor = CanvasUI.ScrollbarHorizontal;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
+	
+	var theme = this.getTheme();
+	var colour = theme.gripColour;
+
+	if (this.dragged) {
+		colour = theme.gripActiveColour;
+	} else if (this.isGripHovered && this.isEnabled()) {
+		colour = theme.gripHoverColour;
+	}
+
+	var gripRect = this.getGripRect();
+	var rect = this.getClientRect();
+	gripRect.x += rect.x;
+	gripRect.y += rect.y;
+
+	gfx.fillRect(gripRect, colour);
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+}
+
+/**
+ * Called when the scrollbar is clicked.  Starts the dragging system.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.processClick = function(x, y) {
+
+	var gripRect = this.getGripRect();
+
+	if (gripRect.contains(x, y)) {
+		this.dragged = true;
+	} else {
+
+		if (x > gripRect.x) {
+			this.setValue(this.value + this.pageSize);
+		} else if (x < gripRect.x) {
+			this.setValue(this.value - this.pageSize);
+		}
+	}
+}
+
+/**
+ * Called when the scrollbar is dragged.  Moves the grip.
+ * @param x The x co-ordinate of the drag.
+ * @param y The y co-ordinate of the drag.
+ * @param dx The x distance moved.
+ * @param dy The y distance moved.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.processDrag = function(x, y, dx, dy) {
+
+	var rect = this.getClientRect();
+
+	var range = this.maximumValue - this.minimumValue;
+	var ratio = range / rect.width;
+
+	this.setValue(this.value + (dx * ratio));
+}
+
+/**
+ * Highlights the grip if the mouse is over it.
+ * @param x The x co-ordinate of the mouse.
+ * @param y The y co-ordinate of the mouse.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.processMouseMove = function(x, y) {
+	var isGripHovered = this.getGripRect().contains(x, y);
+
+	if (isGripHovered != this.isGripHovered) {
+		this.isGripHovered = isGripHovered;
+		this.markRectsDamaged();
+	}
+}
+
+/**
+ * Removes the highlight from the grip.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.processMouseLeave = function() {
+	this.isGripHovered = false;
+	this.markRectsDamaged();
+}
+
+/**
+ * Gets the rect that describes the location and dimensions of the grip.
+ * @return The grip rect.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.getGripRect = function() {
+	var rect = this.getClientRect();
+
+	// If pageSize is greater than 1 we aren't dealing with a slider - we have
+	// a scrollbar.  In that situation, we need to subtract the page size from
+	// the maximum value to cater for the fact that we only scroll when the
+	// page is full.
+	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+	var range = this.maximumValue - this.minimumValue;
+	var ratio = range / rect.width;
+	var gripSize = this.pageSize / ratio;
+	var span = rect.width - gripSize;
+
+	if (span == 0) return new CanvasUI.Rectangle(0, 0, rect.width, rect.height);
+	if (this.value == this.minimumValue) return new CanvasUI.Rectangle(0, 0, gripSize, rect.height);
+
+	range = maxValue - this.minimumValue;
+
+	var value = ((this.value - this.minimumValue) * span + range) / range;
+
+	return new CanvasUI.Rectangle(value, 0, gripSize, rect.height);
+}
+
+/**
+ * Sets the value represented by the grip.
+ * @param value The new value for the grip
+ */
+CanvasUI.ScrollbarHorizontal.prototype.setValue = function(value) {
+	var oldValue = this.value;
+
+	// If pageSize is greater than 1 we aren't dealing with a slider - we have
+	// a scrollbar.  In that situation, we need to subtract the page size from
+	// the maximum value to cater for the fact that we only scroll when the
+	// page is full.
+	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+
+	this.value = CanvasUI.Gadget.clampValue(value, this.minimumValue, maxValue);
+
+	if (oldValue != this.value) {
+		this.markRectsDamaged();
+		this.fireEvent("valueChange");
+	}
+}
+
+/**
+ * Moves the grip if the cursor keys are pressed.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (keyCode == 39) {
+		this.setValue(this.value + 1);
+	} else if (keyCode == 37) {
+		this.setValue(this.value - 1);
+	}
+}
+
+/**
+ * Moves the grip with the mouse wheel.  Each line scrolled moves the grip by
+ * one unit.  A vertical wheel also moves the grip, as there is nothing else
+ * for it to scroll.
+ * @param deltaX The distance scrolled horizontally, in pixels.
+ * @param deltaY The distance scrolled vertically, in pixels.
+ * @return True if the wheel moved.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.processWheel = function(deltaX, deltaY) {
+	var delta = deltaX != 0 ? deltaX : deltaY;
+
+	if (delta == 0) return false;
+
+	this.setValue(this.value + (delta / CanvasUI.Gadget.WHEEL_LINE_HEIGHT));
+	return true;
+}
+
+/**
+ * Describes the scrollbar to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.ScrollbarHorizontal.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "scrollbar";
+	attributes["aria-orientation"] = "horizontal";
+	attributes["aria-valuemin"] = this.minimumValue;
+	attributes["aria-valuemax"] = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+	attributes["aria-valuenow"] = Math.round(this.value);
+
+	return attributes;
+}
+
+
+/** TextBox Methods **/
+
+CanvasUI.TextBox.prototype = new CanvasUI.Gadget;
+
+CanvasUI.TextBox.prototype.constructor = CanvasUI.TextBox;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.TextBox.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	var textX = (this.rect.width - gfx.getTextWidth(this.text)) / 2;
+	var textY = gfx.getCentredBaseline(this.rect.height);
+	
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+
+	if (this.hasSelection()) {
+
+		// Selection
+		var selectionX = textX + gfx.getTextWidth(this.text.substring(0, this.getSelectionStart()));
+		var selectionY = textY - gfx.getFontAscent();
+		var selectionWidth = gfx.getTextWidth(this.getSelectedText());
+		var selectionHeight = gfx.getFontHeight();
+
+		var selectionRect = new CanvasUI.Rectangle(selectionX, selectionY, selectionWidth, selectionHeight);
+
+		var selectionColour = this.focused ? this.highlightColour : this.getTheme().inactiveHighlightColour;
+
+		gfx.fillRect(selectionRect, selectionColour);
+	} else {
+
+		// Cursor
+		var cursorX = textX + gfx.getTextWidth(this.text.substring(0, this.cursorIndex));
+		var cursorY = textY - gfx.getFontAscent();
+		var cursorWidth = this.cursorIndex == this.text.length ? gfx.getTextWidth(' ') : gfx.getTextWidth(this.text.charAt(this.cursorIndex));
+		var cursorHeight = gfx.getFontHeight();
+
+		var cursorRect = new CanvasUI.Rectangle(cursorX, cursorY, cursorWidth, cursorHeight);
+
+		var cursorColour = this.focused ? this.getTheme().cursorColour : this.getTheme().inactiveHighlightColour;
+
+		gfx.fillRect(cursorRect, cursorColour);
+	}
+
+	// Text
+	if (this.isEnabled()) {
+		gfx.fillText(this.text, textX, textY, this.textColour);
+	} else {
+		gfx.fillText(this.text, textX + 1, textY + 1, this.shadowColour);
+		gfx.fillText(this.text, textX, textY, this.shineColour);
+	}
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.TextBox.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var innerBevel = new CanvasUI.Rectangle(1, 1, drawRect.width - 2, drawRect.height - 2);
+
+	gfx.drawBevelledRect(innerBevel, this.shadowColour, this.shineColour);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+}
+
+/**
+ * Changes the label text.
+ * @param text The new label text.
+ */
+CanvasUI.TextBox.prototype.setText = function(text) {
+	this.text = text;
+
+	if (this.cursorIndex > this.text.length) this.cursorIndex = this.text.length;
+	this.selectionAnchor = this.cursorIndex;
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Processes keyboard input.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.TextBox.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	switch (keyCode) {
+		case 39:
+			// Right arrow
+			if (isCtrlHeld) {
+				this.moveCursorToIndex(this.getNextWordIndex(this.cursorIndex), isShiftHeld);
+			} else if (this.hasSelection() && !isShiftHeld) {
+				this.moveCursorToIndex(this.getSelectionEnd(), false);
+			} else {
+				this.moveCursorToIndex(this.cursorIndex + 1, isShiftHeld);
+			}
+			break;
+
+		case 37:
+			// Left arrow
+			if (isCtrlHeld) {
+				this.moveCursorToIndex(this.getPreviousWordIndex(this.cursorIndex), isShiftHeld);
+			} else if (this.hasSelection() && !isShiftHeld) {
+				this.moveCursorToIndex(this.getSelectionStart(), false);
+			} else {
+				this.moveCursorToIndex(this.cursorIndex - 1, isShiftHeld);
+			}
+			break;
+
+		case 36:
+			// Home
+			this.moveCursorToIndex(0, isShiftHeld);
+			break;
+
+		case 35:
+			// End
+			this.moveCursorToIndex(this.text.length, isShiftHeld);
+			break;
+
+		case 65:
+			// Ctrl+A
+			if (isCtrlHeld) this.selectAll();
+			break;
+
+		case 46:
+			// Delete
+			if (this.hasSelection()) {
+				this.replaceSelection('');
+			} else if (this.cursorIndex < this.text.length) {
+				this.selectionAnchor = this.cursorIndex + 1;
+				this.replaceSelection('');
+			}
+			break;
+
+		case 8:
+			// Backspace
+			if (this.hasSelection()) {
+				this.replaceSelection('');
+			} else if (this.cursorIndex > 0) {
+				this.selectionAnchor = this.cursorIndex - 1;
+				this.replaceSelection('');
+			}
+			break;
+	}
+}
+
+/**
+ * Processes keyboard input.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.TextBox.prototype.processKeyPress = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+
+	if (keyCode < 32) return;
+	if (keyCode > 127) return;
+
+	// Ctrl combinations are shortcuts, not text
+	if (isCtrlHeld) return;
+
+	// Switch to lower-case if upper-case key pressed and shift not held
+	if (keyCode >= 65 && keyCode <= 90 && !isShiftHeld) keyCode += 0x20;
+
+	this.replaceSelection(String.fromCharCode(keyCode));
+}
+
+/**
+ * Moves the cursor to the specified index within the displayed text.
+ * @param index The index to move the cursor to.
+ * @param extendSelection True to extend the selection to the new index; false
+ * to clear the selection.
+ */
+CanvasUI.TextBox.prototype.moveCursorToIndex = function(index, extendSelection) {
+	this.cursorIndex = index;
+	if (this.cursorIndex > this.text.length) this.cursorIndex = this.text.length;
+	if (this.cursorIndex < 0) this.cursorIndex = 0;
+
+	if (!extendSelection) this.selectionAnchor = this.cursorIndex;
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Check if any text is selected.
+ * @return True if any text is selected.
+ */
+CanvasUI.TextBox.prototype.hasSelection = function() {
+	return this.selectionAnchor != this.cursorIndex;
+}
+
+/**
+ * Gets the index of the first selected character.
+ * @return The index of the start of the selection.
+ */
+CanvasUI.TextBox.prototype.getSelectionStart = function() {
+	return this.selectionAnchor < this.cursorIndex ? this.selectionAnchor : this.cursorIndex;
+}
+
+/**
+ * Gets the index after the last selected character.
+ * @return The index of the end of the selection.
+ */
+CanvasUI.TextBox.prototype.getSelectionEnd = function() {
+	return this.selectionAnchor > this.cursorIndex ? this.selectionAnchor : this.cursorIndex;
+}
+
+/**
+ * Gets the selected text.
+ * @return The selected text.
+ */
+CanvasUI.TextBox.prototype.getSelectedText = function() {
+	return this.text.substring(this.getSelectionStart(), this.getSelectionEnd());
+}
+
+/**
+ * Selects all of the text.
+ */
+CanvasUI.TextBox.prototype.selectAll = function() {
+	this.selectionAnchor = 0;
+	this.cursorIndex = this.text.length;
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Selects the word containing the specified index.  If the index falls
+ * within whitespace, the whitespace is selected instead.
+ * @param index The index of a character in the word.
+ */
+CanvasUI.TextBox.prototype.selectWord = function(index) {
+	var isWhitespace = this.isWhitespace(this.text.charAt(index < this.text.length ? index : index - 1));
+	var start = index;
+	var end = index;
+
+	while (start > 0 && this.isWhitespace(this.text.charAt(start - 1)) == isWhitespace) start--;
+	while (end < this.text.length && this.isWhitespace(this.text.charAt(end)) == isWhitespace) end++;
+
+	this.selectionAnchor = start;
+	this.cursorIndex = end;
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Replaces the selected text with the supplied text.  If no text is selected
+ * the text is inserted at the cursor.
+ * @param text The text to insert.
+ */
+CanvasUI.TextBox.prototype.replaceSelection = function(text) {
+	var start = this.getSelectionStart();
+
+	this.text = this.text.substring(0, start) + text + this.text.substring(this.getSelectionEnd(), this.text.length);
+
+	this.moveCursorToIndex(start + text.length, false);
+
+	this.fireEvent("valueChange");
+}
+
+/**
+ * Gets the index of the start of the word before the specified index.
+ * @param index The index to search back from.
+ * @return The index of the start of the previous word.
+ */
+CanvasUI.TextBox.prototype.getPreviousWordIndex = function(index) {
+
+	// Skip any whitespace before the index, then the word itself
+	while (index > 0 && this.isWhitespace(this.text.charAt(index - 1))) index--;
+	while (index > 0 && !this.isWhitespace(this.text.charAt(index - 1))) index--;
+
+	return index;
+}
+
+/**
+ * Gets the index of the start of the word after the specified index.
+ * @param index The index to search forward from.
+ * @return The index of the start of the next word.
+ */
+CanvasUI.TextBox.prototype.getNextWordIndex = function(index) {
+
+	// Skip the rest of the current word, then the whitespace that follows it
+	while (index < this.text.length && !this.isWhitespace(this.text.charAt(index))) index++;
+	while (index < this.text.length && this.isWhitespace(this.text.charAt(index))) index++;
+
+	return index;
+}
+
+/**
+ * Check if the supplied character is whitespace.
+ * @param character The character to check.
+ * @return True if the character is whitespace.
+ */
+CanvasUI.TextBox.prototype.isWhitespace = function(character) {
+	return character == ' ' || character == '\t';
+}
+
+/**
+ * Gets the index of the character closest to the supplied x co-ordinate.
+ * @param x The x co-ordinate, relative to the gadget.
+ * @return The index of the closest character.
+ */
+CanvasUI.TextBox.prototype.getIndexAtX = function(x) {
+	var gfx = this.createGraphics(0, 0, null);
+
+	var textX = (this.rect.width - gfx.getTextWidth(this.text)) / 2;
+	var index = 0;
+
+	while (index < this.text.length) {
+		var charWidth = gfx.getTextWidth(this.text.charAt(index));
+
+		if (textX + (charWidth / 2) > x) break;
+
+		textX += charWidth;
+		index++;
+	}
+
+	return index;
+}
+
+/**
+ * Called when the textbox is clicked.  Moves the cursor to the clicked
+ * character and starts the dragging system so that text can be selected.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.TextBox.prototype.processClick = function(x, y) {
+	this.dragged = true;
+
+	this.moveCursorToIndex(this.getIndexAtX(x + this.borderSize.left), false);
+}
+
+/**
+ * Called when the textbox is double clicked.  A double click selects the word
+ * under the mouse and a triple click selects all of the text.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @param clickCount The number of clicks in the sequence.
+ */
+CanvasUI.TextBox.prototype.processDoubleClick = function(x, y, clickCount) {
+
+	// Dragging would replace the new selection
+	this.dragged = false;
+
+	if (clickCount == 2) {
+		this.selectWord(this.getIndexAtX(x + this.borderSize.left));
+	} else {
+		this.selectAll();
+	}
+}
+
+/**
+ * Called when the textbox is dragged.  Extends the selection to the character
+ * under the mouse.
+ * @param x The x co-ordinate of the drag.
+ * @param y The y co-ordinate of the drag.
+ * @param dx The x distance moved.
+ * @param dy The y distance moved.
+ */
+CanvasUI.TextBox.prototype.processDrag = function(x, y, dx, dy) {
+	this.moveCursorToIndex(this.getIndexAtX(x + this.borderSize.left), true);
+}
+
+/**
+ * Gets the selected text so that it can be copied to the clipboard.
+ * @return The selected text, or null if no text is selected.
+ */
+CanvasUI.TextBox.prototype.processCopy = function() {
+	if (!this.hasSelection()) return null;
+	return this.getSelectedText();
+}
+
+/**
+ * Removes the selected text so that it can be moved to the clipboard.
+ * @return The selected text, or null if no text is selected.
+ */
+CanvasUI.TextBox.prototype.processCut = function() {
+	if (!this.hasSelection()) return null;
+
+	var text = this.getSelectedText();
+	this.replaceSelection('');
+
+	return text;
+}
+
+/**
+ * Replaces the selected text with the clipboard text.  Newlines are replaced
+ * with spaces as the textbox only holds a single line.
+ * @param text The clipboard text.
+ * @return True if the text was accepted.
+ */
+CanvasUI.TextBox.prototype.processPaste = function(text) {
+	if (text == null || text.length == 0) return false;
+
+	this.replaceSelection(text.replace(/\r?\n/g, ' '));
+
+	return true;
+}
+
+/**
+ * Describes the textbox to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.TextBox.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "textbox";
+
+	return attributes;
+}
+
+/**
+ * Gets the text that screen readers read as the gadget's content.
+ * @return The textbox text.
+ */
+CanvasUI.TextBox.prototype.getAccessibleText = function() {
+	return this.text;
+}
+
+
+/** TextArea Methods **/
+
+CanvasUI.TextArea.prototype = new CanvasUI.Gadget;
+
+CanvasUI.TextArea.prototype.constructor = CanvasUI.TextArea;
+
+/**
+ * Draws the gadget.  Only lines that intersect the region being redrawn are
+ * drawn.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.TextArea.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+
+	// Prevent text from spilling into the border
+	var rect = this.getClientRect();
+	var clipRect = new CanvasUI.Rectangle(gfx.x + rect.x, gfx.y + rect.y, rect.width, rect.height);
+
+	if (!clipRect.intersects(gfx.clipRect)) return;
+
+	clipRect.clipToIntersect(gfx.clipRect);
+
+	var textGfx = this.createGraphics(gfx.x, gfx.y, clipRect);
+
+	var lines = this.getLines();
+	var ascent = textGfx.getFontAscent();
+	var fontHeight = textGfx.getFontHeight();
+	var cursorLine = this.getLineIndex(this.cursorIndex);
+
+	// Work out which lines fall within the redrawn region
+	var firstLine = Math.floor((clipRect.y - gfx.y - rect.y + this.viewY) / this.lineHeight);
+	var lastLine = Math.floor((clipRect.y + clipRect.height - gfx.y - rect.y + this.viewY) / this.lineHeight);
+
+	if (firstLine < 0) firstLine = 0;
+	if (lastLine > lines.length - 1) lastLine = lines.length - 1;
+
+	for (var i = firstLine; i <= lastLine; ++i) {
+		var lineText = this.text.substring(lines[i].start, lines[i].end);
+		var textX = rect.x;
+		var textY = rect.y + (i * this.lineHeight) - this.viewY + textGfx.getCentredBaseline(this.lineHeight);
+
+		// Cursor
+		if (i == cursorLine) {
+			var cursorChar = this.text.charAt(this.cursorIndex);
+			var cursorX = textX + textGfx.getTextWidth(this.text.substring(lines[i].start, this.cursorIndex));
+			var cursorY = textY - ascent;
+			var cursorWidth = (cursorChar == '' || cursorChar == '\n') ? textGfx.getTextWidth(' ') : textGfx.getTextWidth(cursorChar);
+			var cursorColour = this.focused ? this.getTheme().cursorColour : this.getTheme().inactiveHighlightColour;
+
+			textGfx.fillRect(new CanvasUI.Rectangle(cursorX, cursorY, cursorWidth, fontHeight), cursorColour);
+		}
+
+		// Text
+		if (this.isEnabled()) {
+			textGfx.fillText(lineText, textX, textY, this.textColour);
+		} else {
+			textGfx.fillText(lineText, textX + 1, textY + 1, this.shadowColour);
+			textGfx.fillText(lineText, textX, textY, this.shineColour);
+		}
+	}
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.TextArea.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var innerBevel = new CanvasUI.Rectangle(1, 1, drawRect.width - 2, drawRect.height - 2);
+
+	gfx.drawBevelledRect(innerBevel, this.shadowColour, this.shineColour);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+}
+
+/**
+ * Gets the text wrapped into lines that fit within the width of the gadget.
+ * Each line is an anonymous object of the form { start: 0, end: 10 }, where
+ * start is the index of the first character of the line and end is the index
+ * after the last character.  Newline characters are not included in lines.
+ * Lines cannot be measured until the gadget has been added to a GUI, so until
+ * then each line of the text is treated as a single line.
+ * @return An array of lines.
+ */
+CanvasUI.TextArea.prototype.getLines = function() {
+	if (this.lines != null) return this.lines;
+
+	var canvas = this.getCanvas();
+	var gfx = this.createGraphics(0, 0, null);
+	var width = this.getClientRect().width;
+	var lines = new Array();
+	var start = 0;
+
+	while (true) {
+		var newline = this.text.indexOf('\n', start);
+		var end = newline == -1 ? this.text.length : newline;
+
+		this.wrapLine(gfx, start, end, width, lines);
+
+		if (newline == -1) break;
+
+		start = newline + 1;
+	}
+
+	// Only cache lines that were wrapped using real text measurements
+	if (canvas != null) this.lines = lines;
+
+	return lines;
+}
+
+/**
+ * Wraps a single line of text (ie. text containing no newline characters) to
+ * fit within the specified width.  The line is broken at the last space that
+ * fits; words too long to fit on a line are broken wherever they overflow.
+ * @param gfx A Graphics object to measure text with.
+ * @param start The index of the first character in the line.
+ * @param end The index after the last character in the line.
+ * @param width The available width.
+ * @param lines The array that the wrapped lines will be appended to.
+ */
+CanvasUI.TextArea.prototype.wrapLine = function(gfx, start, end, width, lines) {
+
+	// Empty lines still occupy space
+	if (start == end) {
+		lines.push({ start: start, end: end });
+		return;
+	}
+
+	while (start < end) {
+		var lineEnd = start;
+		var breakIndex = -1;
+
+		// Find out how many characters fit on the line
+		while (lineEnd < end && gfx.getTextWidth(this.text.substring(start, lineEnd + 1)) <= width) {
+			if (this.text.charAt(lineEnd) == ' ') breakIndex = lineEnd + 1;
+			lineEnd++;
+		}
+
+		if (lineEnd == end) {
+			lines.push({ start: start, end: end });
+			return;
+		}
+
+		// Trailing spaces are kept on the line they follow
+		if (this.text.charAt(lineEnd) == ' ') breakIndex = lineEnd + 1;
+
+		// Break words that are too long to fit, ensuring that every line
+		// contains at least one character
+		if (breakIndex == -1) breakIndex = lineEnd > start ? lineEnd : start + 1;
+
+		lines.push({ start: start, end: breakIndex });
+		start = breakIndex;
+	}
+}
+
+/**
+ * Gets the number of lines in the wrapped text.
+ * @return The number of lines.
+ */
+CanvasUI.TextArea.prototype.getLineCount = function() {
+	return this.getLines().length;
+}
+
+/**
+ * Gets the number of lines that fit within the gadget.
+ * @return The number of visible lines.
+ */
+CanvasUI.TextArea.prototype.getVisibleLineCount = function() {
+	return Math.floor(this.getClientRect().height / this.lineHeight);
+}
+
+/**
+ * Gets the index of the wrapped line that contains the specified character
+ * index.
+ * @param index The character index.
+ * @return The index of the line containing the character.
+ */
+CanvasUI.TextArea.prototype.getLineIndex = function(index) {
+	var lines = this.getLines();
+
+	for (var i = lines.length - 1; i > 0; --i) {
+		if (lines[i].start <= index) return i;
+	}
+
+	return 0;
+}
+
+/**
+ * Gets the character index within the specified line that is closest to the
+ * supplied x co-ordinate.
+ * @param lineIndex The index of the line.
+ * @param x The x co-ordinate, relative to the client rect.
+ * @return The character index closest to the co-ordinate.
+ */
+CanvasUI.TextArea.prototype.getIndexAtX = function(lineIndex, x) {
+	var lines = this.getLines();
+	var line = lines[lineIndex];
+	var gfx = this.createGraphics(0, 0, null);
+
+	// Wrapped lines end with the first character of the next line, so the
+	// cursor cannot be placed after their final character
+	var lastIndex = lineIndex < lines.length - 1 && lines[lineIndex + 1].start == line.end ? line.end - 1 : line.end;
+
+	var index = line.start;
+	var lineX = 0;
+
+	while (index < lastIndex) {
+		var charWidth = gfx.getTextWidth(this.text.charAt(index));
+
+		if (lineX + (charWidth / 2) > x) break;
+
+		lineX += charWidth;
+		index++;
+	}
+
+	return index;
+}
+
+/**
+ * Gets the x co-ordinate of the specified character index, relative to the
+ * client rect.
+ * @param index The character index.
+ * @return The x co-ordinate of the character.
+ */
+CanvasUI.TextArea.prototype.getXAtIndex = function(index) {
+	var line = this.getLines()[this.getLineIndex(index)];
+	var gfx = this.createGraphics(0, 0, null);
+
+	return gfx.getTextWidth(this.text.substring(line.start, index));
+}
+
+/**
+ * Marks a range of lines as damaged so that they are redrawn.
+ * @param firstLine The index of the first line to redraw.
+ * @param lastLine The index of the last line to redraw.
+ */
+CanvasUI.TextArea.prototype.markLinesDamaged = function(firstLine, lastLine) {
+	var rect = this.getClientRect();
+
+	var top = rect.y + (firstLine * this.lineHeight) - this.viewY;
+	var bottom = rect.y + ((lastLine + 1) * this.lineHeight) - this.viewY;
+
+	// Limit the region to the client rect
+	if (top < rect.y) top = rect.y;
+	if (bottom > rect.y + rect.height) bottom = rect.y + rect.height;
+
+	if (bottom <= top) return;
+
+	this.markRectDamaged(new CanvasUI.Rectangle(rect.x, top, rect.width, bottom - top));
+}
+
+/**
+ * Replaces the text.
+ * @param text The new text.
+ */
+CanvasUI.TextArea.prototype.setText = function(text) {
+	this.text = text;
+	this.lines = null;
+	this.preferredCursorX = null;
+
+	if (this.cursorIndex > this.text.length) this.cursorIndex = this.text.length;
+
+	this.setScrollPosition(this.viewY);
+	this.markRectsDamaged();
+}
+
+/**
+ * Replaces a range of the text with new text, re-wraps the text and redraws
+ * only those lines that have changed.
+ * @param start The index of the first character to replace.
+ * @param end The index after the last character to replace.
+ * @param text The text to insert in place of the range.
+ * @param cursorIndex The new cursor position.
+ */
+CanvasUI.TextArea.prototype.replaceRange = function(start, end, text, cursorIndex) {
+	var oldLines = this.getLines();
+	var oldText = this.text;
+	var oldCursorLine = this.getLineIndex(this.cursorIndex);
+
+	this.text = this.text.substring(0, start) + text + this.text.substring(end, this.text.length);
+	this.lines = null;
+	this.cursorIndex = cursorIndex;
+	this.preferredCursorX = null;
+
+	var newLines = this.getLines();
+
+	// Find the first line that differs between the old and new text
+	var first = 0;
+
+	while (first < oldLines.length && first < newLines.length &&
+		oldText.substring(oldLines[first].start, oldLines[first].end) == this.text.substring(newLines[first].start, newLines[first].end)) {
+		first++;
+	}
+
+	// Find the last line that differs, working backwards from the end
+	var oldLast = oldLines.length - 1;
+	var newLast = newLines.length - 1;
+
+	while (oldLast >= first && newLast >= first &&
+		oldText.substring(oldLines[oldLast].start, oldLines[oldLast].end) == this.text.substring(newLines[newLast].start, newLines[newLast].end)) {
+		oldLast--;
+		newLast--;
+	}
+
+	// If lines were added or removed, all lines below them will have moved
+	if (oldLines.length != newLines.length) {
+		newLast = oldLines.length > newLines.length ? oldLines.length - 1 : newLines.length - 1;
+	}
+
+	var last = oldLast > newLast ? oldLast : newLast;
+	if (last < first) last = first;
+
+	this.markLinesDamaged(first, last);
+
+	// Ensure that the cursor is erased from its old line and drawn on its new
+	// line even if neither line's text changed
+	this.markLinesDamaged(oldCursorLine, oldCursorLine);
+	this.markLinesDamaged(this.getLineIndex(this.cursorIndex), this.getLineIndex(this.cursorIndex));
+
+	this.scrollToCursor();
+
+	this.fireEvent("valueChange");
+}
+
+/**
+ * Inserts text at the cursor position.
+ * @param text The text to insert.
+ */
+CanvasUI.TextArea.prototype.insertText = function(text) {
+	this.replaceRange(this.cursorIndex, this.cursorIndex, text, this.cursorIndex + text.length);
+}
+
+/**
+ * Moves the cursor to the specified index within the text.
+ * @param index The index to move the cursor to.
+ */
+CanvasUI.TextArea.prototype.moveCursorToIndex = function(index) {
+	if (index > this.text.length) index = this.text.length;
+	if (index < 0) index = 0;
+
+	var oldLine = this.getLineIndex(this.cursorIndex);
+
+	this.cursorIndex = index;
+
+	var newLine = this.getLineIndex(this.cursorIndex);
+
+	this.markLinesDamaged(oldLine, oldLine);
+	this.markLinesDamaged(newLine, newLine);
+
+	this.scrollToCursor();
+}
+
+/**
+ * Moves the cursor up or down by the specified number of lines, keeping it
+ * as close as possible to its original horizontal position.
+ * @param lines The number of lines to move; negative values move up.
+ */
+CanvasUI.TextArea.prototype.moveCursorByLines = function(lines) {
+	if (this.preferredCursorX == null) this.preferredCursorX = this.getXAtIndex(this.cursorIndex);
+
+	var preferredX = this.preferredCursorX;
+
+	var line = this.getLineIndex(this.cursorIndex) + lines;
+	var lineCount = this.getLineCount();
+
+	if (line < 0) line = 0;
+	if (line > lineCount - 1) line = lineCount - 1;
+
+	this.moveCursorToIndex(this.getIndexAtX(line, preferredX));
+
+	this.preferredCursorX = preferredX;
+}
+
+/**
+ * Scrolls the text so that the specified y co-ordinate is at the top of the
+ * gadget.
+ * @param position The y co-ordinate to scroll to.
+ */
+CanvasUI.TextArea.prototype.setScrollPosition = function(position) {
+	var oldViewY = this.viewY;
+
+	var rect = this.getClientRect();
+	var maxY = (this.lineHeight * this.getLineCount()) - rect.height;
+
+	this.viewY = position;
+	if (this.viewY > maxY) this.viewY = maxY;
+	if (this.viewY < 0) this.viewY = 0;
+
+	if (oldViewY != this.viewY) {
+		this.markRectsDamaged();
+		this.fireEvent("scroll");
+	}
+}
+
+/**
+ * Scrolls the text with the mouse wheel.
+ * @param deltaX The distance scrolled horizontally, in pixels.
+ * @param deltaY The distance scrolled vertically, in pixels.
+ * @return True if the text overflows the gadget and can be scrolled.
+ */
+CanvasUI.TextArea.prototype.processWheel = function(deltaX, deltaY) {
+	if (deltaY == 0) return false;
+	if (this.lineHeight * this.getLineCount() <= this.getClientRect().height) return false;
+
+	this.setScrollPosition(this.viewY + deltaY);
+	return true;
+}
+
+/**
+ * Scrolls the text so that the line containing the cursor is visible.
+ */
+CanvasUI.TextArea.prototype.scrollToCursor = function() {
+	var rect = this.getClientRect();
+	var cursorY = this.getLineIndex(this.cursorIndex) * this.lineHeight;
+
+	if (cursorY < this.viewY) {
+		this.setScrollPosition(cursorY);
+	} else if (cursorY + this.lineHeight > this.viewY + rect.height) {
+		this.setScrollPosition(cursorY + this.lineHeight - rect.height);
+	} else {
+
+		// Ensure that the view does not extend past the end of the text if
+		// lines have been removed
+		this.setScrollPosition(this.viewY);
+	}
+}
+
+/**
+ * Called when the text area is clicked.  Moves the cursor to the clicked
+ * character.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.TextArea.prototype.processClick = function(x, y) {
+	var line = Math.floor((y + this.viewY) / this.lineHeight);
+	var lineCount = this.getLineCount();
+
+	if (line < 0) line = 0;
+	if (line > lineCount - 1) line = lineCount - 1;
+
+	this.preferredCursorX = null;
+	this.moveCursorToIndex(this.getIndexAtX(line, x));
+}
+
+/**
+ * Re-wraps the text to fit the new dimensions of the gadget.
+ * @param width The new width of the gadget.
+ * @param height The new height of the gadget.
+ */
+CanvasUI.TextArea.prototype.processResize = function(width, height) {
+	this.lines = null;
+	this.preferredCursorX = null;
+	this.setScrollPosition(this.viewY);
+}
+
+/**
+ * Re-wraps the text to suit the new font.
+ */
+CanvasUI.TextArea.prototype.processFontChange = function() {
+	this.lines = null;
+	this.preferredCursorX = null;
+}
+
+/**
+ * Processes keyboard input.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.TextArea.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	var lines = this.getLines();
+	var line = lines[this.getLineIndex(this.cursorIndex)];
+
+	switch (keyCode) {
+		case 39:
+			// Right arrow
+			this.preferredCursorX = null;
+			this.moveCursorToIndex(this.cursorIndex + 1);
+			break;
+
+		case 37:
+			// Left arrow
+			this.preferredCursorX = null;
+			this.moveCursorToIndex(this.cursorIndex - 1);
+			break;
+
+		case 38:
+			// Up arrow
+			this.moveCursorByLines(-1);
+			break;
+
+		case 40:
+			// Down arrow
+			this.moveCursorByLines(1);
+			break;
+
+		case 33:
+			// Page up
+			this.moveCursorByLines(-this.getVisibleLineCount());
+			break;
+
+		case 34:
+			// Page down
+			this.moveCursorByLines(this.getVisibleLineCount());
+			break;
+
+		case 36:
+			// Home
+			this.preferredCursorX = null;
+			this.moveCursorToIndex(isCtrlHeld ? 0 : line.start);
+			break;
+
+		case 35:
+			// End
+			this.preferredCursorX = null;
+
+			if (isCtrlHeld) {
+				this.moveCursorToIndex(this.text.length);
+			} else {
+				this.moveCursorToIndex(this.getIndexAtX(this.getLineIndex(this.cursorIndex), Number.MAX_VALUE));
+			}
+			break;
+
+		case 13:
+			// Enter
+			this.insertText('\n');
+			break;
+
+		case 46:
+			// Delete
+			if (this.cursorIndex < this.text.length) {
+				this.replaceRange(this.cursorIndex, this.cursorIndex + 1, '', this.cursorIndex);
+			}
+			break;
+
+		case 8:
+			// Backspace
+			if (this.cursorIndex > 0) {
+				this.replaceRange(this.cursorIndex - 1, this.cursorIndex, '', this.cursorIndex - 1);
+			}
+			break;
+	}
+}
+
+/**
+ * Processes keyboard input.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.TextArea.prototype.processKeyPress = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+
+	if (keyCode < 32) return;
+	if (keyCode > 127) return;
+
+	// Ctrl combinations are shortcuts, not text
+	if (isCtrlHeld) return;
+
+	this.insertText(String.fromCharCode(keyCode));
+}
+
+/**
+ * Describes the text area to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.TextArea.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "textbox";
+	attributes["aria-multiline"] = "true";
+
+	return attributes;
+}
+
+/**
+ * Gets the text that screen readers read as the gadget's content.
+ * @return The text area text.
+ */
+CanvasUI.TextArea.prototype.getAccessibleText = function() {
+	return this.text;
+}
+
+
+/** CheckBox Methods **/
+
+CanvasUI.CheckBox.prototype = new CanvasUI.Gadget;
+
+CanvasUI.CheckBox.prototype.constructor = CanvasUI.CheckBox;
+
+/**
+ * The checkbox is not checked.
+ */
+CanvasUI.CheckBox.UNCHECKED = 0;
+
+/**
+ * The checkbox is checked.
+ */
+CanvasUI.CheckBox.CHECKED = 1;
+
+/**
+ * The checkbox is in the "mixed" state, which usually indicates that a
+ * setting applies to some but not all of a set of items.
+ */
+CanvasUI.CheckBox.MIXED = 2;
+
+/**
+ * Size of the box drawn by checkboxes and radio buttons.
+ */
+CanvasUI.CheckBox.BOX_SIZE = 13;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.CheckBox.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+
+	// Draw box
+	var boxSize = CanvasUI.CheckBox.BOX_SIZE;
+	var boxRect = new CanvasUI.Rectangle(2, Math.floor((this.rect.height - boxSize) / 2), boxSize, boxSize);
+
+	gfx.fillRect(boxRect, this.isEnabled() ? this.shineColour : this.backColour);
+	gfx.drawBevelledRect(boxRect, this.shadowColour, this.shineColour);
+
+	var glyphColour = this.isEnabled() ? this.textColour : this.darkColour;
+
+	if (this.state == CanvasUI.CheckBox.CHECKED) {
+
+		// Draw tick as two thick lines
+		for (var i = 0; i < 2; ++i) {
+			gfx.drawLine(boxRect.x + 3, boxRect.y + 6 + i, boxRect.x + 5, boxRect.y + 8 + i, glyphColour);
+			gfx.drawLine(boxRect.x + 5, boxRect.y + 8 + i, boxRect.x + 9, boxRect.y + 4 + i, glyphColour);
+		}
+	} else if (this.state == CanvasUI.CheckBox.MIXED) {
+		gfx.fillRect(new CanvasUI.Rectangle(boxRect.x + 3, boxRect.y + 5, boxSize - 6, boxSize - 10), glyphColour);
+	}
+
+	// Draw text
+	var textX = boxRect.x + boxSize + 4;
+	var textY = gfx.getCentredBaseline(this.rect.height);
+
+	if (this.isEnabled()) {
+		gfx.fillText(this.text, textX, textY, this.textColour);
+	} else {
+		gfx.fillText(this.text, textX + 1, textY + 1, this.shadowColour);
+		gfx.fillText(this.text, textX, textY, this.shineColour);
+	}
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.CheckBox.prototype.drawBorder = function(gfx) { }
+
+/**
+ * Sets the state of the checkbox.
+ * @param state The new state; one of CanvasUI.CheckBox.UNCHECKED,
+ * CanvasUI.CheckBox.CHECKED or CanvasUI.CheckBox.MIXED.
+ */
+CanvasUI.CheckBox.prototype.setState = function(state) {
+	if (this.state != state) {
+		this.state = state;
+		this.markRectsDamaged();
+
+		this.fireEvent("valueChange");
+	}
+}
+
+/**
+ * Check if the checkbox is checked.
+ * @return True if the checkbox is checked.
+ */
+CanvasUI.CheckBox.prototype.isChecked = function() {
+	return this.state == CanvasUI.CheckBox.CHECKED;
+}
+
+/**
+ * Moves the checkbox to its next state.  Tri-state checkboxes cycle through
+ * unchecked, checked and mixed; others alternate between unchecked and
+ * checked.
+ */
+CanvasUI.CheckBox.prototype.toggle = function() {
+	if (this.state == CanvasUI.CheckBox.UNCHECKED) {
+		this.setState(CanvasUI.CheckBox.CHECKED);
+	} else if (this.state == CanvasUI.CheckBox.CHECKED && this.isTriState) {
+		this.setState(CanvasUI.CheckBox.MIXED);
+	} else {
+		this.setState(CanvasUI.CheckBox.UNCHECKED);
+	}
+}
+
+/**
+ * Called when the checkbox is clicked.  Toggles the checkbox.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.CheckBox.prototype.processClick = function(x, y) {
+	this.toggle();
+}
+
+/**
+ * Toggles the checkbox if space is pressed.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.CheckBox.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (!this.isEnabled()) return;
+
+	if (keyCode == 32) this.toggle();
+}
+
+/**
+ * Describes the checkbox to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.CheckBox.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "checkbox";
+	if (attributes["aria-label"] == null) attributes["aria-label"] = this.text;
+
+	if (this.state == CanvasUI.CheckBox.MIXED) {
+		attributes["aria-checked"] = "mixed";
+	} else {
+		attributes["aria-checked"] = this.isChecked() ? "true" : "false";
+	}
+
+	return attributes;
+}
+
+/**
+ * Toggles the checkbox, as though it had been clicked.
+ */
+CanvasUI.CheckBox.prototype.activate = function() {
+	this.toggle();
+}
+
+
+/** RadioButton Methods **/
+
+CanvasUI.RadioButton.prototype = new CanvasUI.Gadget;
+
+CanvasUI.RadioButton.prototype.constructor = CanvasUI.RadioButton;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.RadioButton.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+
+	// Draw button
+	var boxSize = CanvasUI.CheckBox.BOX_SIZE;
+	var radius = boxSize / 2;
+	var centreX = 2 + radius;
+	var centreY = Math.floor(this.rect.height / 2);
+
+	gfx.fillCircle(centreX, centreY, radius, this.isEnabled() ? this.shineColour : this.backColour);
+	gfx.drawCircle(centreX, centreY, radius - 0.5, this.shadowColour);
+
+	if (this.selected) {
+		gfx.fillCircle(centreX, centreY, radius / 2.5, this.isEnabled() ? this.textColour : this.darkColour);
+	}
+
+	// Draw text
+	var textX = 2 + boxSize + 4;
+	var textY = gfx.getCentredBaseline(this.rect.height);
+
+	if (this.isEnabled()) {
+		gfx.fillText(this.text, textX, textY, this.textColour);
+	} else {
+		gfx.fillText(this.text, textX + 1, textY + 1, this.shadowColour);
+		gfx.fillText(this.text, textX, textY, this.shineColour);
+	}
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.RadioButton.prototype.drawBorder = function(gfx) { }
+
+/**
+ * Selects or deselects the button.  If the button belongs to a
+ * RadioButtonGroup, selecting it deselects the group's other buttons.
+ * @param selected True to select the button.
+ */
+CanvasUI.RadioButton.prototype.setSelected = function(selected) {
+	if (selected && this.parent instanceof CanvasUI.RadioButtonGroup) {
+		this.parent.setSelectedButton(this);
+		return;
+	}
+
+	if (this.selected != selected) {
+		this.selected = selected;
+		this.markRectsDamaged();
+
+		this.fireEvent("valueChange");
+	}
+}
+
+/**
+ * Called when the button is clicked.  Selects the button.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ */
+CanvasUI.RadioButton.prototype.processClick = function(x, y) {
+	this.setSelected(true);
+}
+
+/**
+ * Selects the button if space is pressed.  The cursor keys select the
+ * previous or next button in the button's group.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.RadioButton.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (!this.isEnabled()) return;
+
+	var isGrouped = this.parent instanceof CanvasUI.RadioButtonGroup;
+
+	switch (keyCode) {
+		case 32:
+			// Space
+			this.setSelected(true);
+			break;
+
+		case 37:
+		case 38:
+			// Left and up arrows
+			if (isGrouped) this.parent.selectAdjacentButton(this, -1);
+			break;
+
+		case 39:
+		case 40:
+			// Right and down arrows
+			if (isGrouped) this.parent.selectAdjacentButton(this, 1);
+			break;
+	}
+}
+
+/**
+ * Describes the radio button to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.RadioButton.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "radio";
+	if (attributes["aria-label"] == null) attributes["aria-label"] = this.text;
+	attributes["aria-checked"] = this.selected ? "true" : "false";
+
+	return attributes;
+}
+
+/**
+ * Selects the radio button, as though it had been clicked.
+ */
+CanvasUI.RadioButton.prototype.activate = function() {
+	this.setSelected(true);
+}
+
+
+/** RadioButtonGroup Methods **/
+
+CanvasUI.RadioButtonGroup.prototype = new CanvasUI.Gadget;
+
+CanvasUI.RadioButtonGroup.prototype.constructor = CanvasUI.RadioButtonGroup;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.RadioButtonGroup.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.RadioButtonGroup.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var innerBevel = new CanvasUI.Rectangle(1, 1, drawRect.width - 2, drawRect.height - 2);
+
+	gfx.drawBevelledRect(innerBevel, this.shineColour, this.shadowColour);
+	gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
+}
+
+/**
+ * Selects the specified button and deselects all other buttons in the group.
+ * Each button that changes raises its value change event, followed by the
+ * group.
+ * @param button The button to select.  Can be null to deselect all buttons.
+ */
+CanvasUI.RadioButtonGroup.prototype.setSelectedButton = function(button) {
+	if (button == this.selectedButton) return;
+
+	var changed = new Array();
+
+	for (var i = 0; i < this.children.length(); ++i) {
+		var child = this.children.at(i);
+
+		if (child instanceof CanvasUI.RadioButton && child != button && child.selected) {
+			child.selected = false;
+			child.markRectsDamaged();
+
+			changed.push(child);
+		}
+	}
+
+	this.selectedButton = button;
+	this.value = null;
+
+	if (button != null) {
+		if (!button.selected) {
+			button.selected = true;
+			button.markRectsDamaged();
+
+			changed.push(button);
+		}
+
+		this.value = button.value;
+	}
+
+	// Raise the events once the whole group is consistent
+	for (var i = 0; i < changed.length; ++i) {
+		changed[i].fireEvent("valueChange");
+	}
+
+	this.fireEvent("valueChange", { value: this.value }, [this, this.value]);
+}
+
+/**
+ * Called when a child is added to the group.  A button that is already
+ * selected becomes the group's selected button.
+ * @param gadget The child that was added.
+ */
+CanvasUI.RadioButtonGroup.prototype.processAddChild = function(gadget) {
+	if (gadget instanceof CanvasUI.RadioButton && gadget.selected) this.setSelectedButton(gadget);
+}
+
+/**
+ * Selects the button with the specified value.
+ * @param value The value of the button to select.
+ */
+CanvasUI.RadioButtonGroup.prototype.setValue = function(value) {
+	for (var i = 0; i < this.children.length(); ++i) {
+		var child = this.children.at(i);
+
+		if (child instanceof CanvasUI.RadioButton && child.value == value) {
+			this.setSelectedButton(child);
+			return;
+		}
+	}
+}
+
+/**
+ * Selects and focuses the enabled, visible button before or after the
+ * specified button.  Selection wraps around at either end of the group.
+ * @param button The button to start from.
+ * @param direction -1 to select the previous button, 1 to select the next.
+ */
+CanvasUI.RadioButtonGroup.prototype.selectAdjacentButton = function(button, direction) {
+	var buttons = new Array();
+
+	for (var i = 0; i < this.children.length(); ++i) {
+		var child = this.children.at(i);
+
+		if (child == button || (child instanceof CanvasUI.RadioButton && child.isEnabled() && child.isVisible())) {
+			buttons.push(child);
+		}
+	}
+
+	var index = 0;
+
+	for (var i = 0; i < buttons.length; ++i) {
+		if (buttons[i] == button) index = i;
+	}
+
+	var adjacent = buttons[(index + direction + buttons.length) % buttons.length];
+
+	adjacent.focus();
+	this.setSelectedButton(adjacent);
+}
+
+/**
+ * Describes the group to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.RadioButtonGroup.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "radiogroup";
+
+	return attributes;
+}
+
+
+/** ComboBox Methods **/
+
+CanvasUI.ComboBox.prototype = new CanvasUI.Gadget;
+
+CanvasUI.ComboBox.prototype.constructor = CanvasUI.ComboBox;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ComboBox.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+
+	// Editable comboboxes display their text in the textbox
+	if (!this.isEditable) {
+		var text = this.getText();
+		var textX = 4;
+		var textY = gfx.getCentredBaseline(this.rect.height);
+
+		if (this.isEnabled()) {
+			gfx.fillText(text, textX, textY, this.textColour);
+		} else {
+			gfx.fillText(text, textX + 1, textY + 1, this.shadowColour);
+			gfx.fillText(text, textX, textY, this.shineColour);
+		}
+	}
+
+	// Draw the button's arrow glyph
+	var buttonX = this.rect.width - this.buttonWidth;
+	var glyphX = buttonX + Math.floor(this.buttonWidth / 2);
+	var glyphY = Math.floor(this.rect.height / 2) - 2;
+	var glyphColour = this.isEnabled() ? this.textColour : this.darkColour;
+
+	for (var i = 0; i < 4; ++i) {
+		gfx.fillRect(new CanvasUI.Rectangle(glyphX - 3 + i, glyphY + i, 7 - (i * 2), 1), glyphColour);
+	}
+}
+
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.ComboBox.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var buttonRect = new CanvasUI.Rectangle(this.rect.width - this.buttonWidth, 0, this.buttonWidth, this.rect.height);
+
+	if (this.isOpen()) {
+		gfx.drawBevelledRect(buttonRect, this.shadowColour, this.shineColour);
+	} else {
+		gfx.drawBevelledRect(buttonRect, this.shineColour, this.shadowColour);
+	}
+
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+}
+
+/**
+ * Add a new option to the combobox.
+ * @param text The option text.
+ * @param value The option value.
+ */
+CanvasUI.ComboBox.prototype.addOption = function(text, value) {
+	this.list.addOption(text, value);
+}
+
+/**
+ * Gets the index of the option with the specified text.
+ * @param text The text to search for.
+ * @return The index of the option, or -1 if no option has the text.
+ */
+CanvasUI.ComboBox.prototype.getOptionIndex = function(text) {
+	for (var i = 0; i < this.list.options.length; ++i) {
+		if (this.list.options[i].text == text) return i;
+	}
+
+	return -1;
+}
+
+/**
+ * Gets the selected option.
+ * @return The selected option, or null if no option is selected.
+ */
+CanvasUI.ComboBox.prototype.getSelectedOption = function() {
+	if (this.selectedIndex < 0) return null;
+	return this.list.options[this.selectedIndex];
+}
+
+/**
+ * Gets the text displayed by the combobox.  This is the text of the selected
+ * option or, for editable comboboxes, the text that has been typed.
+ * @return The displayed text.
+ */
+CanvasUI.ComboBox.prototype.getText = function() {
+	if (this.isEditable) return this.textBox.text;
+
+	var option = this.getSelectedOption();
+	return option != null ? option.text : "";
+}
+
+/**
+ * Gets the value of the selected option.
+ * @return The selected option's value, or null if no option is selected.
+ */
+CanvasUI.ComboBox.prototype.getValue = function() {
+	var option = this.getSelectedOption();
+	return option != null ? option.value : null;
+}
+
+/**
+ * Selects the option at the specified index.
+ * @param index The index of the option to select.
+ */
+CanvasUI.ComboBox.prototype.selectIndex = function(index) {
+	if (index < 0 || index >= this.list.options.length) return;
+	if (index == this.selectedIndex) return;
+
+	this.selectedIndex = index;
+	this.updateListSelection();
+
+	if (this.isEditable) {
+		this.textBox.text = this.list.options[index].text;
+		this.textBox.moveCursorToIndex(this.textBox.text.length, false);
+	}
+
+	this.markRectsDamaged();
+
+	this.fireEvent("valueChange");
+}
+
+/**
+ * Selects the list option matching the combobox's selection and scrolls the
+ * list to show it.
+ */
+CanvasUI.ComboBox.prototype.updateListSelection = function() {
+	this.list.setSelectedIndex(this.selectedIndex);
+
+	if (this.selectedIndex > -1) this.list.scrollToOption(this.selectedIndex);
+}
+
+/**
+ * Check if the popup list is open.
+ * @return True if the popup list is open.
+ */
+CanvasUI.ComboBox.prototype.isOpen = function() {
+	return this.list.parent != null;
+}
+
+/**
+ * Opens the popup list below the combobox, or above it if there is not enough
+ * space below.
+ */
+CanvasUI.ComboBox.prototype.openPopup = function() {
+	var gui = this.getGui();
+
+	if (gui == null || this.isOpen()) return;
+
+	var visibleOptions = this.list.options.length < this.maxVisibleOptions ? this.list.options.length : this.maxVisibleOptions;
+	if (visibleOptions < 1) visibleOptions = 1;
+
+	var height = (visibleOptions * this.list.itemHeight) + this.list.borderSize.top + this.list.borderSize.bottom;
+	var x = this.getX() - gui.getX();
+	var y = this.getY() - gui.getY() + this.rect.height;
+
+	if (y + height > gui.rect.height && y - this.rect.height - height >= 0) {
+		y -= this.rect.height + height;
+	}
+
+	this.list.changeDimensions(x, y, this.rect.width, height);
+
+	gui.openPopup(this.list, this);
+
+	this.updateListSelection();
+	this.markRectsDamaged();
+}
+
+/**
+ * Closes the popup list.
+ */
+CanvasUI.ComboBox.prototype.closePopup = function() {
+	var gui = this.getGui();
+
+	if (gui == null || !this.isOpen()) return;
+
+	gui.closePopup(this.list);
+
+	this.markRectsDamaged();
+}
+
+/**
+ * Opens the popup list if it is closed, or closes it if it is open.
+ */
+CanvasUI.ComboBox.prototype.togglePopup = function() {
+	if (this.isOpen()) {
+		this.closePopup();
+	} else {
+		this.openPopup();
+	}
 }
 
 /**
- * Redraws the specified list of damaged rects for the specified gadget.  The
- * function will recursively call itself in order to draw the gadget and its
- * children in such a way as to minimise redrawing.  The algorithm looks like
- * this:
- * - Work out which parts of the damagedRects array intersect the current
- *   gadget and remove them from the damagedRects array.
- * - Recursively call the method for each of the gadget's children, sending the
- *   intersecting regions as a new array.
- * - Receive back from children any undrawn areas in the new array.
- * - Redraw all rects in the new array.
- * @param gadget The gadget to redraw.
- * @param damagedRects An array of rectangles that must be redrawn.
+ * Called when the combobox is clicked.  Opens or closes the popup list.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
  */
-CanvasUI.DamagedRectManager.prototype.drawRects = function(gadget, damagedRects) {
+CanvasUI.ComboBox.prototype.processClick = function(x, y) {
+	this.togglePopup();
 
-	if (!gadget.isVisible()) return;
-	if (damagedRects.length == 0) return;
+	if (this.isEditable) this.textBox.focus();
+}
 
-	var gadgetRect = gadget.getRectClippedToHierarchy();
-	
-	var remainingRects = new Array();
-	var subRects = new Array();
-	
-	// Work out which of the damaged rects collide with the current gadget
-	for (var i = 0; i < damagedRects.length; ++i) {
-		var damagedRect = damagedRects[i];
-		
-		// Work out which part of the damaged rect intersects the current gadget
-		var intersection = gadgetRect.splitIntersection(damagedRect, remainingRects);
-		
-		if (intersection) {
-			damagedRects.splice(i, 1);
-			i--;
-			
-			// Add the non-intersecting parts of the damaged rect back into the
-			// list of undrawn rects
-			for (var j = 0; j < remainingRects.length; ++j) {
-				damagedRects.unshift(remainingRects[j]);
-				i++;
+/**
+ * Processes the keys that operate the list.  The up and down arrows select
+ * the previous and next options, alt+down and F4 open the list, and enter and
+ * escape close it.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ * @return True if the key was handled.
+ */
+CanvasUI.ComboBox.prototype.handleListKey = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (!this.isEnabled()) return false;
+
+	switch (keyCode) {
+		case 40:
+			// Down arrow
+			if (isAltHeld) {
+				this.openPopup();
+			} else {
+				this.selectIndex(this.selectedIndex + 1);
 			}
-			
-			remainingRects = new Array();
-			
-			// Get children to draw all parts of themselves that intersect the
-			// intersection we've found.
-			subRects.push(intersection);
-			
-			for (var j = gadget.children.length() - 1; j >= 0; --j) {
-				this.drawRects(gadget.children.at(j), subRects);
-				
-				// Abort if all rects have been drawn
-				if (subRects.length == 0) break;
+			return true;
+
+		case 38:
+			// Up arrow
+			this.selectIndex(this.selectedIndex - 1);
+			return true;
+
+		case 115:
+			// F4
+			this.togglePopup();
+			return true;
+
+		case 13:
+		case 27:
+			// Enter and escape
+			if (this.isOpen()) {
+				this.closePopup();
+				return true;
 			}
-			
-			// Children have drawn themselves; anything left in the subRects
-			// array must overlap this gadget
-			for (var j = 0; j < subRects.length; ++j) {
-				gadget.draw(subRects[j]);
+			return false;
+
+		case 32:
+			// Space types into editable comboboxes
+			if (this.isEditable) return false;
+
+			this.togglePopup();
+			return true;
+	}
+
+	return false;
+}
+
+/**
+ * Processes keyboard input.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.ComboBox.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	this.handleListKey(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+}
+
+/**
+ * Describes the combobox to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.ComboBox.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "combobox";
+	attributes["aria-expanded"] = this.isOpen() ? "true" : "false";
+
+	return attributes;
+}
+
+/**
+ * Gets the text that screen readers read as the gadget's content.  Editable
+ * comboboxes leave this to their textbox.
+ * @return The text of the selected option.
+ */
+CanvasUI.ComboBox.prototype.getAccessibleText = function() {
+	return this.isEditable ? null : this.getText();
+}
+
+/**
+ * Opens or closes the list of options, as though the combobox had been
+ * clicked.
+ */
+CanvasUI.ComboBox.prototype.activate = function() {
+	this.togglePopup();
+}
+
+
+/** Menu Methods **/
+
+CanvasUI.Menu.prototype = new CanvasUI.Gadget;
+
+CanvasUI.Menu.prototype.constructor = CanvasUI.Menu;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Menu.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
+
+	var rect = this.getClientRect();
+	var itemY = rect.y;
+	var checkWidth = 18;
+
+	for (var i = 0; i < this.items.length; ++i) {
+		var item = this.items[i];
+
+		if (item.isSeparator) {
+			var lineY = itemY + Math.floor(this.separatorHeight / 2) - 1;
+
+			gfx.fillRect(new CanvasUI.Rectangle(rect.x + 2, lineY, rect.width - 4, 1), this.darkColour);
+			gfx.fillRect(new CanvasUI.Rectangle(rect.x + 2, lineY + 1, rect.width - 4, 1), this.shineColour);
+
+			itemY += this.separatorHeight;
+			continue;
+		}
+
+		var itemRect = new CanvasUI.Rectangle(rect.x, itemY, rect.width, this.itemHeight);
+		var isHighlighted = (i == this.highlightedIndex) && item.enabled;
+
+		if (isHighlighted) gfx.fillRect(itemRect, this.highlightColour);
+
+		var textY = itemY + gfx.getCentredBaseline(this.itemHeight);
+		var textColour = item.enabled ? this.textColour : this.darkColour;
+
+		// Draw checkmark as two thick lines
+		if (item.checked) {
+			var tickX = rect.x + 4;
+			var tickY = itemY + Math.floor((this.itemHeight - 13) / 2);
+
+			for (var j = 0; j < 2; ++j) {
+				gfx.drawLine(tickX + 3, tickY + 6 + j, tickX + 5, tickY + 8 + j, textColour);
+				gfx.drawLine(tickX + 5, tickY + 8 + j, tickX + 9, tickY + 4 + j, textColour);
+			}
+		}
+
+		if (!item.enabled) gfx.fillText(item.text, rect.x + checkWidth + 1, textY + 1, this.shineColour);
+		gfx.fillText(item.text, rect.x + checkWidth, textY, textColour);
+
+		// Draw shortcut label right-aligned
+		if (item.shortcut.length > 0) {
+			var shortcutX = rect.x + rect.width - gfx.getTextWidth(item.shortcut) - checkWidth;
+
+			if (!item.enabled) gfx.fillText(item.shortcut, shortcutX + 1, textY + 1, this.shineColour);
+			gfx.fillText(item.shortcut, shortcutX, textY, textColour);
+		}
+
+		// Draw arrow indicating a submenu
+		if (item.submenu != null) {
+			var arrowX = rect.x + rect.width - 10;
+			var arrowY = itemY + Math.floor(this.itemHeight / 2) - 3;
+
+			for (var j = 0; j < 4; ++j) {
+				gfx.fillRect(new CanvasUI.Rectangle(arrowX + j, arrowY + j, 1, 7 - (j * 2)), textColour);
 			}
-			
-			subRects = new Array();
 		}
+
+		itemY += this.itemHeight;
 	}
 }
 
+/**
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.Menu.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+}
 
-/** Rect Methods **/
+/**
+ * Add a new item to the menu.
+ * @param text The item text.
+ * @param shortcut The keyboard shortcut label displayed next to the text.
+ * Optional.
+ * @return The new item.
+ */
+CanvasUI.Menu.prototype.addItem = function(text, shortcut) {
+	var item = new CanvasUI.MenuItem(text, shortcut);
+	this.items.push(item);
+	return item;
+}
 
 /**
- * Gets the co-ordinate of the rectangle's right edge.
- * @return The co-ordinate of the rectangle's right edge.
+ * Add a separator line to the menu.
+ * @return The new separator item.
  */
-CanvasUI.Rectangle.prototype.getX2 = function() {
-	return this.x + this.width - 1;
+CanvasUI.Menu.prototype.addSeparator = function() {
+	var item = new CanvasUI.MenuItem("");
+	item.isSeparator = true;
+	item.enabled = false;
+
+	this.items.push(item);
+	return item;
 }
 
 /**
- * Gets the co-ordinate of the rectangle's bottom edge.
- * @return The co-ordinate of the rectangle's bottom edge.
+ * Add an item that opens a submenu.
+ * @param text The item text.
+ * @param menu The submenu.
+ * @return The new item.
  */
-CanvasUI.Rectangle.prototype.getY2 = function() {
-	return this.y + this.height - 1;
+CanvasUI.Menu.prototype.addSubmenu = function(text, menu) {
+	var item = new CanvasUI.MenuItem(text);
+	item.submenu = menu;
+	menu.parentMenu = this;
+
+	this.items.push(item);
+	return item;
 }
 
 /**
- * Gets the intersect of this rectangle with the supplied argument.
- * @param rect The rectangle to intersect with this.
- * @return A rectangle that represents the intersection of the two rectangles.
+ * Gets the y co-ordinate of the specified item, relative to the client rect.
+ * @param index The index of the item.
+ * @return The y co-ordinate of the item.
  */
-CanvasUI.Rectangle.prototype.getIntersect = function(rect) {
-	var x1 = this.x > rect.x ? this.x : rect.x;
-	var y1 = this.y > rect.y ? this.y : rect.y;
+CanvasUI.Menu.prototype.getItemY = function(index) {
+	var y = 0;
 
-	var x2 = this.getX2() < rect.getX2() ? this.getX2() : rect.getX2();
-	var y2 = this.getY2() < rect.getY2() ? this.getY2() : rect.getY2();
+	for (var i = 0; i < index; ++i) {
+		y += this.items[i].isSeparator ? this.separatorHeight : this.itemHeight;
+	}
 
-	return new CanvasUI.Rectangle(x1, y1, x2 - x1 + 1, y2 - y1 + 1);
+	return y;
 }
 
 /**
- * Gets the smallest rectangle capable of containing this rect and the supplied
- * argument.
- * @param rect The rectangle to add to this.
- * @return The smallest rectangle that can contain this rect and the argument.
+ * Gets the index of the item at the specified y co-ordinate.
+ * @param y The y co-ordinate, relative to the client rect.
+ * @return The index of the item, or -1 if there is no item at the co-ordinate.
  */
-CanvasUI.Rectangle.prototype.getAddition = function(rect) {
-	var x1 = x < rect.x ? this.x : rect.x;
-	var y1 = y < rect.y ? this.y : rect.x;
+CanvasUI.Menu.prototype.getItemIndexAt = function(y) {
+	var itemY = 0;
 
-	var x2 = this.getX2() > rect.getX2() ? this.getX2() : rect.getX2();
-	var y2 = this.getY2() > rect.getY2() ? this.getY2() : rect.getY2();
+	for (var i = 0; i < this.items.length; ++i) {
+		var height = this.items[i].isSeparator ? this.separatorHeight : this.itemHeight;
 
-	return new CanvasUI.Rectangle(x1, y1, x2 - x1 + 1, y2 - y1 + 1);
+		if (y >= itemY && y < itemY + height) return i;
+
+		itemY += height;
+	}
+
+	return -1;
 }
 
 /**
- * Clips this rectangle to the intersection with the supplied argument.
- * @param rect The rectangle to clip to.
+ * Gets the menu at the root of a hierarchy of submenus.
+ * @return The root menu.
  */
-CanvasUI.Rectangle.prototype.clipToIntersect = function(rect) {
-	var clipped = this.getIntersect(rect);
+CanvasUI.Menu.prototype.getRootMenu = function() {
+	var menu = this;
 
-	this.x = clipped.x;
-	this.y = clipped.y;
-	this.width = clipped.width;
-	this.height = clipped.height;
+	while (menu.parentMenu != null) menu = menu.parentMenu;
+
+	return menu;
 }
 
 /**
- * Increases the size of the rect to encompass the supplied argument.
- * @param rect The rect to encompass.
+ * Check if the menu is open.
+ * @return True if the menu is open.
  */
-CanvasUI.Rectangle.prototype.expandToInclude = function(rect) {
-	var addition = getAddition(rect);
-
-	this.x = addition.x;
-	this.y = addition.y;
-	this.width = addition.width;
-	this.height = addition.height;
+CanvasUI.Menu.prototype.isOpen = function() {
+	return this.parent != null;
 }
 
 /**
- * Check if the rectangle has valid dimensions.
- * @return True if the rectangle has valid dimensions.
+ * Opens the menu as a popup above all other gadgets and gives it focus.  The
+ * menu is sized to fit its items and kept within the bounds of the GUI.
+ * @param gui The GUI to open the menu in.
+ * @param x The x co-ordinate of the menu, relative to the GUI.
+ * @param y The y co-ordinate of the menu, relative to the GUI.
+ * @param owner The gadget that opened the menu.  Clicks on the owner do not
+ * close the menu.  Can be null.
  */
-CanvasUI.Rectangle.prototype.hasDimensions = function() {
-	if (this.width < 1) return false;
-	if (this.height < 1) return false;
-	return true;
+CanvasUI.Menu.prototype.open = function(gui, x, y, owner) {
+	if (this.isOpen()) return;
+
+	var gfx = gui.createGraphics(0, 0, null);
+
+	// Work out the size of the menu from the size of its items
+	var textWidth = 0;
+	var shortcutWidth = 0;
+
+	for (var i = 0; i < this.items.length; ++i) {
+		var width = gfx.getTextWidth(this.items[i].text);
+		if (width > textWidth) textWidth = width;
+
+		width = gfx.getTextWidth(this.items[i].shortcut);
+		if (width > shortcutWidth) shortcutWidth = width;
+	}
+
+	// Leave room for the checkmark column, the gap before the shortcuts and
+	// the submenu arrow
+	var menuWidth = Math.ceil(18 + textWidth + (shortcutWidth > 0 ? 20 + shortcutWidth : 0) + 18) + this.borderSize.left + this.borderSize.right;
+	var menuHeight = this.getItemY(this.items.length) + this.borderSize.top + this.borderSize.bottom;
+
+	if (x + menuWidth > gui.rect.width) x = gui.rect.width - menuWidth;
+	if (y + menuHeight > gui.rect.height) y = gui.rect.height - menuHeight;
+	if (x < 0) x = 0;
+	if (y < 0) y = 0;
+
+	this.rect.x = x;
+	this.rect.y = y;
+	this.rect.width = menuWidth;
+	this.rect.height = menuHeight;
+
+	this.highlightedIndex = -1;
+
+	// Remember which gadget had focus so that it can be given focus again when
+	// the menu is closed.  If another menu or the menu bar had focus, inherit
+	// the gadget that they remembered.
+	if (this.parentMenu == null) {
+		var focused = gui;
+
+		while (focused.focusedGadget != null) focused = focused.focusedGadget;
+
+		if (focused instanceof CanvasUI.Menu) {
+			this.previousFocus = focused.getRootMenu().previousFocus;
+		} else if (focused == this.menuBar) {
+			this.previousFocus = this.menuBar.previousFocus;
+		} else {
+			this.previousFocus = focused;
+		}
+	}
+
+	gui.openPopup(this, owner);
+
+	this.focus();
 }
 
 /**
- * Check if this rectangle intersects the argument.
- * @param rect The rect to check for an intersection.
- * @return True if the rects intersect.
+ * Closes the menu and any open submenus.
  */
-CanvasUI.Rectangle.prototype.intersects = function(rect) {
-	return ((this.x + this.width > rect.x) &&
-			(this.y + this.height > rect.y) &&
-			(this.x < rect.x + rect.width) &&
-			(this.y < rect.y + rect.height));
+CanvasUI.Menu.prototype.close = function() {
+	var gui = this.getGui();
+
+	if (gui != null) gui.closePopup(this);
 }
 
 /**
- * Check if this rectangle contains the argument co-ordinate.
- * @param x The x co-ordinate to check.
- * @param y The y co-ordinate to check.
- * @return True if this rect contains the argument co-ordinate.
+ * Closes the menu hierarchy that this menu belongs to and gives focus back to
+ * the gadget that had focus when the root menu was opened.
  */
-CanvasUI.Rectangle.prototype.contains = function(x, y) {
-	return ((x >= this.x) &&
-			(y >= this.y) &&
-			(x < this.x + this.width) &&
-			(y < this.y + this.height));
+CanvasUI.Menu.prototype.dismiss = function() {
+	var root = this.getRootMenu();
+	var previousFocus = root.previousFocus;
+
+	root.close();
+
+	if (previousFocus != null && previousFocus.getGui() != null && previousFocus != previousFocus.getGui()) {
+		previousFocus.focus();
+	}
 }
 
 /**
- * Splits the rect argument into the area that overlaps this rect (this is
- * the return value) and an array of areas that do not overlap (this is the
- * remainderRects argument, which must be passed as an empty array).
- * @param rect The rectangle to intersect with this.
- * @param remainderRects An empty array that will be populated with the areas
- * of the rect parameter that do not intersect with this rect.
- * @return The intersection of this rectangle and the rect argument.
+ * Closes any open submenu and detaches the menu from its owner when the menu
+ * is closed.
  */
-CanvasUI.Rectangle.prototype.splitIntersection = function(rect, remainderRects) {
-
-	if (!this.intersects(rect)) return null;
-	
-	// Copy the properties of rect into intersection; we trim this to size later
-	var intersection = new CanvasUI.Rectangle(rect.x, rect.y, rect.width, rect.height);
+CanvasUI.Menu.prototype.processPopupClose = function() {
+	if (this.openSubmenu != null) {
+		this.openSubmenu.close();
+		this.openSubmenu = null;
+	}
 
-	// Check for a non-overlapped rect on the left
-	if (intersection.x < this.x) {
-		var left = new CanvasUI.Rectangle(0, 0, 0, 0);
-		left.x = intersection.x;
-		left.y = intersection.y;
-		left.width = this.x - intersection.x;
-		left.height = intersection.height;
-		
-		// Insert the rect
-		remainderRects.push(left);
-		
-		// Adjust the dimensions of the intersection
-		intersection.x = this.x;
-		intersection.width -= left.width;
+	if (this.parentMenu != null && this.parentMenu.openSubmenu == this) {
+		this.parentMenu.openSubmenu = null;
 	}
-	
-	// Check for a non-overlapped rect on the right
-	if (intersection.x + intersection.width > this.x + this.width) {
-		var right = new CanvasUI.Rectangle(0, 0, 0, 0);
-		right.x = this.x + this.width;
-		right.y = intersection.y;
-		right.width = intersection.width - (this.x + this.width - intersection.x);
-		right.height = intersection.height;
-		
-		// Insert the rect
-		remainderRects.push(right);
-		
-		// Adjust dimensions of the intersection
-		intersection.width -= right.width;
+
+	if (this.menuBar != null && this.menuBar.getOpenMenu() == this) {
+		this.menuBar.openIndex = -1;
+		this.menuBar.markRectsDamaged();
 	}
-	
-	// Check for a non-overlapped rect above
-	if (intersection.y < this.y) {
-		var top = new CanvasUI.Rectangle(0, 0, 0, 0);
-		top.x = intersection.x;
-		top.y = intersection.y;
-		top.width = intersection.width;
-		top.height = this.y - intersection.y;
-		
-		// Insert the rect
-		remainderRects.push(top);
-		
-		// Adjust the dimensions of the intersection
-		intersection.y = this.y;
-		intersection.height -= top.height;
+
+	// Prevent keys being sent to the closed menu
+	var gui = this.getGui();
+
+	if (gui.focusedGadget == this) {
+		this.blur();
+		gui.focusedGadget = null;
 	}
-	
-	// Check for a non-overlapped rect below
-	if (intersection.y + intersection.height > this.y + this.height) {
-		var bottom = new CanvasUI.Rectangle(0, 0, 0, 0);
-		bottom.x = intersection.x;
-		bottom.y = this.y + this.height;
-		bottom.width = intersection.width;
-		bottom.height = intersection.height - (this.y + this.height - intersection.y);
-		
-		// Insert the rect
-		remainderRects.push(bottom);
-		
-		// Adjust dimensions of the intersection
-		intersection.height -= bottom.height;
+}
+
+/**
+ * Highlights the specified item.
+ * @param index The index of the item to highlight.
+ */
+CanvasUI.Menu.prototype.setHighlightedIndex = function(index) {
+	if (index != this.highlightedIndex) {
+		this.highlightedIndex = index;
+		this.markRectsDamaged();
 	}
-	
-	return intersection;
 }
 
+/**
+ * Highlights the next or previous enabled item, wrapping around at either end
+ * of the menu.
+ * @param direction 1 to highlight the next item, -1 to highlight the previous.
+ */
+CanvasUI.Menu.prototype.highlightNextItem = function(direction) {
+	var index = this.highlightedIndex;
+
+	// Start before the first item or after the last so that nothing is
+	// skipped when no item is highlighted
+	if (index < 0) index = direction > 0 ? -1 : this.items.length;
 
+	for (var i = 0; i < this.items.length; ++i) {
+		index = (index + direction + this.items.length) % this.items.length;
 
-/** Graphics Methods **/
+		if (this.items[index].enabled && !this.items[index].isSeparator) {
+			this.setHighlightedIndex(index);
+			return;
+		}
+	}
+}
 
 /**
- * Draws a bevelled rectangle.
- * @param rect The rectangle to draw.
- * @param lightColour The colour to use for the light edges.
- * @param darkColour The colour to use for the dark edges.
+ * Opens the submenu of the specified item to the side of the menu.
+ * @param index The index of the item.
  */
-CanvasUI.Graphics.prototype.drawBevelledRect = function(rect, lightColour, darkColour) {
-	if (this.context == null) return;
-	
-	this.fillRect(new CanvasUI.Rectangle(rect.x, rect.y, rect.width, 1), lightColour);
-	this.fillRect(new CanvasUI.Rectangle(rect.x, rect.y, 1, rect.height), lightColour);
-	this.fillRect(new CanvasUI.Rectangle(rect.x + rect.width - 1, rect.y, 1, rect.height), darkColour);
-	this.fillRect(new CanvasUI.Rectangle(rect.x, rect.y + rect.height - 1, rect.width, 1), darkColour);
+CanvasUI.Menu.prototype.openSubmenuAt = function(index) {
+	var submenu = this.items[index].submenu;
+
+	if (submenu == null || submenu == this.openSubmenu) return;
+
+	if (this.openSubmenu != null) this.openSubmenu.close();
+
+	var gui = this.getGui();
+
+	submenu.open(gui, this.rect.x + this.rect.width - 2, this.rect.y + this.getItemY(index), this);
+
+	// Open to the left if the submenu would overlap the right edge of the GUI
+	if (submenu.rect.x < this.rect.x + this.rect.width - 2) {
+		submenu.moveTo(Math.max(0, this.rect.x - submenu.rect.width + 2), submenu.rect.y);
+	}
+
+	this.openSubmenu = submenu;
 }
 
 /**
- * Draws a rectangle.
- * @param rect The rectangle to draw.
- * @param colour The colour to draw with.
+ * Activates the specified item.  Items with submenus open the submenu; other
+ * items close the menu, toggle their checked state if they are checkable, and
+ * raise their select event.
+ * @param index The index of the item to activate.
  */
-CanvasUI.Graphics.prototype.drawRect = function(rect, colour) {
-	if (this.context == null) return;
-	
-	// Compensate for graphics offset
-	var x = rect.x + this.x;
-	var y = rect.y + this.y;
+CanvasUI.Menu.prototype.activateItem = function(index) {
+	var item = this.items[index];
 
-	this.context.save();
-	this.context.beginPath();
-	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
-	this.context.clip();
-	
-	this.context.fillStyle = colour;
-	this.context.fillRect(x, y, rect.width, 1);
-	this.context.fillRect(x, y, 1, rect.height);
-	this.context.fillRect(x + rect.width - 1, y, 1, rect.height);
-	this.context.fillRect(x, y + rect.height - 1, rect.width, 1);
-	this.context.closePath();
-	this.context.restore();
+	if (item == null || !item.enabled || item.isSeparator) return;
+
+	if (item.submenu != null) {
+		this.openSubmenuAt(index);
+		return;
+	}
+
+	this.dismiss();
+
+	if (item.isCheckable) item.checked = !item.checked;
+
+	if (item.onSelect != null) item.onSelect(item);
 }
 
 /**
- * Draws filled text.
- * @param text The text to render.
- * @param x The x co-ordinate of the text.
- * @param y The y co-ordinate of the text.
- * @param colour The colour to draw with.
+ * Called when the menu is clicked.  Activates the clicked item.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
  */
-CanvasUI.Graphics.prototype.fillText = function(text, x, y, colour) {
-	if (this.context == null) return;
-	
-	// Compensate for graphics offset
-	x += this.x;
-	y += this.y;
+CanvasUI.Menu.prototype.processClick = function(x, y) {
+	var index = this.getItemIndexAt(y);
 
-	this.context.save();
-	this.context.beginPath();
-	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
-	this.context.clip();
+	if (index < 0) return;
 
-	this.context.fillStyle = colour;
-	this.context.font = this.fontSize + ' ' + this.fontFamily;
-	this.context.fillText(text, x, y);
-	this.context.closePath();
-	this.context.restore();
+	this.setHighlightedIndex(index);
+	this.activateItem(index);
 }
 
 /**
- * Gets the width in pixels of the specified text using the current font and
- * font size.
- * @param text The text to measure.
- * @return The width of the string in pixels.
+ * Processes keyboard navigation.  The up and down arrows move the highlight,
+ * right opens a submenu or the next menu in the menu bar, left closes a
+ * submenu or opens the previous menu in the menu bar, enter and space
+ * activate the highlighted item, and escape closes the menu.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
  */
-CanvasUI.Graphics.prototype.getTextWidth = function(text) {
-	if (this.context == null) return 0;
-	
-	this.context.save();
-	this.context.font = this.fontSize + ' ' + this.fontFamily;
-	var width = this.context.measureText(text).width
-	this.context.restore();
-	
-	return width;
+CanvasUI.Menu.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	var item = this.highlightedIndex > -1 ? this.items[this.highlightedIndex] : null;
+
+	switch (keyCode) {
+		case 38:
+			// Up arrow
+			this.highlightNextItem(-1);
+			break;
+
+		case 40:
+			// Down arrow
+			this.highlightNextItem(1);
+			break;
+
+		case 39:
+			// Right arrow
+			if (item != null && item.submenu != null) {
+				this.openSubmenuAt(this.highlightedIndex);
+				item.submenu.highlightNextItem(1);
+			} else {
+				var root = this.getRootMenu();
+				if (root.menuBar != null) root.menuBar.openAdjacentMenu(1);
+			}
+			break;
+
+		case 37:
+			// Left arrow
+			if (this.parentMenu != null) {
+				var parentMenu = this.parentMenu;
+				this.close();
+				parentMenu.focus();
+			} else if (this.menuBar != null) {
+				this.menuBar.openAdjacentMenu(-1);
+			}
+			break;
+
+		case 13:
+		case 32:
+			// Enter and space
+			if (item != null) {
+				this.activateItem(this.highlightedIndex);
+				if (item.submenu != null) item.submenu.highlightNextItem(1);
+			}
+			break;
+
+		case 27:
+			// Escape
+			if (this.parentMenu != null) {
+				var parentMenu = this.parentMenu;
+				this.close();
+				parentMenu.focus();
+			} else {
+				this.dismiss();
+			}
+			break;
+	}
 }
 
 /**
- * Draws a filled rectangle.
- * @param rect The rectangle to draw.
- * @param colour The colour to draw with.
+ * Describes the menu to screen readers.
+ * @return An object mapping ARIA attribute names to values.
  */
-CanvasUI.Graphics.prototype.fillRect = function(rect, colour) {
-	if (this.context == null) return;
-	
-	// Compensate for graphics offset
-	var x = rect.x + this.x;
-	var y = rect.y + this.y;
+CanvasUI.Menu.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
 
-	this.context.save();
-	this.context.beginPath();
-	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
-	this.context.clip();
-	
-	this.context.fillStyle = colour;
-	this.context.fillRect(x, y, rect.width, rect.height);
-	this.context.closePath();
-	this.context.restore();
+	attributes["role"] = "menu";
+
+	return attributes;
 }
 
 /**
- * Draws a rectangle filled with a linear gradient.
- * @param rect The rectangle to draw.
- * @param gradientX1 The x co-ordinate of the start of the gradient.
- * @param gradientY1 The y co-ordinate of the start of the gradient.
- * @param gradientX2 The x co-ordinate of the end of the gradient.
- * @param gradientY2 The y co-ordinate of the end of the gradient.
- * @param colourStops An array of anonymous objects containing colour stop
- * data.  A black to white gradient would be defined as:
- * [{ offset: 0, colour: '#000' }, { offset: 1, colour: '#fff' }]
- * The offset property of the objects is a fractional value between 0 and 1
- * inclusive, where 0 is the start of the gradient, 1 is the end of the
- * gradient, and 0.5 is half-way between the two.
+ * Describes the menu's items to screen readers.
+ * @return An array of items.
  */
-CanvasUI.Graphics.prototype.fillGradientRect = function(rect, gradientX1, gradientY1, gradientX2, gradientY2, colourStops) {
-	if (this.context == null) return;
-	
-	// Compensate for graphics offset
-	var x = rect.x + this.x;
-	var y = rect.y + this.y;
+CanvasUI.Menu.prototype.getAccessibleItems = function() {
+	var items = new Array();
 
-	gradientX1 += this.x;
-	gradientY1 += this.y;
-	gradientX2 += this.x;
-	gradientY2 += this.y;
+	for (var i = 0; i < this.items.length; ++i) {
+		var item = this.items[i];
 
-	this.context.save();
-	this.context.beginPath();
-	this.context.rect(this.clipRect.x, this.clipRect.y, this.clipRect.width, this.clipRect.height);
-	this.context.clip();
+		if (item.isSeparator) {
+			items.push({ attributes: { "role": "separator" }, text: "" });
+			continue;
+		}
 
-	var gradient = this.context.createLinearGradient(gradientX1, gradientY1, gradientX2, gradientY2);
-	for (var i in colourStops) {
-		gradient.addColorStop(colourStops[i].offset, colourStops[i].colour);
+		items.push({
+			attributes: {
+				"role": item.isCheckable ? "menuitemcheckbox" : "menuitem",
+				"aria-checked": item.isCheckable ? (item.checked ? "true" : "false") : null,
+				"aria-disabled": item.enabled ? null : "true",
+				"aria-haspopup": item.submenu != null ? "menu" : null,
+				"aria-keyshortcuts": item.shortcut.length > 0 ? item.shortcut : null
+			},
+			text: item.text
+		});
 	}
-	
-	this.context.fillStyle = gradient;
-	this.context.fillRect(x, y, rect.width, rect.height);
-	this.context.closePath();
-	this.context.restore();
+
+	return items;
 }
 
 
-/** GadgetCollection Methods **/
+/** MenuBar Methods **/
+
+CanvasUI.MenuBar.prototype = new CanvasUI.Gadget;
+
+CanvasUI.MenuBar.prototype.constructor = CanvasUI.MenuBar;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.MenuBar.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+
+	// Draw top
+	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, this.getTheme().gadgetGradient);
+
+	var textY = gfx.getCentredBaseline(this.rect.height);
+
+	for (var i = 0; i < this.items.length; ++i) {
+		var titleRect = this.getTitleRect(i, gfx);
+
+		if (i == this.openIndex) gfx.fillRect(titleRect, this.highlightColour);
+
+		if (this.isEnabled() && this.items[i].enabled) {
+			gfx.fillText(this.items[i].text, titleRect.x + this.titlePadding, textY, this.textColour);
+		} else {
+			gfx.fillText(this.items[i].text, titleRect.x + this.titlePadding + 1, textY + 1, this.shineColour);
+			gfx.fillText(this.items[i].text, titleRect.x + this.titlePadding, textY, this.darkColour);
+		}
+	}
+}
 
 /**
- * Add a gadget to the end of the collection.
- * @param gadget The gadget to add to the collection.
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
  */
-CanvasUI.GadgetCollection.prototype.add = function(gadget) {
-	gadget.parent = this.gadget;
-	this.list.push(gadget);
-	
-	gadget.markRectsDamaged();
+CanvasUI.MenuBar.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
 }
 
 /**
- * Insert a gadget at the start of the collection.
- * @param gadget The gadget to insert into the collection.
+ * Add a menu to the bar.
+ * @param text The title displayed in the bar.
+ * @param menu The menu opened by clicking the title.
+ * @return The item representing the menu's title.
  */
-CanvasUI.GadgetCollection.prototype.insert = function(gadget) {
-	gadget.parent = this.gadget;
-	this.list.splice(0, 0, gadget);
+CanvasUI.MenuBar.prototype.addMenu = function(text, menu) {
+	var item = new CanvasUI.MenuItem(text);
+	item.submenu = menu;
+	menu.menuBar = this;
 
-	gadget.markRectsDamaged();	
+	this.items.push(item);
+	this.markRectsDamaged();
+
+	return item;
 }
 
 /**
- * Remove a gadget from the collection.
- * @param gadget The gadget to remove from the collection.
+ * Gets the rectangle occupied by the specified title, relative to the gadget.
+ * @param index The index of the title.
+ * @param gfx A Graphics object to measure text with.  Optional.
+ * @return The title's rectangle.
  */
-CanvasUI.GadgetCollection.prototype.remove = function(gadget) {
-	var index = this.getGadgetIndex(gadget);
-	if (index > -1) {
-		this.list.splice(index, 1);
+CanvasUI.MenuBar.prototype.getTitleRect = function(index, gfx) {
+	if (gfx == null) gfx = this.createGraphics(0, 0, null);
+
+	var x = 0;
+
+	for (var i = 0; i < index; ++i) {
+		x += gfx.getTextWidth(this.items[i].text) + (this.titlePadding * 2);
 	}
-	
-	gadget.markRectsDamaged();
-	
-	gadget.parent = null;
+
+	return new CanvasUI.Rectangle(x, 0, gfx.getTextWidth(this.items[index].text) + (this.titlePadding * 2), this.rect.height);
 }
 
 /**
- * Get the number of gadgets in the collection.
- * @return The number of gadgets in the collection.
+ * Gets the open menu.
+ * @return The open menu, or null if no menu is open.
  */
-CanvasUI.GadgetCollection.prototype.length = function() { return this.list.length; }
-		
+CanvasUI.MenuBar.prototype.getOpenMenu = function() {
+	if (this.openIndex < 0) return null;
+	return this.items[this.openIndex].submenu;
+}
+
 /**
- * Get the gadget at the specified index.
- * @return The gadget at the specified index.
+ * Opens the menu at the specified index below its title, closing any other
+ * open menu.
+ * @param index The index of the menu to open.
  */
-CanvasUI.GadgetCollection.prototype.at = function(index) { return this.list[index]; }
-		
+CanvasUI.MenuBar.prototype.openMenu = function(index) {
+	var gui = this.getGui();
+
+	if (gui == null || index == this.openIndex) return;
+	if (!this.items[index].enabled) return;
+
+	var oldMenu = this.getOpenMenu();
+	var titleRect = this.getTitleRect(index);
+
+	// Open the new menu before closing the old one so that it inherits the
+	// gadget that had focus before the old menu opened
+	this.items[index].submenu.open(gui, this.getX() - gui.getX() + titleRect.x, this.getY() - gui.getY() + this.rect.height, this);
+
+	if (oldMenu != null) oldMenu.close();
+
+	this.openIndex = index;
+	this.markRectsDamaged();
+}
 
 /**
- * Raise the specified gadget to the top (ie. end) of the collection.
- * @param gadget The gadget to raise to the top of the collection.
+ * Opens the next or previous enabled menu, wrapping around at either end of
+ * the bar.
+ * @param direction 1 to open the next menu, -1 to open the previous menu.
  */
-CanvasUI.GadgetCollection.prototype.raiseToTop = function(gadget) {		
-	var index = this.getGadgetIndex(gadget);
-	if (index > -1) {
-		this.list.splice(index, 1);
-		this.add(gadget);
+CanvasUI.MenuBar.prototype.openAdjacentMenu = function(direction) {
+	var index = this.openIndex;
+
+	for (var i = 0; i < this.items.length; ++i) {
+		index = (index + direction + this.items.length) % this.items.length;
+
+		if (this.items[index].enabled) {
+			this.openMenu(index);
+			this.items[index].submenu.highlightNextItem(1);
+			return;
+		}
 	}
 }
 
 /**
- * Lower the specified gadget to the bottom (ie. start) of the collection.
- * @param gadget The gadget to lower to the bottom of the collection.
+ * Remembers the focused gadget before the click gives focus to the bar, so
+ * that focus can be returned to it when the bar's menus are closed.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
+ * @return True if the click hit this gadget or its children.
  */
-CanvasUI.GadgetCollection.prototype.lowerToBottom = function(gadget) {
-	var index = this.getGadgetIndex(gadget);
-	if (index > -1) {
-		this.list.splice(index, 1);
-		this.insert(gadget)
+CanvasUI.MenuBar.prototype.click = function(x, y) {
+	var gui = this.getGui();
+
+	if (gui != null && this.isVisible() && this.checkPointCollision(x, y)) {
+		var focused = gui;
+
+		while (focused.focusedGadget != null) focused = focused.focusedGadget;
+
+		if (focused instanceof CanvasUI.Menu) focused = focused.getRootMenu().previousFocus;
+
+		this.previousFocus = focused;
 	}
+
+	return CanvasUI.Gadget.prototype.click.call(this, x, y);
 }
-		
+
 /**
- * Locate gadget in list.
- * @param gadget The gadget to find.
- * @return The index of the gadget, or -1 if the gadget is not found.
+ * Called when the menu bar is clicked.  Opens the clicked menu, or closes it
+ * if it is already open.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
  */
-CanvasUI.GadgetCollection.prototype.getGadgetIndex = function(gadget) {
-	for (var i in this.list) {
-		if (this.list[i] == gadget) {
-			return i;
+CanvasUI.MenuBar.prototype.processClick = function(x, y) {
+	var gfx = this.createGraphics(0, 0, null);
+
+	for (var i = 0; i < this.items.length; ++i) {
+		if (this.getTitleRect(i, gfx).contains(x, y)) {
+			if (i == this.openIndex) {
+				this.getOpenMenu().dismiss();
+			} else {
+				this.openMenu(i);
+			}
+
+			return;
 		}
 	}
-	
-	return -1;
+
+	// Clicking empty space in the bar closes the open menu
+	if (this.openIndex > -1) this.getOpenMenu().dismiss();
 }
 
 /**
- * Locate gadget in list by ID.
- * @param id The ID of the gadget to find.
- * @return The gadget, or null if the gadget is not found.
+ * Opens the first menu when the down arrow is pressed while the bar has
+ * focus.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
  */
-CanvasUI.GadgetCollection.prototype.getGadgetById = function(id) {
-	for (var i in this.list) {
-		if (this.list[i].id == id) {
-			return this.list[i];
-		}
+CanvasUI.MenuBar.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (keyCode == 40 || keyCode == 13) {
+		this.previousFocus = this;
+		this.openAdjacentMenu(1);
 	}
-	
-	return null;
 }
 
-/** Gadget Methods **/
+/**
+ * Describes the menu bar to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.MenuBar.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "menubar";
+
+	return attributes;
+}
 
 /**
- * Gets the x co-ordinate of the gadget relative to the top-level gadget.
- * @return The x co-ordinate of the gadget relative to the top-level gadget.
+ * Describes the titles of the bar's menus to screen readers.
+ * @return An array of items.
  */
-CanvasUI.Gadget.prototype.getX = function() {
-	if (this.parent != null) {
-		return this.rect.x + this.parent.getX() + this.parent.borderSize.left;
+CanvasUI.MenuBar.prototype.getAccessibleItems = function() {
+	var items = new Array();
+
+	for (var i = 0; i < this.items.length; ++i) {
+		items.push({
+			attributes: {
+				"role": "menuitem",
+				"aria-disabled": this.items[i].enabled ? null : "true",
+				"aria-haspopup": "menu",
+				"aria-expanded": i == this.openIndex ? "true" : "false"
+			},
+			text: this.items[i].text
+		});
 	}
-	
-	return this.rect.x;
+
+	return items;
 }
 
 /**
- * Gets the y co-ordnate of the gadget relative to the top-level gadget.
- * @return The y co-ordinate of the gadget relative to the top-level gadget.
+ * Opens or closes a menu, as though its title had been clicked.
+ * @param index The index of the menu.
  */
-CanvasUI.Gadget.prototype.getY = function() {
-	if (this.parent != null) {
-		return this.rect.y + this.parent.getY() + this.parent.borderSize.top;
+CanvasUI.MenuBar.prototype.activateItem = function(index) {
+	if (index == this.openIndex) {
+		this.getOpenMenu().dismiss();
+	} else {
+		this.openMenu(index);
 	}
-	
-	return this.rect.y;
 }
 
+
+/** TabPage Methods **/
+
+CanvasUI.TabPage.prototype = new CanvasUI.Gadget;
+
+CanvasUI.TabPage.prototype.constructor = CanvasUI.TabPage;
+
 /**
- * Gets the width of the gadget.
- * @return The width of the gadget.
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
  */
-CanvasUI.Gadget.prototype.getWidth = function() { return this.rect.width; }
+CanvasUI.TabPage.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
+}
 
 /**
- * Gets the height of the gadget.
- * @return The height of the gadget.
+ * Draws the gadget's border.  Pages have no border; the panel draws the frame
+ * around them.
+ * @param gfx The Graphics object to draw with.
  */
-CanvasUI.Gadget.prototype.getHeight = function() { return this.rect.height; }
+CanvasUI.TabPage.prototype.drawBorder = function(gfx) { }
 
 /**
- * Gets a rectangle describing the available client space within the gadget
- * (which is defined as the gadget's rectangle minus its border).
- * @return A rectangle describing the client space within the gadget.
+ * Set the text shown in the page's tab.
+ * @param text The new text.
  */
-CanvasUI.Gadget.prototype.getClientRect = function() {
-	var x = this.borderSize.left;
-	var y = this.borderSize.top;
-	var width = this.getWidth() - this.borderSize.right - this.borderSize.left;
-	var height = this.getHeight() - this.borderSize.bottom - this.borderSize.top;
-	
-	return new CanvasUI.Rectangle(x, y, width, height);
+CanvasUI.TabPage.prototype.setText = function(text) {
+	this.text = text;
+
+	if (this.parent != null) this.parent.markRectsDamaged();
 }
 
 /**
- * Gets the gadget's rectangle, clipped to the rectangles of its ancestor
- * gadgets.  This is useful if a gadget has been moved partially or totally
- * out of the space available within its parent and only the visible portion
- * should be used (ie. in clipped drawing functions).
- * @return The gadget's rectangle clipped to its ancestors.
+ * Describes the page to screen readers.
+ * @return An object mapping ARIA attribute names to values.
  */
-CanvasUI.Gadget.prototype.getRectClippedToHierarchy = function() {
+CanvasUI.TabPage.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
 
-	var rect = new CanvasUI.Rectangle(this.getX(), this.getY(), this.getWidth(), this.getHeight());
+	attributes["role"] = "tabpanel";
+	if (attributes["aria-label"] == null) attributes["aria-label"] = this.text;
 
-	var parent = this.parent;
-	var gadget = this;
+	return attributes;
+}
 
-	while (parent) {
 
-		// Copy parent's properties into the rect
-		var parentRect = parent.rect;
+/** TabPanel Methods **/
 
-		rect.clipToIntersect(parentRect);
+CanvasUI.TabPanel.prototype = new CanvasUI.Gadget;
 
-		// Send up to parent
-		gadget = parent;
-		parent = parent.parent;
-	}
-	
-	return rect;
-}
+CanvasUI.TabPanel.prototype.constructor = CanvasUI.TabPanel;
 
 /**
- * Check if the gadget is visible or not.  A gadget is not visible if its parent
- * is not visible.
- * @return True if the gadget and its parents are visible.
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
  */
-CanvasUI.Gadget.prototype.isVisible = function() {
-	if (!this.visible) return false;
-	if (!this.parent) return this.visible;
-	return (this.parent.isVisible());
+CanvasUI.TabPanel.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
 }
 
 /**
- * Check if the gadget is enabled or not.  A gadget is not enabled if its parent
- * is not enabled.
- * @return True if the gadget and its parents are enabled.
+ * Draws the tab strip and the frame around the active page.
+ * @param gfx The Graphics object to draw with.
  */
-CanvasUI.Gadget.prototype.isEnabled = function() {
-	if (!this.enabled) return false;
-	if (!this.parent) return this.enabled;
-	return (this.parent.isEnabled());
-}
+CanvasUI.TabPanel.prototype.drawBorder = function(gfx) {
+	var pageRect = new CanvasUI.Rectangle(0, this.tabHeight - 1, this.rect.width, this.rect.height - this.tabHeight + 1);
+	gfx.drawBevelledRect(pageRect, this.shineColour, this.shadowColour);
 
-/**
- * Gets the gadget's canvas.  Recurses up the gadget tree until the top-level
- * gadget is found, which should return its reference to the current canvas.
- * @return The gadget's canvas.
- */
-CanvasUI.Gadget.prototype.getCanvas = function() {
-	if (this.parent) return this.parent.getCanvas();
-	return null;
-}
+	for (var i = this.firstVisibleTab; i < this.pages.length; ++i) {
+		var tabRect = this.getTabRect(i, gfx);
 
-/**
- * Gets the gadget's damaged rectangle manager.  Recurses up the gadget tree
- * until the top-level gadget is found, which should return its reference to the
- * current damaged rectangle manager.
- * @return The gadget's damaged rectangle manager.
- */
-CanvasUI.Gadget.prototype.getDamagedRectManager = function() {
-	if (this.parent) return this.parent.getDamagedRectManager();
-	return null;
-}
+		if (tabRect.x >= this.getTabStripWidth(gfx)) break;
 
-/**
- * Sends the visible portions of the gadget as damaged to the damaged rectangle
- * manager for redraw.  Should be called whenever the visible state of the
- * gadget should change.
- */
-CanvasUI.Gadget.prototype.markRectsDamaged = function() {
-	var damagedRects = this.getVisibleRects();
-	
-	var damagedRectManager = this.getDamagedRectManager();
+		var isActive = (i == this.activeIndex);
 
-	if (!damagedRectManager) return;
-	
-	for (var i in damagedRects) {
-		damagedRectManager.addDamagedRect(damagedRects[i]);
+		// Inactive tabs sit lower than the active tab and stop short of the
+		// page's frame
+		if (!isActive) {
+			tabRect.y += 2;
+			tabRect.height -= 3;
+		}
+
+		if (isActive) {
+			gfx.fillRect(tabRect, this.backColour);
+		} else {
+			gfx.fillGradientRect(tabRect, 0, tabRect.y, 0, tabRect.y + tabRect.height, this.getTheme().gadgetGradient);
+		}
+
+		// Draw the top, left and right edges; the active tab has no bottom
+		// edge so that it joins the page below
+		gfx.fillRect(new CanvasUI.Rectangle(tabRect.x, tabRect.y, tabRect.width, 1), this.shineColour);
+		gfx.fillRect(new CanvasUI.Rectangle(tabRect.x, tabRect.y, 1, tabRect.height), this.shineColour);
+		gfx.fillRect(new CanvasUI.Rectangle(tabRect.x + tabRect.width - 1, tabRect.y, 1, tabRect.height), this.shadowColour);
+
+		if (isActive) {
+			gfx.fillRect(new CanvasUI.Rectangle(tabRect.x + 1, tabRect.y + tabRect.height - 1, tabRect.width - 2, 1), this.backColour);
+		}
+
+		var textX = tabRect.x + this.tabPadding;
+		var textY = tabRect.y + gfx.getCentredBaseline(tabRect.height);
+		var text = this.pages[i].text;
+
+		if (this.isEnabled() && this.pages[i].isEnabled()) {
+			gfx.fillText(text, textX, textY, this.textColour);
+		} else {
+			gfx.fillText(text, textX + 1, textY + 1, this.shineColour);
+			gfx.fillText(text, textX, textY, this.darkColour);
+		}
+
+		// Underline the text of the active tab when the panel has focus
+		if (isActive && this.focused && this.focusedGadget == null) {
+			gfx.fillRect(new CanvasUI.Rectangle(textX, textY + 2, gfx.getTextWidth(text), 1), this.highlightColour);
+		}
+
+		// Draw the close button as a cross
+		if (this.pages[i].isClosable) {
+			var closeRect = this.getCloseButtonRect(i, gfx);
+
+			gfx.drawLine(closeRect.x, closeRect.y, closeRect.x + closeRect.width - 1, closeRect.y + closeRect.height - 1, this.darkColour);
+			gfx.drawLine(closeRect.x, closeRect.y + closeRect.height - 1, closeRect.x + closeRect.width - 1, closeRect.y, this.darkColour);
+		}
+	}
+
+	// Draw scroll buttons over the end of the strip if the tabs do not fit
+	if (this.isOverflowing(gfx)) {
+		for (var i = 0; i < 2; ++i) {
+			var buttonRect = this.getScrollButtonRect(i == 0 ? -1 : 1);
+			var canScroll = i == 0 ? this.firstVisibleTab > 0 : this.canScrollRight(gfx);
+			var arrowColour = canScroll && this.isEnabled() ? this.textColour : this.darkColour;
+
+			gfx.fillRect(buttonRect, this.backColour);
+			gfx.drawBevelledRect(buttonRect, this.shineColour, this.shadowColour);
+
+			var arrowX = buttonRect.x + Math.floor(buttonRect.width / 2);
+			var arrowY = buttonRect.y + Math.floor(buttonRect.height / 2) - 3;
+
+			for (var j = 0; j < 4; ++j) {
+				var lineX = i == 0 ? arrowX - 2 + j : arrowX + 1 - j;
+				gfx.fillRect(new CanvasUI.Rectangle(lineX, arrowY + j, 1, 7 - (j * 2)), arrowColour);
+			}
+		}
 	}
 }
 
 /**
- * Gets a list of the gadget's visible rectangles.  These are the portions of
- * the gadget not overlapped by other gadgets.  If the gadget is totally
- * obscured an empty array is returned.
- * @return An array of all visible regions of the gadget.
+ * Add a new page to the panel.  The first page added becomes the active page.
+ * @param text The text shown in the page's tab.
+ * @param isClosable True to show a close button in the page's tab.
+ * @return The new page.  Gadgets should be added to the page rather than to
+ * the panel.
  */
-CanvasUI.Gadget.prototype.getVisibleRects = function() {
+CanvasUI.TabPanel.prototype.addTab = function(text, isClosable) {
+	var rect = this.getClientRect();
+	var page = new CanvasUI.TabPage(text, 0, 0, rect.width, rect.height);
+	page.isClosable = isClosable ? true : false;
 
-	var rect = new CanvasUI.Rectangle(this.getX(), this.getY(), this.getWidth(), this.getHeight());
+	// Pages start hidden so that only the active page is drawn
+	page.visible = false;
 
-	var visibleRects = new Array();
-	visibleRects.push(rect);
-	
-	var gadget = this;
-	var parent = this.parent;
+	this.pages.push(page);
+	this.children.add(page);
 
-	while (parent && gadget) {
+	if (this.activeIndex < 0) {
+		this.selectTab(0);
+	} else {
+		this.markRectsDamaged();
+	}
 
-		// Locate gadget in the list; we add one to the index to
-		// ensure that we deal with the next gadget up in the z-order
-		var gadgetIndex = parseInt(parent.children.getGadgetIndex(gadget)) + 1;
+	return page;
+}
 
-		// Gadget should never be the bottom item on the screen
-		if (gadgetIndex > 0) {
+/**
+ * Remove a page from the panel.  If the page was active, the page that
+ * replaces it in the strip becomes active.
+ * @param index The index of the page to remove.
+ */
+CanvasUI.TabPanel.prototype.removeTab = function(index) {
+	if (index < 0 || index >= this.pages.length) return;
 
-			// Remove any overlapped rectangles
-			for (var i = gadgetIndex; i < parent.children.length(); i++) {
-				for (var j = 0; j < visibleRects.length; ++j) {
-					var remainingRects = new Array();
-					
-					var child = parent.children.at(i);
-					var childRect = new CanvasUI.Rectangle(child.getX(), child.getY(), child.getWidth(), child.getHeight());
-					
-					if (childRect.splitIntersection(visibleRects[j], remainingRects)) {
-						visibleRects.splice(j, 1);
-						j--;
-						
-						for (var k in remainingRects) {
-							visibleRects.unshift(remainingRects[k]);
-							j++;
-						}
-					}
-				}
-				
-				// Stop processing if there are no more visible rects
-				if (visibleRects.length == 0) break;
-			}
-		}
+	var page = this.pages[index];
+	var wasActive = (index == this.activeIndex);
 
-		if (visibleRects.length > 0) {
-			gadget = parent;
+	if (this.focusedGadget == page) this.setFocusedGadget(null);
 
-			if (parent) {
-				parent = parent.parent;
-			}
+	this.pages.splice(index, 1);
+	this.children.remove(page);
+
+	if (index < this.activeIndex) {
+		this.activeIndex--;
+	} else if (wasActive) {
+		this.activeIndex = -1;
+
+		if (this.pages.length > 0) {
+			this.selectTab(index < this.pages.length ? index : this.pages.length - 1);
 		} else {
-			return visibleRects;
+			this.fireEvent("tabChange", { index: -1 }, [this, -1]);
 		}
 	}
-	
-	return visibleRects;
+
+	if (this.firstVisibleTab >= this.pages.length) this.firstVisibleTab = Math.max(0, this.pages.length - 1);
+
+	this.markRectsDamaged();
 }
 
 /**
- * Sets the clicked gadget.
- * @param gadget The new clicked gadget.
+ * Remove a page from the panel in response to its close button, and raise
+ * the tab close event.  A beforeTabClose listener can keep the page open.
+ * @param index The index of the page to close.
  */
-CanvasUI.Gadget.prototype.setClickedGadget = function(gadget) {
-	if (this.parent != null) this.parent.setClickedGadget(gadget);
+CanvasUI.TabPanel.prototype.closeTab = function(index) {
+	var page = this.pages[index];
+
+	if (page == null) return;
+
+	if (!this.fireEvent("beforeTabClose", { page: page })) return;
+
+	this.removeTab(index);
+
+	this.fireEvent("tabClose", { page: page }, [this, page]);
 }
 
 /**
- * Gets the clicked gadget.
- * @return The clicked gadget.
+ * Gets the index of the specified page.
+ * @param page The page to find.
+ * @return The index of the page, or -1 if the page is not in the panel.
  */
-CanvasUI.Gadget.prototype.getClickedGadget = function() {
-	if (this.parent != null) return this.parent.getClickedGadget();
-	return null;
+CanvasUI.TabPanel.prototype.getTabIndex = function(page) {
+	for (var i = 0; i < this.pages.length; ++i) {
+		if (this.pages[i] == page) return i;
+	}
+
+	return -1;
 }
 
 /**
- * Closes the gadget.
+ * Gets the active page.
+ * @return The active page, or null if the panel has no pages.
  */
-CanvasUI.Gadget.prototype.close = function() {
-	if (this.parent != null) {
-		this.parent.children.remove(this);
-	}
+CanvasUI.TabPanel.prototype.getActivePage = function() {
+	if (this.activeIndex < 0) return null;
+	return this.pages[this.activeIndex];
 }
 
 /**
- * Draws the region of the gadget contained within the supplied rectangle.
- * @param rect The region to draw.
+ * Makes the specified page the active page, hiding the previously active
+ * page, and raises the tab change event.
+ * @param index The index of the page to show.
  */
-CanvasUI.Gadget.prototype.draw = function(rect) {
-	if (!this.isVisible()) return;
-	
-	var gfx = new CanvasUI.Graphics(this.getX(), this.getY(), this.getCanvas(), rect);
+CanvasUI.TabPanel.prototype.selectTab = function(index) {
+	if (index < 0 || index >= this.pages.length) return;
+	if (index == this.activeIndex) return;
 
-	this.drawBackground(gfx);
-	this.drawBorder(gfx);
+	var oldPage = this.getActivePage();
 
-	// Draw focus border around the gadget
-	if (this.focused && this.focusedGadget == null && this.isFocusRectVisible) {
+	if (oldPage != null) {
 
-		var focusRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+		// Move focus out of the page being hidden so that it stops receiving
+		// keypresses
+		if (this.focusedGadget == oldPage) this.setFocusedGadget(null);
 
-		gfx.drawRect(focusRect, "#00f");
+		oldPage.hide();
 	}
-	
-	/*
-	// Enable this to draw rects around all clipping regions
-	gfx.context.save();
-	gfx.context.beginPath();
-	gfx.context.rect(0, 0, gfx.canvas.width, gfx.canvas.height);
-	gfx.context.clip();
-	
-	gfx.context.strokeStyle = '#f00';
-	gfx.context.strokeRect(rect.x, rect.y, rect.width, rect.height);
-	gfx.context.closePath();
-	gfx.context.restore();
-	*/
+
+	this.activeIndex = index;
+	this.pages[index].show();
+
+	this.scrollToTab(index);
+	this.markRectDamaged(new CanvasUI.Rectangle(0, 0, this.rect.width, this.tabHeight));
+
+	this.fireEvent("tabChange", { index: index }, [this, index]);
 }
 
 /**
- * Draws the background.  This can be overridden in user-created gadgets so that
- * gadgets can contain custom visual content.
- * @param gfx A Graphics object to draw with.
+ * Activates the next or previous enabled page, wrapping around at either end
+ * of the strip.
+ * @param direction 1 to activate the next page, -1 to activate the previous.
  */
-CanvasUI.Gadget.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.fillRect(drawRect, this.backColour);
+CanvasUI.TabPanel.prototype.selectAdjacentTab = function(direction) {
+	var index = this.activeIndex;
+
+	for (var i = 0; i < this.pages.length; ++i) {
+		index = (index + direction + this.pages.length) % this.pages.length;
+
+		if (this.pages[index].enabled) {
+			this.selectTab(index);
+			return;
+		}
+	}
 }
 
 /**
- * Draws the border.  This can be overridden in user-created gadgets so that
- * gadgets can contain custom borders.
- * @param gfx A Graphics object to draw with.
+ * Gets the width of the specified tab.
+ * @param index The index of the tab.
+ * @param gfx A Graphics object to measure text with.
+ * @return The width of the tab.
  */
-CanvasUI.Gadget.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	if (this.clicked) {
-		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
+CanvasUI.TabPanel.prototype.getTabWidth = function(index, gfx) {
+	var width = gfx.getTextWidth(this.pages[index].text) + (this.tabPadding * 2);
+
+	if (this.pages[index].isClosable) width += this.closeButtonSize + (this.tabPadding / 2);
+
+	return Math.ceil(width);
+}
+
+/**
+ * Gets the rectangle occupied by the specified tab, relative to the gadget.
+ * Tabs before the first visible tab have negative co-ordinates.
+ * @param index The index of the tab.
+ * @param gfx A Graphics object to measure text with.  Optional.
+ * @return The tab's rectangle.
+ */
+CanvasUI.TabPanel.prototype.getTabRect = function(index, gfx) {
+	if (gfx == null) gfx = this.createGraphics(0, 0, null);
+
+	var x = 0;
+
+	if (index < this.firstVisibleTab) {
+		for (var i = index; i < this.firstVisibleTab; ++i) x -= this.getTabWidth(i, gfx);
 	} else {
-		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+		for (var i = this.firstVisibleTab; i < index; ++i) x += this.getTabWidth(i, gfx);
 	}
+
+	return new CanvasUI.Rectangle(x, 0, this.getTabWidth(index, gfx), this.tabHeight);
 }
 
 /**
- * Check if this gadget collides with the supplied rectangle.
- * @param rect The rectangle to check for collisions.
- * @return True if a collision has occurred.
+ * Gets the rectangle occupied by the close button of the specified tab,
+ * relative to the gadget.
+ * @param index The index of the tab.
+ * @param gfx A Graphics object to measure text with.  Optional.
+ * @return The close button's rectangle.
  */
-CanvasUI.Gadget.prototype.checkRectCollision = function(rect) {
-	if (!this.isVisible()) return false;
+CanvasUI.TabPanel.prototype.getCloseButtonRect = function(index, gfx) {
+	var tabRect = this.getTabRect(index, gfx);
 
-	var x = this.getX();
-	var y = this.getY();
-	
-	if (rect.x + rect.width <= x) return false;
-	if (rect.x >= x + this.rect.width) return false;
-	if (rect.y + rect.height <= y) return false;
-	if (rect.y >= y + this.rect.height) return false;
-	
-	return true;
+	var x = tabRect.x + tabRect.width - this.tabPadding - this.closeButtonSize;
+	var y = tabRect.y + Math.floor((tabRect.height - this.closeButtonSize) / 2) + 1;
+
+	return new CanvasUI.Rectangle(x, y, this.closeButtonSize, this.closeButtonSize);
 }
 
 /**
- * Check if the supplied co-ordinates fall within this gadget.
- * @param x The x co-ordinate of the point.
- * @param y The y co-ordinate of the point.
- * @return True if the point falls within this gadget.
+ * Check if the tabs are too wide to fit in the strip.
+ * @param gfx A Graphics object to measure text with.  Optional.
+ * @return True if the tabs overflow the strip.
  */
-CanvasUI.Gadget.prototype.checkPointCollision = function(x, y) {
-	if (!this.isVisible()) return false;
+CanvasUI.TabPanel.prototype.isOverflowing = function(gfx) {
+	if (gfx == null) gfx = this.createGraphics(0, 0, null);
 
-	var thisX = this.getX();
-	var thisY = this.getY();
-	
-	if (x < thisX) return false;
-	if (x >= thisX + this.rect.width) return false;
-	if (y < thisY) return false;
-	if (y >= thisY + this.rect.height) return false;
-	
-	return true;
+	var width = 0;
+
+	for (var i = 0; i < this.pages.length; ++i) width += this.getTabWidth(i, gfx);
+
+	return width > this.rect.width;
 }
 
 /**
- * Set the focused gadget to the supplied gadget.
- * @param gadget The gadget to give focus to.
+ * Gets the width of the strip available to tabs, which excludes the scroll
+ * buttons if they are visible.
+ * @param gfx A Graphics object to measure text with.  Optional.
+ * @return The available width.
  */
-CanvasUI.Gadget.prototype.setFocusedGadget = function(gadget) {
-	if (this.focusedGadget != gadget) {
-		if (this.focusedGadget != null) {
-			this.focusedGadget.blur();
-		}
-	}
-	
-	this.focusedGadget = gadget;
-	
-	this.focus();
+CanvasUI.TabPanel.prototype.getTabStripWidth = function(gfx) {
+	if (this.isOverflowing(gfx)) return this.rect.width - (this.scrollButtonWidth * 2);
+	return this.rect.width;
 }
 
 /**
- * Give the current gadget focus.
+ * Gets the rectangle occupied by a scroll button, relative to the gadget.
+ * @param direction -1 for the button that scrolls left, 1 for the button that
+ * scrolls right.
+ * @return The button's rectangle.
  */
-CanvasUI.Gadget.prototype.focus = function() {
-	var hadFocus = this.focused;
-	this.focused = true;
-	
-	if (this.parent != null) {
-		this.parent.setFocusedGadget(this);
-	}
-	
-	this.markRectsDamaged();
-	
-	if (!hadFocus) {
-		this.processFocus();
-		if (this.onFocus != null) this.onFocus(this);
-		return true;
-	}
-	
-	return false;
+CanvasUI.TabPanel.prototype.getScrollButtonRect = function(direction) {
+	var x = this.rect.width - (this.scrollButtonWidth * (direction < 0 ? 2 : 1));
+	return new CanvasUI.Rectangle(x, 0, this.scrollButtonWidth, this.tabHeight - 1);
 }
 
 /**
- * Called when focus is received.  Should be overridden in subclasses to allow
- * custom focus behaviour.
+ * Check if the strip can be scrolled to reveal tabs to the right.
+ * @param gfx A Graphics object to measure text with.  Optional.
+ * @return True if the last tab is not fully visible.
  */
-CanvasUI.Gadget.prototype.processFocus = function() { }
+CanvasUI.TabPanel.prototype.canScrollRight = function(gfx) {
+	if (this.pages.length == 0) return false;
+
+	var lastRect = this.getTabRect(this.pages.length - 1, gfx);
+
+	return lastRect.x + lastRect.width > this.getTabStripWidth(gfx);
+}
 
 /**
- * Remove focus from the current gadget.
+ * Scrolls the strip by one tab.
+ * @param direction -1 to scroll left, 1 to scroll right.
  */
-CanvasUI.Gadget.prototype.blur = function() {
-	var hadFocus = this.focused;
-	this.focused = false;
-	
-	if (this.focusedGadget != null) {
-		this.focusedGadget.blur();
-		this.focusedGadget = null;
+CanvasUI.TabPanel.prototype.scrollTabs = function(direction) {
+	if (direction < 0 && this.firstVisibleTab > 0) {
+		this.firstVisibleTab--;
+	} else if (direction > 0 && this.canScrollRight()) {
+		this.firstVisibleTab++;
+	} else {
+		return;
 	}
-	
-	if (hadFocus) {
-		this.markRectsDamaged();
 
-		if (this.onBlur != null) this.onBlur(this);
-		return true;
-	}
-	
-	return false;
+	this.markRectDamaged(new CanvasUI.Rectangle(0, 0, this.rect.width, this.tabHeight));
 }
 
 /**
- * Click the gadget at the specified co-ordinates.
- * @param x The x co-ordinate of the click.
- * @param y The y co-ordinate of the click.
- * @return True if the gadget received the click; false if not.  Clicks are only
- * received by visible gadgets if the click falls within them.  Clicks are
- * received by disabled gadgets but they are not processed.
+ * Scrolls the strip so that the specified tab is visible.
+ * @param index The index of the tab to scroll to.
  */
-CanvasUI.Gadget.prototype.click = function(x, y) {
+CanvasUI.TabPanel.prototype.scrollToTab = function(index) {
+	var gfx = this.createGraphics(0, 0, null);
 
-	if (!this.isVisible()) return false;
+	if (!this.isOverflowing(gfx)) {
+		this.firstVisibleTab = 0;
+		return;
+	}
 
-	// Exit if click falls outside boundarues
-	if (!this.checkPointCollision(x, y)) return false;
-	
-	// Check for collision with children
-	for (var i = this.children.length() - 1; i >= 0; --i) {
-		if (this.children.at(i).click(x, y)) {
-			return true;
-		}
+	if (index < this.firstVisibleTab) {
+		this.firstVisibleTab = index;
+		return;
 	}
-	
-	// Stop processing if the gadget is disabled
-	if (!this.isEnabled()) return true;
-	
-	// This gadget has been clicked
-	this.clicked = true;
-	this.setClickedGadget(this);
-	
-	this.setFocusedGadget(null);
-	
-	var rect = this.getClientRect();
 
-	this.processClick(x - this.getX() - rect.x, y - this.getY() - rect.y);
-	
-	this.markRectsDamaged();
-	
-	if (this.onClick != null) this.onClick(this, x - this.getX() - rect.x, y - this.getY() - rect.y);
-	
-	return true;
+	var stripWidth = this.getTabStripWidth(gfx);
+
+	while (this.firstVisibleTab < index) {
+		var tabRect = this.getTabRect(index, gfx);
+
+		if (tabRect.x + tabRect.width <= stripWidth) break;
+
+		this.firstVisibleTab++;
+	}
 }
 
 /**
- * Called when a click is received.  Should be overridden in subclasses to allow
- * custom click behaviour.
+ * Called when the panel is clicked.  Clicks in the tab strip switch pages,
+ * close tabs or scroll the strip.
  * @param x The x co-ordinate of the click.
  * @param y The y co-ordinate of the click.
  */
-CanvasUI.Gadget.prototype.processClick = function(x, y) { }
+CanvasUI.TabPanel.prototype.processClick = function(x, y) {
 
-/**
- * Release the gadget at the specified co-ordinates.
- * @param x The x co-ordinate of the release.
- * @param y The y co-ordinate of the release.
- * @return True if the gadget received the release; false if not.  Releases are
- * only received if the gadget is clicked.  If the click is received, the
- * gadget will fire a ReleaseEvent if the click falls within the bounds of the
- * gadget or a ReleaseOutsideEvent if the click falls outside the gadget.
- */
-CanvasUI.Gadget.prototype.release = function(x, y) {
+	// Convert the click to gadget co-ordinates so that it can be compared with
+	// the strip
+	var rect = this.getClientRect();
+	var gadgetX = x + rect.x;
+	var gadgetY = y + rect.y;
 
-	if (this.clicked) {
-		this.clicked = false;
-		this.dragged = false;
-		
-		if (this.getClickedGadget() == this) this.setClickedGadget(null);
-		
-		this.markRectsDamaged();
+	if (gadgetY >= this.tabHeight) return;
 
-		var rect = this.getClientRect();
-		
-		// Released within the gadget or outside?
-		if (this.checkPointCollision(x, y)) {
-			if (this.onRelease != null) this.onRelease(this, x - this.getX() - rect.x, y - this.getY() - rect.y);
-		} else {
-			if (this.onReleaseOutside != null) this.onReleaseOutside(this, x - this.getX() - rect.y, y - this.getY() - rect.y);
+	var gfx = this.createGraphics(0, 0, null);
+
+	if (this.isOverflowing(gfx)) {
+		if (this.getScrollButtonRect(-1).contains(gadgetX, gadgetY)) {
+			this.scrollTabs(-1);
+			return;
+		}
+
+		if (this.getScrollButtonRect(1).contains(gadgetX, gadgetY)) {
+			this.scrollTabs(1);
+			return;
 		}
-		
-		return true;
 	}
 
-	return false;
+	for (var i = this.firstVisibleTab; i < this.pages.length; ++i) {
+		if (!this.getTabRect(i, gfx).contains(gadgetX, gadgetY)) continue;
+		if (!this.pages[i].enabled) return;
+
+		if (this.pages[i].isClosable) {
+
+			// Make the close button easier to hit by including the padding
+			// around it
+			var closeRect = this.getCloseButtonRect(i, gfx);
+			closeRect.x -= 2;
+			closeRect.y -= 2;
+			closeRect.width += 4;
+			closeRect.height += 4;
+
+			if (closeRect.contains(gadgetX, gadgetY)) {
+				this.closeTab(i);
+				return;
+			}
+		}
+
+		this.selectTab(i);
+		return;
+	}
 }
 
 /**
- * Send a keypress message to the gadget.
- * @param charCode The charcode to send to the gadget.
- * @param isShiftHeld True if the shift key is held.
- * @param isAltHeld True if the alt key is held.
- * @param isAltGraphHeld True if the alt graph key is held.
- * @param isCtrlHeldTrue if the ctrl key is held.
+ * Called when the panel is resized.  Resizes the pages to fill the panel and
+ * keeps the active tab visible.
+ * @param width The new width of the gadget.
+ * @param height The new height of the gadget.
  */
-CanvasUI.Gadget.prototype.keyPress = function(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
-	if (this.focusedGadget != null) {
-		this.focusedGadget.keyPress(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
-	} else {
-		this.processKeyPress(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+CanvasUI.TabPanel.prototype.processResize = function(width, height) {
+	var rect = this.getClientRect();
+
+	for (var i = 0; i < this.pages.length; ++i) {
+		this.pages[i].changeDimensions(0, 0, rect.width, rect.height);
 	}
+
+	if (this.activeIndex > -1) this.scrollToTab(this.activeIndex);
 }
 
 /**
- * Called when a keydown is received.  Should be overridden in subclasses to
- * allow custom behaviour.
- * @param charCode The charcode to send to the gadget.
+ * Intercepts ctrl-tab, ctrl-shift-tab, ctrl-page up and ctrl-page down to
+ * switch pages, even when a gadget inside a page has focus.
+ * @param keyCode The keycode to send to the gadget.
  * @param isShiftHeld True if the shift key is held.
  * @param isAltHeld True if the alt key is held.
  * @param isAltGraphHeld True if the alt graph key is held.
  * @param isCtrlHeldTrue if the ctrl key is held.
  */
-CanvasUI.Gadget.prototype.processKeyPress = function(charCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) { }
+CanvasUI.TabPanel.prototype.keyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	if (isCtrlHeld && this.isEnabled()) {
+		switch (keyCode) {
+			case 9:
+				// Tab
+				this.selectAdjacentTab(isShiftHeld ? -1 : 1);
+				return;
+
+			case 33:
+				// Page up
+				this.selectAdjacentTab(-1);
+				return;
+
+			case 34:
+				// Page down
+				this.selectAdjacentTab(1);
+				return;
+		}
+	}
+
+	CanvasUI.Gadget.prototype.keyDown.call(this, keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+}
 
 /**
- * Send a keydown message to the gadget.
- * @param keyCode The keycode to send to the gadget.
+ * Switches pages with the left and right arrows when the panel itself has
+ * focus.
+ * @param keyCode The code of the key that was pressed.
  * @param isShiftHeld True if the shift key is held.
  * @param isAltHeld True if the alt key is held.
  * @param isAltGraphHeld True if the alt graph key is held.
  * @param isCtrlHeldTrue if the ctrl key is held.
  */
-CanvasUI.Gadget.prototype.keyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
-	if (this.focusedGadget != null) {
-		this.focusedGadget.keyDown(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
-	} else {
-		this.processKeyDown(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+CanvasUI.TabPanel.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	switch (keyCode) {
+		case 37:
+			// Left arrow
+			this.selectAdjacentTab(-1);
+			break;
+
+		case 39:
+			// Right arrow
+			this.selectAdjacentTab(1);
+			break;
 	}
 }
 
+
+/** TreeNode Methods **/
+
 /**
- * Called when a keydown is received.  Should be overridden in subclasses to
- * allow custom behaviour.
- * @param keyCode The keycode to send to the gadget.
- * @param isShiftHeld True if the shift key is held.
- * @param isAltHeld True if the alt key is held.
- * @param isAltGraphHeld True if the alt graph key is held.
- * @param isCtrlHeldTrue if the ctrl key is held.
+ * Add a new child node.
+ * @param text The node text.
+ * @param value The node value.
+ * @return The new node.
  */
-CanvasUI.Gadget.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) { }
+CanvasUI.TreeNode.prototype.addChild = function(text, value) {
+	var node = new CanvasUI.TreeNode(text, value);
+	node.parent = this;
+	node.setTree(this.tree);
+
+	this.children.push(node);
+
+	if (this.tree != null) this.tree.invalidate();
+
+	return node;
+}
 
 /**
- * Send a keyup message to the gadget.
- * @param keyCode The keycode to send to the gadget.
- * @param isShiftHeld True if the shift key is held.
- * @param isAltHeld True if the alt key is held.
- * @param isAltGraphHeld True if the alt graph key is held.
- * @param isCtrlHeldTrue if the ctrl key is held.
+ * Remove the specified child node and its descendants.
+ * @param node The node to remove.
  */
-CanvasUI.Gadget.prototype.keyUp = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
-	if (this.focusedGadget != null) {
-		this.focusedGadget.keyUp(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
-	} else {
-		this.processKeyUp(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
+CanvasUI.TreeNode.prototype.removeChild = function(node) {
+	for (var i = 0; i < this.children.length; ++i) {
+		if (this.children[i] == node) {
+			this.children.splice(i, 1);
+
+			var tree = this.tree;
+
+			node.parent = null;
+			node.setTree(null);
+
+			if (tree != null) tree.processNodeRemoved(node);
+			return;
+		}
 	}
 }
 
 /**
- * Called when a keyup is received.  Should be overridden in subclasses to
- * allow custom behaviour.
- * @param keyCode The keycode to send to the gadget.
- * @param isShiftHeld True if the shift key is held.
- * @param isAltHeld True if the alt key is held.
- * @param isAltGraphHeld True if the alt graph key is held.
- * @param isCtrlHeldTrue if the ctrl key is held.
+ * Remove all child nodes.
  */
-CanvasUI.Gadget.prototype.processKeyUp = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) { }
+CanvasUI.TreeNode.prototype.removeAllChildren = function() {
+	while (this.children.length > 0) this.removeChild(this.children[this.children.length - 1]);
+}
 
 /**
- * Called when the gadget is dragged.  Should be overridden in subclasses to
- * allow custom drag behaviour.
- * @param x The x co-ordinate of the drag.
- * @param y The y co-ordinate of the drag.
- * @param dx The x distance moved.
- * @param dy The y distance moved.
+ * Sets the tree that the node and its descendants belong to.
+ * @param tree The tree.
  */
-CanvasUI.Gadget.prototype.processDrag = function(x, y, dx, dy) { }
+CanvasUI.TreeNode.prototype.setTree = function(tree) {
+	this.tree = tree;
+
+	for (var i = 0; i < this.children.length; ++i) {
+		this.children[i].setTree(tree);
+	}
+}
 
 /**
- * Drag the gadget.
- * @param x The x co-ordinate of the drag.
- * @param y The y co-ordinate of the drag.
- * @param dx The x distance moved.
- * @param dy The y distance moved.
+ * Check if the node has, or may have, children.
+ * @return True if the node has children or has children that have not yet
+ * been loaded.
  */
-CanvasUI.Gadget.prototype.drag = function(x, y, dx, dy) {
-	
-	if (this.dragged) {
+CanvasUI.TreeNode.prototype.isExpandable = function() {
+	return this.children.length > 0 || (this.isLazy && !this.childrenLoaded);
+}
 
-		var rect = this.getClientRect();
+/**
+ * Check if the node is displayed, which is the case if all of its ancestors
+ * are expanded.
+ * @return True if the node is displayed.
+ */
+CanvasUI.TreeNode.prototype.isVisible = function() {
+	for (var node = this.parent; node != null; node = node.parent) {
+		if (!node.expanded) return false;
+	}
 
-		this.processDrag(x - this.getX() - rect.x, y - this.getY() - rect.y, dx, dy);
-		
-		if (this.onDrag != null) this.onDrag(this, x - this.getX() - rect.x, y - this.getY() - rect.y, dx, dy);
-			
-		return true;
+	return true;
+}
+
+/**
+ * Gets the depth of the node below the tree's root.
+ * @return The depth of the node.  Top-level nodes have a depth of 0.
+ */
+CanvasUI.TreeNode.prototype.getDepth = function() {
+	var depth = -1;
+
+	for (var node = this.parent; node != null; node = node.parent) depth++;
+
+	return depth;
+}
+
+/**
+ * Check if the node is the last of its parent's children.
+ * @return True if the node is the last child.
+ */
+CanvasUI.TreeNode.prototype.isLastChild = function() {
+	if (this.parent == null) return true;
+	return this.parent.children[this.parent.children.length - 1] == this;
+}
+
+
+/** TreeView Methods **/
+
+CanvasUI.TreeView.prototype = new CanvasUI.Gadget;
+
+CanvasUI.TreeView.prototype.constructor = CanvasUI.TreeView;
+
+/**
+ * Draws the gadget.
+ * @param gfx The Graphics object to draw with.
+ */
+CanvasUI.TreeView.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.fillRect(drawRect, this.backColour);
+
+	var rect = this.getViewRect();
+	gfx.fillRect(rect, this.shineColour);
+
+	var nodes = this.getVisibleNodes();
+	var guideColour = this.getTheme().guideColour;
+
+	// Only draw the nodes that fall within the view
+	var first = Math.floor(this.viewY / this.itemHeight);
+	var last = Math.min(nodes.length - 1, Math.floor((this.viewY + rect.height) / this.itemHeight));
+
+	for (var i = first; i <= last; ++i) {
+		var node = nodes[i];
+		var depth = node.getDepth();
+		var itemY = rect.y + (i * this.itemHeight) - this.viewY;
+		var midY = itemY + Math.floor(this.itemHeight / 2);
+		var nodeX = rect.x + (depth * this.indentSize);
+		var midX = nodeX + Math.floor(this.indentSize / 2);
+
+		// Draw guides for ancestors that have further children below this
+		// node
+		var ancestor = node.parent;
+
+		for (var level = depth - 1; level >= 0; --level) {
+			if (!ancestor.isLastChild()) {
+				var guideX = rect.x + (level * this.indentSize) + Math.floor(this.indentSize / 2);
+				gfx.fillRect(new CanvasUI.Rectangle(guideX, itemY, 1, this.itemHeight), guideColour);
+			}
+
+			ancestor = ancestor.parent;
+		}
+
+		// Draw the guide connecting the node to its parent and siblings
+		gfx.fillRect(new CanvasUI.Rectangle(midX, itemY, 1, node.isLastChild() ? midY - itemY : this.itemHeight), guideColour);
+		gfx.fillRect(new CanvasUI.Rectangle(midX, midY, nodeX + this.indentSize - midX, 1), guideColour);
+
+		// Draw the expander box
+		if (node.isExpandable()) {
+			var boxRect = new CanvasUI.Rectangle(midX - 4, midY - 4, 9, 9);
+
+			gfx.fillRect(boxRect, this.shineColour);
+			gfx.drawRect(boxRect, this.darkColour);
+			gfx.fillRect(new CanvasUI.Rectangle(midX - 2, midY, 5, 1), this.shadowColour);
+
+			if (!node.expanded) gfx.fillRect(new CanvasUI.Rectangle(midX, midY - 2, 1, 5), this.shadowColour);
+		}
+
+		var textX = nodeX + this.indentSize + 2;
+		var textRect = new CanvasUI.Rectangle(textX - 2, itemY, gfx.getTextWidth(node.text) + 4, this.itemHeight);
+
+		if (node.selected) gfx.fillRect(textRect, this.highlightColour);
+		if (node == this.currentNode && this.focused) gfx.drawRect(textRect, this.darkColour);
+
+		var textY = itemY + gfx.getCentredBaseline(this.itemHeight);
+
+		if (this.isEnabled()) {
+			gfx.fillText(node.text, textX, textY, this.textColour);
+		} else {
+			gfx.fillText(node.text, textX + 1, textY + 1, this.shineColour);
+			gfx.fillText(node.text, textX, textY, this.darkColour);
+		}
 	}
-	
-	return false;
 }
 
 /**
- * Gets the minimum x co-ordinate available to a child gadget.
- * @return The minimum x co-ordinte available to a child gadget.
+ * Draws the gadget's border.
+ * @param gfx The Graphics object to draw with.
  */
-CanvasUI.Gadget.prototype.getMinChildX = function() {
-	return this.borderSize.left;
+CanvasUI.TreeView.prototype.drawBorder = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
 }
 
 /**
- * Gets the minimum y co-ordinate available to a child gadget.
- * @return The minimum y co-ordinte available to a child gadget.
+ * Add a new top-level node to the tree.
+ * @param text The node text.
+ * @param value The node value.
+ * @return The new node.
  */
-CanvasUI.Gadget.prototype.getMinChildY = function() {
-	return this.borderSize.top;
+CanvasUI.TreeView.prototype.addNode = function(text, value) {
+	return this.root.addChild(text, value);
 }
 
 /**
- * Gets the maximum x co-ordinate available to a child gadget.
- * @return The maximum x co-ordinte available to a child gadget.
+ * Gets the nodes in expanded branches of the tree, in the order in which they
+ * are displayed.
+ * @return An array of visible nodes.
  */
-CanvasUI.Gadget.prototype.getMaxChildX = function() {
-	return this.rect.width - this.borderSize.right - 1;
+CanvasUI.TreeView.prototype.getVisibleNodes = function() {
+	if (this.visibleNodes == null) {
+		this.visibleNodes = new Array();
+
+		var nodes = this.visibleNodes;
+
+		var addChildren = function(node) {
+			for (var i = 0; i < node.children.length; ++i) {
+				nodes.push(node.children[i]);
+
+				if (node.children[i].expanded) addChildren(node.children[i]);
+			}
+		}
+
+		addChildren(this.root);
+	}
+
+	return this.visibleNodes;
 }
 
 /**
- * Gets the maximum y co-ordinate available to a child gadget.
- * @return The maximum y co-ordinte available to a child gadget.
+ * Gets the index of the specified node within the list of visible nodes.
+ * @param node The node to find.
+ * @return The index of the node, or -1 if the node is not visible.
  */
-CanvasUI.Gadget.prototype.getMaxChildY = function() {
-	return this.rect.height - this.borderSize.bottom - 1;
+CanvasUI.TreeView.prototype.getVisibleIndex = function(node) {
+	var nodes = this.getVisibleNodes();
+
+	for (var i = 0; i < nodes.length; ++i) {
+		if (nodes[i] == node) return i;
+	}
+
+	return -1;
 }
 
 /**
- * Moves the gadget to the specified co-ordinates.
- * @param x The new x co-ordinate of the gadget, relative to its parent.
- * @param y The new y co-ordinate of the gadget, relative to its parent.
+ * Called when the structure of the tree changes.  Rebuilds the list of
+ * visible nodes and updates the scrollbar.
  */
-CanvasUI.Gadget.prototype.moveTo = function(x, y) {
+CanvasUI.TreeView.prototype.invalidate = function() {
+	this.visibleNodes = null;
 
-	this.hide();
+	// Changes may leave the view scrolled past the end of the tree
+	this.setScrollPosition(this.viewY);
+}
 
-	// Prevent moving outside parent
-	if (this.parent != null && !this.parent.permeable) {
-		var minX = this.parent.getMinChildX();
-		var maxX = this.parent.getMaxChildX() - this.rect.width + 1;
-		var minY = this.parent.getMinChildY();
-		var maxY = this.parent.getMaxChildY() - this.rect.height + 1;
-		
-		if (x < minX) x = minX;
-		if (x > maxX) x = maxX;
-		if (y < minY) y = minY;
-		if (y > maxY) y = maxY;
+/**
+ * Called when a node is removed from the tree.  Forgets the node if it, or
+ * one of its descendants, was the current node.
+ * @param node The removed node.
+ */
+CanvasUI.TreeView.prototype.processNodeRemoved = function(node) {
+	var hadSelection = false;
+
+	var forget = function(tree, removed) {
+		if (removed == tree.currentNode) tree.currentNode = null;
+		if (removed.selected) hadSelection = true;
+
+		for (var i = 0; i < removed.children.length; ++i) forget(tree, removed.children[i]);
 	}
-	
-	this.rect.x = x;
-	this.rect.y = y;
-		
-	this.show();
+
+	forget(this, node);
+
+	this.invalidate();
+
+	if (hadSelection) this.fireEvent("valueChange");
 }
 
 /**
- * Hides the gadget if it is visible.
+ * Expands the specified node so that its children are displayed.  Lazy nodes
+ * are populated by the load children event the first time they are expanded.
+ * @param node The node to expand.
  */
-CanvasUI.Gadget.prototype.hide = function() {
-	if (this.visible) {
-		this.visible = false;
+CanvasUI.TreeView.prototype.expandNode = function(node) {
+	if (node.expanded || !node.isExpandable()) return;
 
-		this.markRectsDamaged();
+	if (node.isLazy && !node.childrenLoaded) {
+		node.childrenLoaded = true;
+
+		this.fireEvent("loadChildren", { node: node }, [this, node]);
 	}
+
+	node.expanded = true;
+
+	this.invalidate();
+
+	this.fireEvent("expand", { node: node }, [this, node]);
 }
 
 /**
- * Shows the gadget if it is hidden.
+ * Collapses the specified node so that its children are hidden.  If the
+ * current node is hidden, the collapsed node becomes the current node (and,
+ * in single selection mode, the selected node).
+ * @param node The node to collapse.
  */
-CanvasUI.Gadget.prototype.show = function() {
-	if (!this.visible) {
-		this.visible = true;
-		
-		this.markRectsDamaged();
+CanvasUI.TreeView.prototype.collapseNode = function(node) {
+	if (!node.expanded) return;
+
+	node.expanded = false;
+
+	this.invalidate();
+
+	for (var parent = this.currentNode != null ? this.currentNode.parent : null; parent != null; parent = parent.parent) {
+		if (parent == node) {
+			if (this.allowMultipleSelections) {
+				this.currentNode = node;
+			} else {
+				this.setSelectedNode(node);
+			}
+
+			break;
+		}
 	}
+
+	this.fireEvent("collapse", { node: node }, [this, node]);
 }
 
 /**
- * Raises the gadget to the top of its parent's stack.
+ * Expands the specified node if it is collapsed, or collapses it if it is
+ * expanded.
+ * @param node The node to toggle.
  */
-CanvasUI.Gadget.prototype.raiseToTop = function() {
-	if (this.parent != null) {
-		this.hide();
-		this.parent.raiseChildToTop(this);
-		this.show();
+CanvasUI.TreeView.prototype.toggleNode = function(node) {
+	if (node.expanded) {
+		this.collapseNode(node);
+	} else {
+		this.expandNode(node);
 	}
 }
 
 /**
- * Raises the child to the top of the child stack.
- * @param child The child to raise to the top of the stack.
+ * Gets the first selected node.
+ * @return The first selected node in display order, or null if no visible
+ * nodes are selected.
  */
-CanvasUI.Gadget.prototype.raiseChildToTop = function(child) {
-	this.children.raiseToTop(child);
+CanvasUI.TreeView.prototype.getSelectedNode = function() {
+	var nodes = this.getSelectedNodes();
+	return nodes.length > 0 ? nodes[0] : null;
 }
 
 /**
- * Lowers the gadget to the bottom of its parent's stack.
+ * Gets all selected nodes, including those in collapsed branches.
+ * @return An array of selected nodes.
  */
-CanvasUI.Gadget.prototype.lowerToBottom = function() {
-	if (this.parent != null) {
-		this.hide();
-		this.parent.lowerChildToBottom(this);
-		this.show();
+CanvasUI.TreeView.prototype.getSelectedNodes = function() {
+	var selected = new Array();
+
+	var addSelected = function(node) {
+		for (var i = 0; i < node.children.length; ++i) {
+			if (node.children[i].selected) selected.push(node.children[i]);
+
+			addSelected(node.children[i]);
+		}
 	}
+
+	addSelected(this.root);
+
+	return selected;
 }
 
 /**
- * Lowers the child to the bottom of the child stack.
- * @param child The child to lower to the bottom of the stack.
+ * Selects the specified node and deselects all other nodes.
+ * @param node The node to select, or null to deselect all nodes.
  */
-CanvasUI.Gadget.prototype.lowerChildToBottom = function(child) {
-	this.children.lowerToBottom(child);
-}
+CanvasUI.TreeView.prototype.setSelectedNode = function(node) {
+	var changed = false;
+	var selected = this.getSelectedNodes();
+
+	for (var i = 0; i < selected.length; ++i) {
+		if (selected[i] != node) {
+			selected[i].selected = false;
+			changed = true;
+		}
+	}
 
+	if (node != null) {
+		if (!node.selected) changed = true;
 
-/** Gui Methods **/
+		node.selected = true;
+		this.currentNode = node;
+	}
 
-CanvasUI.Gui.prototype = new CanvasUI.Gadget;
+	this.markRectsDamaged();
 
-CanvasUI.Gui.prototype.constructor = CanvasUI.Gui;
+	if (changed) this.fireEvent("valueChange");
+}
 
 /**
- * Overrides the base method with an empty method to ensure that no border is
- * drawn.
+ * Toggles the selected state of the specified node without affecting other
+ * nodes.  Only has an effect if multiple selections are allowed.
+ * @param node The node to toggle.
  */
-CanvasUI.Gui.prototype.drawBorder = function(gfx) { }
+CanvasUI.TreeView.prototype.toggleNodeSelection = function(node) {
+	if (!this.allowMultipleSelections) return;
+
+	node.selected = !node.selected;
+	this.currentNode = node;
+
+	this.markRectsDamaged();
+
+	this.fireEvent("valueChange");
+}
 
 /**
- * Gets the gadget's canvas.
- * @return The gadget's canvas.
+ * Makes the specified node the current node and scrolls it into view.  In
+ * single selection mode the node is also selected.
+ * @param node The node to move to.
  */
-CanvasUI.Gui.prototype.getCanvas = function() { return this.canvas; }
+CanvasUI.TreeView.prototype.moveToNode = function(node) {
+	if (node == null) return;
+
+	if (this.allowMultipleSelections) {
+		this.currentNode = node;
+		this.markRectsDamaged();
+	} else {
+		this.setSelectedNode(node);
+	}
+
+	this.scrollToNode(node);
+}
 
 /**
- * Sets the clicked gadget.
- * @param gadget The clicked gadget.
+ * Gets the region of the client rect in which nodes are displayed.  This
+ * excludes the scrollbar if it is visible.
+ * @return The region in which nodes are displayed.
  */
-CanvasUI.Gui.prototype.setClickedGadget = function(gadget) {
-	this.clickedGadget = gadget;
+CanvasUI.TreeView.prototype.getViewRect = function() {
+	var rect = this.getClientRect();
+
+	if (this.scrollbar.visible) rect.width -= this.scrollbar.rect.width;
+
+	return rect;
 }
 
 /**
- * Gets the clicked gadget.
- * @return The clicked gadget.
+ * Positions the scrollbar along the right-hand edge of the client rect.
  */
-CanvasUI.Gui.prototype.getClickedGadget = function() { return this.clickedGadget; }
+CanvasUI.TreeView.prototype.layoutScrollbar = function() {
+	var rect = this.getClientRect();
+
+	this.scrollbar.rect.x = rect.width - this.scrollbarWidth;
+	this.scrollbar.rect.y = 0;
+	this.scrollbar.rect.width = this.scrollbarWidth;
+	this.scrollbar.rect.height = rect.height;
+}
 
 /**
- * Gets the damaged rectangle manager.
- * @return The damaged rectangle manager.
+ * Shows the scrollbar if the visible nodes do not fit within the tree (or
+ * hides it if they do) and updates it to match the current scroll position.
  */
-CanvasUI.Gui.prototype.getDamagedRectManager = function() {
-	return this.damagedRectManager;
+CanvasUI.TreeView.prototype.updateScrollbar = function() {
+	var rect = this.getClientRect();
+	var pageSize = rect.height / this.itemHeight;
+	var count = this.getVisibleNodes().length;
+
+	if (count > pageSize) {
+		this.scrollbar.maximumValue = count;
+		this.scrollbar.minimumValue = 0;
+		this.scrollbar.pageSize = pageSize;
+
+		// Set the value directly; calling setValue() would fire the
+		// scrollbar's value change event and scroll the tree again
+		this.scrollbar.value = this.viewY / this.itemHeight;
+		this.scrollbar.markRectsDamaged();
+
+		this.scrollbar.show();
+	} else {
+		this.scrollbar.hide();
+	}
 }
 
 /**
- * Sets up a timer that ensures that the gui redraws any changes that
- * occur outside of click/release/drag events.
+ * Keeps the scrollbar against the right-hand edge when the tree is resized.
+ * @param width The new width of the tree.
+ * @param height The new height of the tree.
  */
-CanvasUI.Gui.prototype.startTimer = function() {
-	var obj = this;
-	this.timer = setTimeout(function() { obj.damagedRectManager.redraw(), 10 });
+CanvasUI.TreeView.prototype.processResize = function(width, height) {
+	this.layoutScrollbar();
+	this.setScrollPosition(this.viewY);
 }
 
+/**
+ * Scrolls the tree so that the specified y co-ordinate is at the top of the
+ * view.  The scrollbar is updated to match.
+ * @param position The y co-ordinate to scroll to.
+ */
+CanvasUI.TreeView.prototype.setScrollPosition = function(position) {
+	this.viewY = position;
 
-/** Label Methods **/
+	var rect = this.getClientRect();
+	var maxY = (this.itemHeight * this.getVisibleNodes().length) - rect.height;
 
-CanvasUI.Label.prototype = new CanvasUI.Gadget;
+	if (this.viewY > maxY) this.viewY = maxY;
+	if (this.viewY < 0) this.viewY = 0;
 
-CanvasUI.Label.prototype.constructor = CanvasUI.Label;
+	this.updateScrollbar();
+	this.markRectsDamaged();
+}
 
 /**
- * Draws the gadget.
- * @param gfx The Graphics object to draw with.
+ * Scrolls the tree with the mouse wheel.
+ * @param deltaX The distance scrolled horizontally, in pixels.
+ * @param deltaY The distance scrolled vertically, in pixels.
+ * @return True if the visible nodes overflow the tree and can be scrolled.
  */
-CanvasUI.Label.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	var textX = (this.rect.width - gfx.getTextWidth(this.text)) / 2;
-	var textY = parseInt(gfx.fontSize) + ((this.rect.height - parseInt(gfx.fontSize)) / 2);
-	
-	var colour1 = '#eee';
-	var colour2 = '#ddd';
-	var colour3 = '#ccc';
-	
-	// Draw top
-	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height,
-		[
-			{ offset: 0, colour: colour1 },
-			{ offset: 0.1, colour: colour2 },
-			{ offset: 1, colour: colour3 }
-		]
-	);
+CanvasUI.TreeView.prototype.processWheel = function(deltaX, deltaY) {
+	if (deltaY == 0) return false;
+	if (this.itemHeight * this.getVisibleNodes().length <= this.getClientRect().height) return false;
 
-	if (this.isEnabled()) {
-		gfx.fillText(this.text, textX, textY, this.shadowColour);
-	} else {
-		gfx.fillText(this.text, textX + 1, textY + 1, this.shadowColour);
-		gfx.fillText(this.text, textX, textY, this.shineColour);
-	}
+	this.setScrollPosition(this.viewY + deltaY);
+	return true;
 }
 
 /**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
+ * Scrolls the tree so that the specified node is visible.  Collapsed
+ * ancestors of the node are not expanded.
+ * @param node The node to show.
  */
-CanvasUI.Label.prototype.drawBorder = function(gfx) { }
+CanvasUI.TreeView.prototype.scrollToNode = function(node) {
+	var index = this.getVisibleIndex(node);
+
+	if (index < 0) return;
+
+	var rect = this.getClientRect();
+	var nodeY = index * this.itemHeight;
+
+	if (nodeY < this.viewY) {
+		this.setScrollPosition(nodeY);
+	} else if (nodeY + this.itemHeight > this.viewY + rect.height) {
+		this.setScrollPosition(nodeY + this.itemHeight - rect.height);
+	}
+}
 
 /**
- * Changes the label text.
- * @param text The new label text.
+ * Called when the tree is clicked.  Clicking a node's expander box expands or
+ * collapses it; clicking elsewhere on the node selects it.  If multiple
+ * selections are allowed the clicked node's selected state is toggled.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
  */
-CanvasUI.Label.prototype.setText = function(text) {
-	this.text = text;
-	this.markRectsDamaged();
+CanvasUI.TreeView.prototype.processClick = function(x, y) {
+	var nodes = this.getVisibleNodes();
+	var index = Math.floor((y + this.viewY) / this.itemHeight);
+
+	// Ignore clicks below the last node
+	if (index < 0 || index >= nodes.length) return;
+
+	var node = nodes[index];
+	var nodeX = node.getDepth() * this.indentSize;
+
+	// Clicks in the indent that contains the expander box toggle the node
+	if (x >= nodeX && x < nodeX + this.indentSize && node.isExpandable()) {
+		this.currentNode = node;
+		this.toggleNode(node);
+		return;
+	}
+
+	if (x < nodeX) return;
+
+	if (this.allowMultipleSelections) {
+		this.toggleNodeSelection(node);
+	} else {
+		this.setSelectedNode(node);
+	}
 }
 
+/**
+ * Processes keyboard navigation.  The up and down arrows move between nodes,
+ * right expands the current node or moves to its first child, left collapses
+ * the current node or moves to its parent, and enter expands or collapses the
+ * current node.  Space toggles the selection when multiple selections are
+ * allowed.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.TreeView.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	var nodes = this.getVisibleNodes();
+
+	if (nodes.length == 0) return;
 
-/** Button Methods **/
+	var node = this.currentNode;
+	var index = node != null ? this.getVisibleIndex(node) : -1;
+	var pageSize = Math.max(1, Math.floor(this.getClientRect().height / this.itemHeight));
 
-CanvasUI.Button.prototype = new CanvasUI.Gadget;
+	switch (keyCode) {
+		case 38:
+			// Up arrow
+			this.moveToNode(nodes[Math.max(0, index - 1)]);
+			break;
 
-CanvasUI.Button.prototype.constructor = CanvasUI.Button;
+		case 40:
+			// Down arrow
+			this.moveToNode(nodes[Math.min(nodes.length - 1, index + 1)]);
+			break;
+
+		case 33:
+			// Page up
+			this.moveToNode(nodes[Math.max(0, index - pageSize)]);
+			break;
+
+		case 34:
+			// Page down
+			this.moveToNode(nodes[Math.min(nodes.length - 1, index + pageSize)]);
+			break;
+
+		case 36:
+			// Home
+			this.moveToNode(nodes[0]);
+			break;
+
+		case 35:
+			// End
+			this.moveToNode(nodes[nodes.length - 1]);
+			break;
+
+		case 39:
+			// Right arrow
+			if (node == null) {
+				this.moveToNode(nodes[0]);
+			} else if (node.isExpandable() && !node.expanded) {
+				this.expandNode(node);
+			} else if (node.expanded && node.children.length > 0) {
+				this.moveToNode(node.children[0]);
+			}
+			break;
+
+		case 37:
+			// Left arrow
+			if (node == null) {
+				this.moveToNode(nodes[0]);
+			} else if (node.expanded) {
+				this.collapseNode(node);
+			} else if (node.parent != this.root) {
+				this.moveToNode(node.parent);
+			}
+			break;
+
+		case 13:
+			// Enter
+			if (node != null) this.toggleNode(node);
+			break;
+
+		case 32:
+			// Space
+			if (node != null) {
+				if (this.allowMultipleSelections) {
+					this.toggleNodeSelection(node);
+				} else {
+					this.setSelectedNode(node);
+				}
+			}
+			break;
+	}
+}
 
 /**
- * Draws the gadget.
- * @param gfx The Graphics object to draw with.
+ * Describes the tree to screen readers.
+ * @return An object mapping ARIA attribute names to values.
  */
-CanvasUI.Button.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	var textX = (this.rect.width - gfx.getTextWidth(this.text)) / 2;
-	var textY = parseInt(gfx.fontSize) + ((this.rect.height - parseInt(gfx.fontSize)) / 2);
-	
-	if (this.clicked) {
-		gfx.fillRect(drawRect, this.darkColour);
-		gfx.fillText(this.text, textX, textY, this.shineColour);
-	} else {
+CanvasUI.TreeView.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
 
-		var colour1 = '#eee';
-		var colour2 = '#ddd';
-		var colour3 = '#ccc';
-		
-		// Draw top
-		gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height,
-			[
-				{ offset: 0, colour: colour1 },
-				{ offset: 0.1, colour: colour2 },
-				{ offset: 1, colour: colour3 }
-			]
-		);
+	attributes["role"] = "tree";
+	attributes["aria-multiselectable"] = this.allowMultipleSelections ? "true" : null;
 
-		if (this.isEnabled()) {
-			gfx.fillText(this.text, textX, textY, this.shadowColour);
-		} else {
-			gfx.fillText(this.text, textX + 1, textY + 1, this.shadowColour);
-			gfx.fillText(this.text, textX, textY, this.shineColour);
-		}
+	return attributes;
+}
+
+/**
+ * Describes the nodes in expanded branches to screen readers.
+ * @return An array of items.
+ */
+CanvasUI.TreeView.prototype.getAccessibleItems = function() {
+	var nodes = this.getVisibleNodes();
+	var items = new Array();
+
+	for (var i = 0; i < nodes.length; ++i) {
+		items.push({
+			attributes: {
+				"role": "treeitem",
+				"aria-level": nodes[i].getDepth() + 1,
+				"aria-expanded": nodes[i].isExpandable() ? (nodes[i].expanded ? "true" : "false") : null,
+				"aria-selected": nodes[i].selected ? "true" : "false"
+			},
+			text: nodes[i].text
+		});
 	}
+
+	return items;
 }
 
 /**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
+ * Selects a node as though it had been clicked.
+ * @param index The index of the node within the visible nodes.
  */
-CanvasUI.Button.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	if (this.clicked) {
-		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
+CanvasUI.TreeView.prototype.activateItem = function(index) {
+	var node = this.getVisibleNodes()[index];
+
+	if (node == null) return;
+
+	if (this.allowMultipleSelections) {
+		this.toggleNodeSelection(node);
 	} else {
-		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+		this.setSelectedNode(node);
 	}
 }
 
 
-/** WindowCloseButton Methods **/
+/** Slider Methods **/
 
-CanvasUI.WindowCloseButton.prototype = new CanvasUI.Gadget;
+CanvasUI.Slider.prototype = new CanvasUI.Gadget;
 
-CanvasUI.WindowCloseButton.prototype.constructor = CanvasUI.WindowCloseButton;
+CanvasUI.Slider.prototype.constructor = CanvasUI.Slider;
 
 /**
  * Draws the gadget.
  * @param gfx The Graphics object to draw with.
  */
-CanvasUI.WindowCloseButton.prototype.drawBackground = function(gfx) {
+CanvasUI.Slider.prototype.drawBackground = function(gfx) {
 	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	// Choose colour based on focus
-	var colour1 = this.parent.focused ? '#ddf' : '#eef';
-	var colour2 = this.parent.focused ? '#99f' : '#bbf';
-	var colour3 = this.parent.focused ? '#88f' : '#aaf';
-	
-	// Draw top
-	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height,
-		[
-			{ offset: 0, colour: colour1 },
-			{ offset: 0.2, colour: colour2 },
-			{ offset: 1, colour: colour3 }
-		]
-	);
-	
-	var quarterWidth = (this.rect.height / 4);
-	var quarterHeight = (this.rect.height / 4);
-	var glyphWidth = (this.rect.width / 2);
-	var glyphHeight = (this.rect.height / 2);
-	gfx.drawRect(new CanvasUI.Rectangle(quarterWidth, quarterHeight, glyphWidth, glyphHeight), this.shadowColour);
-}
+	gfx.fillRect(drawRect, this.backColour);
 
-/**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
- */
-CanvasUI.WindowCloseButton.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	if (this.clicked) {
-		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
-	} else {
-		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+	var trackLength = this.getTrackLength();
+	var centre = Math.floor(this.thumbThickness / 2);
+	var ascent = gfx.getFontAscent();
+	var fontHeight = gfx.getFontHeight();
+	var isEnabled = this.isEnabled();
+
+	// Draw the track as a sunken groove
+	var trackRect = this.isVertical ? new CanvasUI.Rectangle(centre - 2, 0, 4, trackLength) : new CanvasUI.Rectangle(0, centre - 2, trackLength, 4);
+	gfx.drawBevelledRect(trackRect, this.shadowColour, this.shineColour);
+
+	// Draw ticks and their labels beneath (or to the right of) the track
+	if (this.tickInterval > 0 && this.maximumValue > this.minimumValue) {
+		for (var value = this.minimumValue; value <= this.maximumValue; value += this.tickInterval) {
+			var position = this.getPositionOfValue(value);
+			var tickRect = this.isVertical ? new CanvasUI.Rectangle(this.thumbThickness + 1, position, this.tickLength, 1) : new CanvasUI.Rectangle(position, this.thumbThickness + 1, 1, this.tickLength);
+
+			gfx.fillRect(tickRect, this.darkColour);
+
+			if (this.showTickLabels) {
+				var label = this.formatValue(value);
+				var labelX;
+				var labelY;
+
+				if (this.isVertical) {
+					labelX = this.thumbThickness + this.tickLength + 3;
+					labelY = position + Math.floor(ascent - (fontHeight / 2));
+				} else {
+					labelX = position - Math.floor(gfx.getTextWidth(label) / 2);
+					labelY = this.thumbThickness + this.tickLength + 2 + ascent;
+				}
+
+				if (isEnabled) {
+					gfx.fillText(label, labelX, labelY, this.textColour);
+				} else {
+					gfx.fillText(label, labelX + 1, labelY + 1, this.shineColour);
+					gfx.fillText(label, labelX, labelY, this.darkColour);
+				}
+			}
+		}
 	}
-}
 
+	// Draw the value after the end of the track
+	if (this.showValue) {
+		var text = this.formatValue(this.value);
+		var textX = this.isVertical ? 0 : trackLength + 4;
+		var textY = this.isVertical ? trackLength + ascent + 2 : centre + Math.floor(ascent - (fontHeight / 2));
 
-/** WindowDepthButton Methods **/
+		if (isEnabled) {
+			gfx.fillText(text, textX, textY, this.textColour);
+		} else {
+			gfx.fillText(text, textX + 1, textY + 1, this.shineColour);
+			gfx.fillText(text, textX, textY, this.darkColour);
+		}
+	}
 
-CanvasUI.WindowDepthButton.prototype = new CanvasUI.Gadget;
+	// Draw thumb
+	var thumbRect = this.getThumbRect();
 
-CanvasUI.WindowDepthButton.prototype.constructor = CanvasUI.WindowDepthButton;
+	if (isEnabled) {
+		var theme = this.getTheme();
+		var gradient = this.dragged ? theme.gadgetActiveGradient : theme.gadgetGradient;
+
+		gfx.fillGradientRect(thumbRect, thumbRect.x, thumbRect.y, thumbRect.x, thumbRect.y + thumbRect.height, gradient);
+	} else {
+		gfx.fillRect(thumbRect, this.backColour);
+	}
+
+	gfx.drawBevelledRect(thumbRect, this.shineColour, isEnabled ? this.shadowColour : this.darkColour);
+}
 
 /**
- * Draws the gadget.
+ * Draws the gadget's border.  Sliders have no border.
  * @param gfx The Graphics object to draw with.
  */
-CanvasUI.WindowDepthButton.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	// Choose colour based on focus
-	var colour1 = this.parent.focused ? '#ddf' : '#eef';
-	var colour2 = this.parent.focused ? '#99f' : '#bbf';
-	var colour3 = this.parent.focused ? '#88f' : '#aaf';
-	
-	// Draw top
-	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height,
-		[
-			{ offset: 0, colour: colour1 },
-			{ offset: 0.2, colour: colour2 },
-			{ offset: 1, colour: colour3 }
-		]
-	);
+CanvasUI.Slider.prototype.drawBorder = function(gfx) { }
 
-	var quarterWidth = (this.rect.height / 4);
-	var quarterHeight = (this.rect.height / 4);
-	var glyphWidth = (this.rect.width / 3);
-	var glyphHeight = (this.rect.height / 3);
-	gfx.drawRect(new CanvasUI.Rectangle(quarterWidth, quarterHeight, glyphWidth, glyphHeight), this.shadowColour);
-	gfx.drawRect(new CanvasUI.Rectangle(quarterWidth * 1.5, quarterHeight * 1.5, glyphWidth, glyphHeight), this.shadowColour);
+/**
+ * Formats a value for display in the tick labels and value readout.  Can be
+ * overridden to add units or change the precision.
+ * @param value The value to format.
+ * @return The formatted value.
+ */
+CanvasUI.Slider.prototype.formatValue = function(value) {
+	return String(value);
 }
 
 /**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
+ * Gets the length of the track, which excludes the space reserved for the
+ * value readout.
+ * @return The length of the track.
  */
-CanvasUI.WindowDepthButton.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	if (this.clicked) {
-		gfx.drawBevelledRect(drawRect, this.shadowColour, this.shineColour);
-	} else {
-		gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
-	}
-}
+CanvasUI.Slider.prototype.getTrackLength = function() {
+	var length = this.isVertical ? this.rect.height : this.rect.width;
 
+	if (this.showValue) length -= this.valueReadoutSize;
 
-/** Window Methods **/
+	return length;
+}
 
-CanvasUI.Window.prototype = new CanvasUI.Gadget;
+/**
+ * Gets the position along the track that represents the specified value.
+ * @param value The value.
+ * @return The distance of the value from the start of the track.
+ */
+CanvasUI.Slider.prototype.getPositionOfValue = function(value) {
+	var range = this.maximumValue - this.minimumValue;
+	var span = this.getTrackLength() - this.thumbSize;
+	var ratio = range > 0 ? (value - this.minimumValue) / range : 0;
 
-CanvasUI.Window.prototype.constructor = CanvasUI.Window;
+	// Vertical sliders have their minimum value at the bottom
+	if (this.isVertical) ratio = 1 - ratio;
+
+	return Math.round((this.thumbSize / 2) + (ratio * span));
+}
 
 /**
- * Draws the gadget.
- * @param gfx The Graphics object to draw with.
+ * Gets the value represented by the specified position along the track.
+ * @param position The distance from the start of the track.
+ * @return The value at the position, before snapping and clamping.
  */
-CanvasUI.Window.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.fillGradientRect(drawRect, 0, 0, this.rect.width, this.rect.height, [{ offset: 0, colour: '#000' }, { offset: 1, colour: '#555' }]);
+CanvasUI.Slider.prototype.getValueAtPosition = function(position) {
+	var span = this.getTrackLength() - this.thumbSize;
+
+	if (span <= 0) return this.minimumValue;
+
+	var ratio = (position - (this.thumbSize / 2)) / span;
+
+	if (this.isVertical) ratio = 1 - ratio;
+
+	return this.minimumValue + (ratio * (this.maximumValue - this.minimumValue));
 }
 
 /**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
+ * Gets the rect that describes the location and dimensions of the thumb.
+ * @return The thumb rect.
  */
-CanvasUI.Window.prototype.drawBorder = function(gfx) {
-	var borderRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	var titleRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.borderSize.top);
-	var leftRect = new CanvasUI.Rectangle(0, this.borderSize.top - 1, this.borderSize.left, this.rect.height - this.borderSize.top + 1);
-	var rightRect = new CanvasUI.Rectangle(this.rect.width - this.borderSize.right, this.borderSize.top - 1, this.borderSize.right, this.rect.height - this.borderSize.top + 1);
-	var bottomRect = new CanvasUI.Rectangle(0, this.rect.height - this.borderSize.bottom, this.rect.width, this.borderSize.bottom);
-	
-	// Choose border colour based on focus
-	var colour1 = this.focused ? '#ddf' : '#eef';
-	var colour2 = this.focused ? '#99f' : '#bbf';
-	var colour3 = this.focused ? '#88f' : '#aaf';
-	
-	// Draw left
-	gfx.fillRect(leftRect, colour3);
-	
-	// Draw right
-	gfx.fillRect(rightRect, colour3);
-	
-	// Draw top
-	gfx.fillGradientRect(titleRect, 0, 0, 0, titleRect.height,
-		[
-			{ offset: 0, colour: colour1 },
-			{ offset: 0.2, colour: colour2 },
-			{ offset: 1, colour: colour3 }
-		]
-	);
-
-	var fontHeight = parseInt(gfx.fontSize);
-	var titleX = ((this.getWidth() - this.children.at(0).getWidth() - this.children.at(1).getWidth() - gfx.getTextWidth(this.title)) / 2) + this.children.at(0).getWidth();
-	var titleY = this.borderSize.top - (fontHeight / 2);
-	gfx.fillText(this.title, titleX, titleY, this.shadowColour);
-	
-	// Draw bottom
-	gfx.fillRect(bottomRect, colour3);
-	
-	// Draw inner bevelled rect
-	var innerRect = this.getClientRect();
-	innerRect.y--;
-	innerRect.x--;
-	innerRect.height++;
-	innerRect.width++;
-	gfx.drawBevelledRect(innerRect, this.shadowColour, this.shineColour);
-	
-	// Draw outline
-	gfx.drawBevelledRect(borderRect, this.shineColour, this.shadowColour);
+CanvasUI.Slider.prototype.getThumbRect = function() {
+	var position = this.getPositionOfValue(this.value) - Math.floor(this.thumbSize / 2);
+
+	if (this.isVertical) return new CanvasUI.Rectangle(0, position, this.thumbThickness, this.thumbSize);
+	return new CanvasUI.Rectangle(position, 0, this.thumbSize, this.thumbThickness);
 }
 
 /**
- * Called when the window is clicked.  Raises the window to the top of the stack
- * and starts the dragging system if the top border is clicked.
- * @param x The x co-ordinate of the click.
- * @param y The y co-ordinate of the click.
+ * Sets the value represented by the thumb.  The value is snapped to the
+ * nearest step and clamped to the slider's range.
+ * @param value The new value for the thumb.
  */
-CanvasUI.Window.prototype.processClick = function(x, y) {
+CanvasUI.Slider.prototype.setValue = function(value) {
+	var oldValue = this.value;
 
-	// Only drag if click within title bar
-	if (this.draggable) {
-		if (y < 0) {
-			this.dragged = true;
-		}
+	this.value = value;
+
+	if (this.step > 0) {
+		this.value = this.minimumValue + (Math.round((this.value - this.minimumValue) / this.step) * this.step);
+
+		// Remove rounding errors introduced by fractional steps
+		this.value = parseFloat(this.value.toPrecision(12));
+	}
+
+	this.value = CanvasUI.Gadget.clampValue(this.value, this.minimumValue, this.maximumValue);
+
+	if (oldValue != this.value) {
+		this.markRectsDamaged();
+		this.fireEvent("valueChange");
 	}
 }
 
 /**
- * Jumps the window to the front when it receives focus.
+ * Called when the slider is clicked.  Clicking the thumb starts the dragging
+ * system; clicking the track moves the thumb one page towards the click.
+ * @param x The x co-ordinate of the click.
+ * @param y The y co-ordinate of the click.
  */
-CanvasUI.Window.prototype.processFocus = function() {
+CanvasUI.Slider.prototype.processClick = function(x, y) {
+	var thumbRect = this.getThumbRect();
+	var position = this.isVertical ? y : x;
+	var thumbPosition = this.getPositionOfValue(this.value);
 
-	// Ensure gadget is topmost in collection
-	this.raiseToTop();
+	if (thumbRect.contains(x, y)) {
+		this.dragOffset = position - thumbPosition;
+		this.dragged = true;
+	} else if (position > thumbPosition) {
+		this.setValue(this.value + (this.isVertical ? -this.pageStep : this.pageStep));
+	} else {
+		this.setValue(this.value + (this.isVertical ? this.pageStep : -this.pageStep));
+	}
 }
 
 /**
- * Called when the window is dragged.  Moves the window to the new co-ordinates.
+ * Called when the slider is dragged.  Moves the thumb so that it stays under
+ * the cursor.
  * @param x The x co-ordinate of the drag.
  * @param y The y co-ordinate of the drag.
  * @param dx The x distance moved.
  * @param dy The y distance moved.
  */
-CanvasUI.Window.prototype.processDrag = function(x, y, dx, dy) {
-	this.moveTo(this.rect.x + dx, this.rect.y + dy);
+CanvasUI.Slider.prototype.processDrag = function(x, y, dx, dy) {
+	var position = (this.isVertical ? y : x) - this.dragOffset;
+
+	this.setValue(this.getValueAtPosition(position));
 }
 
+/**
+ * Moves the thumb if the cursor keys, page up, page down, home or end are
+ * pressed.  Up and right increase the value; down and left decrease it.
+ * @param keyCode The code of the key that was pressed.
+ * @param isShiftHeld True if the shift key is held.
+ * @param isAltHeld True if the alt key is held.
+ * @param isAltGraphHeld True if the alt graph key is held.
+ * @param isCtrlHeldTrue if the ctrl key is held.
+ */
+CanvasUI.Slider.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
 
-/** ListBox Methods **/
+	// Sliders without snapping move by a hundredth of their range
+	var step = this.step > 0 ? this.step : (this.maximumValue - this.minimumValue) / 100;
 
-CanvasUI.ListBox.prototype = new CanvasUI.Gadget;
+	switch (keyCode) {
+		case 38:
+		case 39:
+			// Up and right arrows
+			this.setValue(this.value + step);
+			break;
 
-CanvasUI.ListBox.prototype.constructor = CanvasUI.ListBox;
+		case 37:
+		case 40:
+			// Left and down arrows
+			this.setValue(this.value - step);
+			break;
 
-/**
- * Draws the gadget.
- * @param gfx The Graphics object to draw with.
- */
-CanvasUI.ListBox.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.fillRect(drawRect, this.backColour);
-	
-	var rect = this.getClientRect();
-	var itemY = rect.y;
-	var itemX = rect.x;
-	var itemWidth = rect.width;
-	var itemHeight = this.itemHeight;
-	
-	for (var i = 0; i < this.options.length; ++i) {
-		var itemRect = new CanvasUI.Rectangle(rect.x, itemY - this.viewY, itemWidth, itemHeight);
-		
-		if (!this.options[i].selected) {
-			gfx.fillRect(itemRect, this.shineColour);
-		} else {
-			gfx.fillRect(itemRect, this.highlightColour);
-		}
-		
-		gfx.fillText(this.options[i].text, rect.x, rect.y + itemRect.y + this.itemHeight - (this.itemHeight / 2), this.shadowColour);
-		
-		itemY += this.itemHeight;
-	}
-}
+		case 33:
+			// Page up
+			this.setValue(this.value + this.pageStep);
+			break;
 
-/**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
- */
-CanvasUI.ListBox.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
-}
+		case 34:
+			// Page down
+			this.setValue(this.value - this.pageStep);
+			break;
 
-/**
- * Add a new option to the listbox.
- * @param text The option text.
- * @param value The option value.
- */
-CanvasUI.ListBox.prototype.addOption = function(text, value) {
-	this.options.push(new CanvasUI.ListBoxOption(text, value));
+		case 36:
+			// Home
+			this.setValue(this.minimumValue);
+			break;
+
+		case 35:
+			// End
+			this.setValue(this.maximumValue);
+			break;
+	}
 }
 
 /**
- * Called when the listbox is clicked.  Selects the clicked option and starts
- * the dragging system.
- * @param x The x co-ordinate of the click.
- * @param y The y co-ordinate of the click.
+ * Describes the slider to screen readers.
+ * @return An object mapping ARIA attribute names to values.
  */
-CanvasUI.ListBox.prototype.processClick = function(x, y) {
-	this.dragged = true;
-	
-	// Get the click y co-ord relative to the gadget
-	var localY = y + this.viewY;
+CanvasUI.Slider.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Gadget.prototype.getAccessibleAttributes.call(this);
 
-	// Get the index of the clicked item
-	var index = Math.floor(localY / this.itemHeight);
-	
-	// Toggle the item's selected state
-	this.options[index].selected = !this.options[index].selected;
-	
-	if (this.onValueChange != null) this.onValueChange(this);
-}
+	attributes["role"] = "slider";
+	attributes["aria-orientation"] = this.isVertical ? "vertical" : "horizontal";
+	attributes["aria-valuemin"] = this.minimumValue;
+	attributes["aria-valuemax"] = this.maximumValue;
+	attributes["aria-valuenow"] = this.value;
+	attributes["aria-valuetext"] = this.formatValue(this.value);
 
-CanvasUI.ListBox.prototype.setScrollPosition = function(position) {
-	this.viewY = position;
-	if (this.viewY < 0) this.viewY = 0;
-	
-	var rect = this.getClientRect();
-	var maxY = (this.itemHeight * this.options.length) - rect.height;
-	
-	if (this.viewY > maxY) this.viewY = maxY;
-	this.markRectsDamaged();
+	return attributes;
 }
 
 
-/** Vertical scrollbar Methods **/
+/** MessageBox Methods **/
 
-CanvasUI.ScrollbarVertical.prototype = new CanvasUI.Gadget;
+CanvasUI.MessageBox.prototype = new CanvasUI.Window;
 
-CanvasUI.ScrollbarVertical.prototype.constructor = CanvasUI.ScrollbarVertical;
+CanvasUI.MessageBox.prototype.constructor = CanvasUI.MessageBox;
 
 /**
  * Draws the gadget.
  * @param gfx The Graphics object to draw with.
  */
-CanvasUI.ScrollbarVertical.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.fillRect(drawRect, this.backColour);
-	
-	var colour = this.dragged ? '#888' : '#555';
+CanvasUI.MessageBox.prototype.drawBackground = function(gfx) {
+	CanvasUI.Window.prototype.drawBackground.call(this, gfx);
+
+	if (this.lines == null) return;
 
-	var gripRect = this.getGripRect();
 	var rect = this.getClientRect();
-	gripRect.x += rect.x;
-	gripRect.y += rect.y;
 
-	gfx.fillRect(gripRect, colour);
+	for (var i = 0; i < this.lines.length; ++i) {
+		var textY = rect.y + this.padding + (i * this.lineHeight) + gfx.getCentredBaseline(this.lineHeight);
+		gfx.fillText(this.lines[i], rect.x + this.padding, textY, this.getTheme().windowTextColour);
+	}
 }
 
 /**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
+ * Add a button to the row of buttons along the bottom of the message box.
+ * Pressing the button closes the message box and resolves its promise with
+ * the specified result.  The first button added is the default button.
+ * @param text The button text.
+ * @param result The value that the promise resolves with when the button is
+ * pressed.
+ * @return The new button.
  */
-CanvasUI.ScrollbarVertical.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+CanvasUI.MessageBox.prototype.addButton = function(text, result) {
+	var button = new CanvasUI.Button(text, 0, 0, this.buttonWidth, this.buttonHeight);
+	var messageBox = this;
+
+	// Define release event for button
+	button.onRelease = function(gadget, x, y) {
+		messageBox.finish(result);
+	}
+
+	this.buttons.push(button);
+	this.children.add(button);
+
+	if (this.defaultButton == null) this.defaultButton = button;
+
+	return button;
 }
 
 /**
- * Called when the scrollbar is clicked.  Starts the dragging system.
- * @param x The x co-ordinate of the click.
- * @param y The y co-ordinate of the click.
+ * Add a text box between the message and the buttons.
+ * @param text The initial text of the text box.
+ * @return The new text box.
  */
-CanvasUI.ScrollbarVertical.prototype.processClick = function(x, y) {
-
-	var gripRect = this.getGripRect();
+CanvasUI.MessageBox.prototype.addTextBox = function(text) {
+	this.textBox = new CanvasUI.TextBox(text, 0, 0, 0, 20);
+	this.children.add(this.textBox);
 
-	if (gripRect.contains(x, y)) {
-		this.dragged = true;
-	} else {
+	return this.textBox;
+}
 
-		if (y > gripRect.y) {
-			this.setValue(this.value + this.pageSize);
-		} else if (y < gripRect.y) {
-			this.setValue(this.value - this.pageSize);
+/**
+ * Wraps the message to fit the specified width.  Explicit line breaks in the
+ * message are preserved.
+ * @param width The width available to the message.
+ * @return An array of lines.
+ */
+CanvasUI.MessageBox.prototype.wrapMessage = function(width) {
+	var gfx = this.createGraphics(0, 0, null);
+	var lines = new Array();
+	var paragraphs = String(this.message).split("\n");
+
+	for (var i = 0; i < paragraphs.length; ++i) {
+		var words = paragraphs[i].split(" ");
+		var line = "";
+
+		for (var j = 0; j < words.length; ++j) {
+			var candidate = line.length > 0 ? line + " " + words[j] : words[j];
+
+			if (line.length > 0 && gfx.getTextWidth(candidate) > width) {
+				lines.push(line);
+				line = words[j];
+			} else {
+				line = candidate;
+			}
 		}
+
+		lines.push(line);
 	}
+
+	return lines;
 }
 
 /**
- * Called when the scrollbar is dragged.  Moves the grip.
- * @param x The x co-ordinate of the drag.
- * @param y The y co-ordinate of the drag.
- * @param dx The x distance moved.
- * @param dy The y distance moved.
+ * Opens the message box as a modal window in the centre of the GUI.
+ * @param gui The GUI to open the message box in.
+ * @return A promise that resolves with the result of the button that closed
+ * the message box, or with the cancel result if the message box was closed
+ * with its close button or the escape key.
  */
-CanvasUI.ScrollbarVertical.prototype.processDrag = function(x, y, dx, dy) {
+CanvasUI.MessageBox.prototype.open = function(gui) {
+	var messageBox = this;
+
+	// Lay out the contents.  The message box needs to be in the GUI before
+	// its text can be measured.
+	gui.children.add(this);
 
 	var rect = this.getClientRect();
+	var contentWidth = rect.width - (this.padding * 2);
 
-	var range = this.maximumValue - this.minimumValue;
-	var ratio = range / rect.height;
+	this.lines = this.wrapMessage(contentWidth);
 
-	this.setValue(this.value + (dy * ratio));
-}
+	var y = this.padding + (this.lines.length * this.lineHeight) + this.padding;
 
-/**
- * Gets the rect that describes the location and dimensions of the grip.
- * @return The grip rect.
- */
-CanvasUI.ScrollbarVertical.prototype.getGripRect = function() {
-	var rect = this.getClientRect();
+	if (this.textBox != null) {
+		this.textBox.changeDimensions(this.padding, y, contentWidth, this.textBox.rect.height);
+		y += this.textBox.rect.height + this.padding;
+	}
 
-	// If pageSize is greater than 1 we aren't dealing with a slider - we have
-	// a scrollbar.  In that situation, we need to subtract the page size from
-	// the maximum value to cater for the fact that we only scroll when the
-	// page is full.
-	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
-	var range = this.maximumValue - this.minimumValue;
-	var ratio = range / rect.height;
-	var gripSize = this.pageSize / ratio;
-	var span = rect.height - gripSize;
+	// Right-align the buttons
+	var x = rect.width - this.padding;
 
-	if (span == 0) return new CanvasUI.Rectangle(0, 0, rect.width, rect.height);
-	if (this.value == this.minimumValue) return new CanvasUI.Rectangle(0, 0, rect.width, gripSize);
+	for (var i = this.buttons.length - 1; i >= 0; --i) {
+		x -= this.buttonWidth;
+		this.buttons[i].changeDimensions(x, y, this.buttonWidth, this.buttonHeight);
+		x -= this.padding / 2;
+	}
+
+	y += this.buttonHeight + this.padding;
+
+	var width = this.rect.width;
+	var height = y + this.borderSize.top + this.borderSize.bottom;
+
+	this.changeDimensions(Math.floor((gui.rect.width - width) / 2), Math.floor((gui.rect.height - height) / 2), width, height);
+
+	this.promise = new Promise(function(resolve) {
+		messageBox.resolve = resolve;
+	});
 
-	range = maxValue - this.minimumValue;
+	gui.openModal(this);
 
-	var value = ((this.value - this.minimumValue) * span + range) / range;
+	// Give the text box focus once the message box has it, and redraw again to
+	// show the text box's cursor
+	if (this.textBox != null) {
+		this.textBox.focus();
+		gui.damagedRectManager.redraw();
+	}
 
-	return new CanvasUI.Rectangle(0, value, rect.width, gripSize);
+	return this.promise;
 }
 
 /**
- * Sets the value represented by the grip.
- * @param value The new value for the grip
+ * Closes the message box and resolves its promise.
+ * @param result The value to resolve the promise with.
  */
-CanvasUI.ScrollbarVertical.prototype.setValue = function(value) {
-	var oldValue = this.value;
+CanvasUI.MessageBox.prototype.finish = function(result) {
+	var resolve = this.resolve;
 
-	this.value = value;
+	if (resolve == null) return;
 
-	// If pageSize is greater than 1 we aren't dealing with a slider - we have
-	// a scrollbar.  In that situation, we need to subtract the page size from
-	// the maximum value to cater for the fact that we only scroll when the
-	// page is full.
-	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+	this.resolve = null;
 
-	if (this.value > maxValue) this.value = maxValue;
-	if (this.value < this.minimumValue) this.value = this.minimumValue;
+	var gui = this.getGui();
+	if (gui != null) gui.closeModal(this);
 
-	if (oldValue != this.value) {
-		this.markRectsDamaged();
-		if (this.onValueChange != null) this.onValueChange(this);
+	resolve(result);
+
+	// Callbacks added to the promise run outside of the GUI's event handlers,
+	// so redraw once they have made their changes
+	if (gui != null) {
+		this.promise.then(function() {
+			gui.damagedRectManager.redraw();
+		});
 	}
 }
 
 /**
- * Moves the grip if the cursor keys are pressed.
- * @param keyCode The code of the key that was pressed.
+ * Closes the message box, resolving its promise with the cancel result.
+ */
+CanvasUI.MessageBox.prototype.close = function() {
+	this.finish(this.cancelResult);
+}
+
+/**
+ * Intercepts enter and escape, which press the default button and close the
+ * message box respectively, even when a gadget inside the message box has
+ * focus.  Enter presses the focused button instead if there is one.
+ * @param keyCode The keycode to send to the gadget.
  * @param isShiftHeld True if the shift key is held.
  * @param isAltHeld True if the alt key is held.
  * @param isAltGraphHeld True if the alt graph key is held.
  * @param isCtrlHeldTrue if the ctrl key is held.
  */
-CanvasUI.ScrollbarVertical.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
-	if (keyCode == 40) {
-		this.setValue(this.value + 1);
-	} else if (keyCode == 38) {
-		this.setValue(this.value - 1);
+CanvasUI.MessageBox.prototype.keyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+	switch (keyCode) {
+		case 13:
+			// Enter
+			if (this.focusedGadget instanceof CanvasUI.Button) break;
+
+			if (this.defaultButton != null) this.defaultButton.activate();
+			return;
+
+		case 27:
+			// Escape
+			this.close();
+			return;
 	}
+
+	CanvasUI.Window.prototype.keyDown.call(this, keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld);
 }
 
+/**
+ * Opens a message box that displays a message and an OK button.
+ * @param gui The GUI to open the message box in.
+ * @param message The message to display.
+ * @param title The window title.  Optional.
+ * @return A promise that resolves with true when the message box is closed.
+ */
+CanvasUI.MessageBox.alert = function(gui, message, title) {
+	var messageBox = new CanvasUI.MessageBox(title ? title : "Alert", message);
+	messageBox.addButton("OK", true);
+	messageBox.cancelResult = true;
 
-/** Horizontal scrollbar Methods **/
+	return messageBox.open(gui);
+}
 
-CanvasUI.ScrollbarHorizontal.prototype = new CanvasUI.Gadget;
+/**
+ * Opens a message box that asks a question with OK and Cancel buttons.
+ * @param gui The GUI to open the message box in.
+ * @param message The question to display.
+ * @param title The window title.  Optional.
+ * @return A promise that resolves with true if OK is pressed, or false if the
+ * message box is cancelled.
+ */
+CanvasUI.MessageBox.confirm = function(gui, message, title) {
+	var messageBox = new CanvasUI.MessageBox(title ? title : "Confirm", message);
+	messageBox.addButton("OK", true);
+	messageBox.addButton("Cancel", false);
+	messageBox.cancelResult = false;
 
-CanvasUI.ScrollbarHorizontal.prototype.constructor = CanvasUI.ScrollbarHorizontal;
+	return messageBox.open(gui);
+}
 
 /**
- * Draws the gadget.
- * @param gfx The Graphics object to draw with.
+ * Opens a message box that asks for a line of text.
+ * @param gui The GUI to open the message box in.
+ * @param message The question to display.
+ * @param text The initial text of the text box.  Optional.
+ * @param title The window title.  Optional.
+ * @return A promise that resolves with the entered text if OK is pressed, or
+ * null if the message box is cancelled.
  */
-CanvasUI.ScrollbarHorizontal.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.fillRect(drawRect, this.backColour);
-	
-	var colour = this.dragged ? '#888' : '#555';
+CanvasUI.MessageBox.prompt = function(gui, message, text, title) {
+	var messageBox = new CanvasUI.MessageBox(title ? title : "Prompt", message);
+	var textBox = messageBox.addTextBox(text ? text : "");
+	var okButton = messageBox.addButton("OK");
+	messageBox.addButton("Cancel", null);
+
+	// Resolve with the text box's contents at the time OK is pressed
+	okButton.onRelease = function(gadget, x, y) {
+		messageBox.finish(textBox.text);
+	}
 
-	var gripRect = this.getGripRect();
-	var rect = this.getClientRect();
-	gripRect.x += rect.x;
-	gripRect.y += rect.y;
+	return messageBox.open(gui);
+}
 
-	gfx.fillRect(gripRect, colour);
+/**
+ * Describes the message box to screen readers.
+ * @return An object mapping ARIA attribute names to values.
+ */
+CanvasUI.MessageBox.prototype.getAccessibleAttributes = function() {
+	var attributes = CanvasUI.Window.prototype.getAccessibleAttributes.call(this);
+
+	attributes["role"] = "alertdialog";
+	attributes["aria-modal"] = "true";
+
+	return attributes;
 }
 
 /**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
+ * Gets the text that screen readers read as the gadget's content.
+ * @return The message.
  */
-CanvasUI.ScrollbarHorizontal.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+CanvasUI.MessageBox.prototype.getAccessibleText = function() {
+	return this.message;
 }
 
+
+/** BoxLayout Methods **/
+
 /**
- * Called when the scrollbar is clicked.  Starts the dragging system.
- * @param x The x co-ordinate of the click.
- * @param y The y co-ordinate of the click.
+ * Positions the children of a gadget.
+ * @param gadget The gadget that owns the layout.
+ * @param children The children to position.
+ * @param rect The region available to the children.
  */
-CanvasUI.ScrollbarHorizontal.prototype.processClick = function(x, y) {
+CanvasUI.BoxLayout.prototype.layoutChildren = function(gadget, children, rect) {
+	if (children.length == 0) return;
 
-	var gripRect = this.getGripRect();
+	var length = (this.isVertical ? rect.height : rect.width) - (this.padding * 2) - (this.spacing * (children.length - 1));
+	var breadth = (this.isVertical ? rect.width : rect.height) - (this.padding * 2);
 
-	if (gripRect.contains(x, y)) {
-		this.dragged = true;
-	} else {
+	// Stretched children share whatever space the other children leave
+	var totalStretch = 0;
 
-		if (x > gripRect.x) {
-			this.setValue(this.value + this.pageSize);
-		} else if (x < gripRect.x) {
-			this.setValue(this.value - this.pageSize);
+	for (var i = 0; i < children.length; ++i) {
+		var stretch = this.getStretch(children[i]);
+
+		if (stretch > 0) {
+			totalStretch += stretch;
+		} else {
+			length -= this.isVertical ? children[i].rect.height : children[i].rect.width;
 		}
 	}
-}
 
-/**
- * Called when the scrollbar is dragged.  Moves the grip.
- * @param x The x co-ordinate of the drag.
- * @param y The y co-ordinate of the drag.
- * @param dx The x distance moved.
- * @param dy The y distance moved.
- */
-CanvasUI.ScrollbarHorizontal.prototype.processDrag = function(x, y, dx, dy) {
+	var remaining = Math.max(0, length);
+	var position = this.padding;
 
-	var rect = this.getClientRect();
+	for (var i = 0; i < children.length; ++i) {
+		var child = children[i];
+		var stretch = this.getStretch(child);
+		var size;
 
-	var range = this.maximumValue - this.minimumValue;
-	var ratio = range / rect.width;
+		if (stretch > 0) {
 
-	this.setValue(this.value + (dx * ratio));
+			// Round each share and give the last stretched child the
+			// remainder so that the children exactly fill the space
+			size = Math.floor(Math.max(0, length) * stretch / totalStretch);
+			totalStretch -= stretch;
+
+			if (totalStretch == 0) size = remaining;
+
+			remaining -= size;
+		} else {
+			size = this.isVertical ? child.rect.height : child.rect.width;
+		}
+
+		if (this.isVertical) {
+			child.changeDimensions(rect.x + this.padding, rect.y + position, breadth, size);
+		} else {
+			child.changeDimensions(rect.x + position, rect.y + this.padding, size, breadth);
+		}
+
+		position += size + this.spacing;
+	}
 }
 
 /**
- * Gets the rect that describes the location and dimensions of the grip.
- * @return The grip rect.
+ * Gets the stretch factor of a child.
+ * @param child The child.
+ * @return The child's stretch factor, or 0 if the child keeps its size.
  */
-CanvasUI.ScrollbarHorizontal.prototype.getGripRect = function() {
-	var rect = this.getClientRect();
+CanvasUI.BoxLayout.prototype.getStretch = function(child) {
+	if (child.layoutData == null || child.layoutData.stretch == null) return 0;
+	return child.layoutData.stretch;
+}
 
-	// If pageSize is greater than 1 we aren't dealing with a slider - we have
-	// a scrollbar.  In that situation, we need to subtract the page size from
-	// the maximum value to cater for the fact that we only scroll when the
-	// page is full.
-	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
-	var range = this.maximumValue - this.minimumValue;
-	var ratio = range / rect.width;
-	var gripSize = this.pageSize / ratio;
-	var span = rect.width - gripSize;
 
-	if (span == 0) return new CanvasUI.Rectangle(0, 0, rect.width, rect.height);
-	if (this.value == this.minimumValue) return new CanvasUI.Rectangle(0, 0, gripSize, rect.height);
+/** GridLayout Methods **/
 
-	range = maxValue - this.minimumValue;
+/**
+ * Positions the children of a gadget.
+ * @param gadget The gadget that owns the layout.
+ * @param children The children to position.
+ * @param rect The region available to the children.
+ */
+CanvasUI.GridLayout.prototype.layoutChildren = function(gadget, children, rect) {
+	if (children.length == 0 || this.columns < 1) return;
 
-	var value = ((this.value - this.minimumValue) * span + range) / range;
+	var cells = this.getCells(children);
 
-	return new CanvasUI.Rectangle(value, 0, gripSize, rect.height);
-}
+	// Work out how many rows are needed if no fixed number was set
+	var rows = this.rows;
 
-/**
- * Sets the value represented by the grip.
- * @param value The new value for the grip
- */
-CanvasUI.ScrollbarHorizontal.prototype.setValue = function(value) {
-	var oldValue = this.value;
+	if (rows < 1) {
+		for (var i = 0; i < cells.length; ++i) {
+			rows = Math.max(rows, cells[i].row + cells[i].rowSpan);
+		}
+	}
 
-	this.value = value;
+	var cellWidth = (rect.width - (this.padding * 2) - (this.spacing * (this.columns - 1))) / this.columns;
+	var cellHeight = (rect.height - (this.padding * 2) - (this.spacing * (rows - 1))) / rows;
 
-	// If pageSize is greater than 1 we aren't dealing with a slider - we have
-	// a scrollbar.  In that situation, we need to subtract the page size from
-	// the maximum value to cater for the fact that we only scroll when the
-	// page is full.
-	var maxValue = this.pageSize > 1 ? this.maximumValue - this.pageSize : this.maximumValue;
+	for (var i = 0; i < children.length; ++i) {
+		var cell = cells[i];
 
-	if (this.value > maxValue) this.value = maxValue;
-	if (this.value < this.minimumValue) this.value = this.minimumValue;
+		var x = Math.round(rect.x + this.padding + (cell.column * (cellWidth + this.spacing)));
+		var y = Math.round(rect.y + this.padding + (cell.row * (cellHeight + this.spacing)));
+		var x2 = Math.round(rect.x + this.padding + ((cell.column + cell.columnSpan) * (cellWidth + this.spacing)) - this.spacing);
+		var y2 = Math.round(rect.y + this.padding + ((cell.row + cell.rowSpan) * (cellHeight + this.spacing)) - this.spacing);
 
-	if (oldValue != this.value) {
-		this.markRectsDamaged();
-		if (this.onValueChange != null) this.onValueChange(this);
+		children[i].changeDimensions(x, y, Math.max(0, x2 - x), Math.max(0, y2 - y));
 	}
 }
 
 /**
- * Moves the grip if the cursor keys are pressed.
- * @param keyCode The code of the key that was pressed.
- * @param isShiftHeld True if the shift key is held.
- * @param isAltHeld True if the alt key is held.
- * @param isAltGraphHeld True if the alt graph key is held.
- * @param isCtrlHeldTrue if the ctrl key is held.
+ * Works out which cells each child occupies.  Children with an explicit row
+ * and column are placed first; the remaining children fill the free cells in
+ * order, left to right and top to bottom.
+ * @param children The children to place.
+ * @return An array of objects with row, column, rowSpan and columnSpan
+ * properties, in the same order as the children.
  */
-CanvasUI.ScrollbarHorizontal.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
-	if (keyCode == 39) {
-		this.setValue(this.value + 1);
-	} else if (keyCode == 37) {
-		this.setValue(this.value - 1);
+CanvasUI.GridLayout.prototype.getCells = function(children) {
+	var cells = new Array();
+	var occupied = new Array();
+
+	var isFree = function(row, column, rowSpan, columnSpan) {
+		for (var r = row; r < row + rowSpan; ++r) {
+			for (var c = column; c < column + columnSpan; ++c) {
+				if (occupied[r] != null && occupied[r][c]) return false;
+			}
+		}
+
+		return true;
 	}
-}
 
+	var occupy = function(cell) {
+		for (var r = cell.row; r < cell.row + cell.rowSpan; ++r) {
+			if (occupied[r] == null) occupied[r] = new Array();
 
-/** TextBox Methods **/
+			for (var c = cell.column; c < cell.column + cell.columnSpan; ++c) occupied[r][c] = true;
+		}
+	}
 
-CanvasUI.TextBox.prototype = new CanvasUI.Gadget;
+	for (var i = 0; i < children.length; ++i) {
+		var data = children[i].layoutData != null ? children[i].layoutData : {};
 
-CanvasUI.TextBox.prototype.constructor = CanvasUI.TextBox;
+		cells.push({
+			row: data.row != null ? data.row : -1,
+			column: data.column != null ? data.column : -1,
+			rowSpan: data.rowSpan != null ? data.rowSpan : 1,
+			columnSpan: Math.min(data.columnSpan != null ? data.columnSpan : 1, this.columns)
+		});
 
-/**
- * Draws the gadget.
- * @param gfx The Graphics object to draw with.
- */
-CanvasUI.TextBox.prototype.drawBackground = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	
-	var textX = (this.rect.width - gfx.getTextWidth(this.text)) / 2;
-	var textY = parseInt(gfx.fontSize) + ((this.rect.height - parseInt(gfx.fontSize)) / 2);
-	
-	var colour1 = '#eee';
-	var colour2 = '#ddd';
-	var colour3 = '#ccc';
-	
-	// Draw top
-	gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height,
-		[
-			{ offset: 0, colour: colour1 },
-			{ offset: 0.1, colour: colour2 },
-			{ offset: 1, colour: colour3 }
-		]
-	);
+		if (cells[i].row > -1 && cells[i].column > -1) occupy(cells[i]);
+	}
 
-	// Cursor
-	var cursorX = textX + gfx.getTextWidth(this.text.substring(0, this.cursorIndex));
-	var cursorY = textY - parseInt(gfx.fontSize);
-	var cursorWidth = this.cursorIndex == this.text.length ? gfx.getTextWidth(' ') : gfx.getTextWidth(this.text.charAt(this.cursorIndex));
-	var cursorHeight = parseInt(gfx.fontSize);
+	var row = 0;
+	var column = 0;
 
-	var cursorRect = new CanvasUI.Rectangle(cursorX, cursorY, cursorWidth, cursorHeight);
+	for (var i = 0; i < cells.length; ++i) {
+		var cell = cells[i];
 
-	var cursorColour = this.focused ? '#99f' : '#aaa';
+		if (cell.row > -1 && cell.column > -1) continue;
 
-	gfx.fillRect(cursorRect, cursorColour);
+		while (column + cell.columnSpan > this.columns || !isFree(row, column, cell.rowSpan, cell.columnSpan)) {
+			if (++column >= this.columns) {
+				column = 0;
+				row++;
+			}
+		}
 
-	// Text
-	if (this.isEnabled()) {
-		gfx.fillText(this.text, textX, textY, this.shadowColour);
-	} else {
-		gfx.fillText(this.text, textX + 1, textY + 1, this.shadowColour);
-		gfx.fillText(this.text, textX, textY, this.shineColour);
+		cell.row = row;
+		cell.column = column;
+		occupy(cell);
 	}
-}
-
-/**
- * Draws the gadget's border.
- * @param gfx The Graphics object to draw with.
- */
-CanvasUI.TextBox.prototype.drawBorder = function(gfx) {
-	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
-	var innerBevel = new CanvasUI.Rectangle(1, 1, drawRect.width - 2, drawRect.height - 2);
 
-	gfx.drawBevelledRect(innerBevel, this.shadowColour, this.shineColour);
-	gfx.drawBevelledRect(drawRect, this.shineColour, this.shadowColour);
+	return cells;
 }
 
-/**
- * Changes the label text.
- * @param text The new label text.
- */
-CanvasUI.TextBox.prototype.setText = function(text) {
-	this.text = text;
-	this.markRectsDamaged();
-}
+
+/** FlowLayout Methods **/
 
 /**
- * Processes keyboard input.
- * @param keyCode The code of the key that was pressed.
- * @param isShiftHeld True if the shift key is held.
- * @param isAltHeld True if the alt key is held.
- * @param isAltGraphHeld True if the alt graph key is held.
- * @param isCtrlHeldTrue if the ctrl key is held.
+ * Positions the children of a gadget.
+ * @param gadget The gadget that owns the layout.
+ * @param children The children to position.
+ * @param rect The region available to the children.
  */
-CanvasUI.TextBox.prototype.processKeyDown = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
-	switch (keyCode) {
-		case 39:
-			// Right arrow
-			this.moveCursorToIndex(this.cursorIndex + 1);
-			break;
-
-		case 37:
-			// Left arrow
-			this.moveCursorToIndex(this.cursorIndex - 1);
-			break;
+CanvasUI.FlowLayout.prototype.layoutChildren = function(gadget, children, rect) {
+	var x = this.padding;
+	var y = this.padding;
+	var lineHeight = 0;
+	var maxX = rect.width - this.padding;
+
+	for (var i = 0; i < children.length; ++i) {
+		var child = children[i];
+
+		// Start a new line if the child does not fit, unless it is the first
+		// child on the line
+		if (x > this.padding && x + child.rect.width > maxX) {
+			x = this.padding;
+			y += lineHeight + this.spacing;
+			lineHeight = 0;
+		}
 
-		case 46:
-			// Delete
-			var text = this.text.substring(0, this.cursorIndex);
-			text += this.text.substring(this.cursorIndex + 1, this.text.length);
-			this.text = text;
+		child.changeDimensions(rect.x + x, rect.y + y, child.rect.width, child.rect.height);
 
-			this.markRectsDamaged();
+		x += child.rect.width + this.spacing;
+		lineHeight = Math.max(lineHeight, child.rect.height);
+	}
+}
 
-			if (this.onValueChange != null) this.onValueChange();
-			break;
 
-		case 8:
-			// Backspace
-			var text = this.text.substring(0, this.cursorIndex - 1);
-			text += this.text.substring(this.cursorIndex, this.text.length);
-			this.text = text;
+/** ImageButton Methods **/
 
-			this.moveCursorToIndex(this.cursorIndex - 1);
+CanvasUI.ImageButton.prototype = new CanvasUI.Button;
 
-			if (this.onValueChange != null) this.onValueChange();
-			break;
-	}
-}
+CanvasUI.ImageButton.prototype.constructor = CanvasUI.ImageButton;
 
 /**
- * Processes keyboard input.
- * @param keyCode The code of the key that was pressed.
- * @param isShiftHeld True if the shift key is held.
- * @param isAltHeld True if the alt key is held.
- * @param isAltGraphHeld True if the alt graph key is held.
- * @param isCtrlHeldTrue if the ctrl key is held.
+ * Draws the gadget.  Images too large for the button are scaled down to fit.
+ * @param gfx The Graphics object to draw with.
  */
-CanvasUI.TextBox.prototype.processKeyPress = function(keyCode, isShiftHeld, isAltHeld, isAltGraphHeld, isCtrlHeld) {
+CanvasUI.ImageButton.prototype.drawBackground = function(gfx) {
+	var drawRect = new CanvasUI.Rectangle(0, 0, this.rect.width, this.rect.height);
+	var rect = this.getClientRect();
 
-	if (keyCode < 32) return;
-	if (keyCode > 127) return;
+	if (this.clicked) {
+		gfx.fillRect(drawRect, this.darkColour);
+	} else {
+		var theme = this.getTheme();
+		var gradient = this.hovered && this.isEnabled() ? theme.gadgetHoverGradient : theme.gadgetGradient;
+		gfx.fillGradientRect(drawRect, 0, 0, 0, drawRect.height, gradient);
+	}
 
-	// Switch to lower-case if upper-case key pressed and shift not held
-	if (keyCode >= 65 && keyCode <= 90 && !isShiftHeld) keyCode += 0x20;
+	var image = this.clicked && this.clickedImage != null ? this.clickedImage : this.image;
 
-	var text = this.text.substring(0, this.cursorIndex);
-	text += String.fromCharCode(keyCode);
-	text += this.text.substring(this.cursorIndex, this.text.length);
-	this.text = text;
+	if (image == null || image.complete == false || image.width == 0 || image.height == 0) return;
 
-	this.moveCursorToIndex(this.cursorIndex + 1);
+	// Leave a gap between the image and the border, and keep the image's
+	// proportions when shrinking it
+	var scale = Math.min(1, (rect.width - 4) / image.width, (rect.height - 4) / image.height);
+	var width = Math.floor(image.width * scale);
+	var height = Math.floor(image.height * scale);
+	var x = rect.x + Math.floor((rect.width - width) / 2);
+	var y = rect.y + Math.floor((rect.height - height) / 2);
 
-	if (this.onValueChange != null) this.onValueChange();
+	// Nudge the image to make the button look pressed
+	if (this.clicked && this.clickedImage == null) {
+		x++;
+		y++;
+	}
+
+	gfx.drawImage(image, x, y, width, height, this.isEnabled() ? null : 0.5);
 }
 
 /**
- * Moves the cursor to the specified index within the displayed text.
- * @param index The index to move the cursor to.
+ * Changes the images displayed by the button.
+ * @param image The URL of the image to display, or an image.
+ * @param clickedImage The URL of the image to display while the button is
+ * held, or an image.  Optional.
  */
-CanvasUI.TextBox.prototype.moveCursorToIndex = function(index) {
-	this.cursorIndex = index;
-	if (this.cursorIndex > this.text.length) this.cursorIndex = this.text.length;
-	if (this.cursorIndex < 0) this.cursorIndex = 0;
-
+CanvasUI.ImageButton.prototype.setImage = function(image, clickedImage) {
+	this.image = this.loadImage(image);
+	this.clickedImage = clickedImage != null ? this.loadImage(clickedImage) : null;
 	this.markRectsDamaged();
 }